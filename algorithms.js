@@ -0,0 +1,441 @@
+// algorithms.js
+// Registry of interchangeable algorithms for articulation points, bridges and blocks.
+// Each entry provides
+//   analyze(graph)            -> result in analyze() shape
+//   trace(graph)              -> {result, steps} with its own typed steps
+//   formatStep(step, name)    -> one line of text, or null to use the app's default;
+//                                name(id) is the node's display label
+//   replay(steps, idx, graph) -> view of the state after steps[0..idx] for the stepper:
+//     {result, visited, current, labels: Map(id -> text), arrows: [{key, from, to, back}],
+//      edgeColors: [[key, colorIndex]], nodeClasses: [[id, cls]], edgeClasses: [[key, cls]],
+//      compare: {nodes, edges}, stacks, note}
+// Built in: Tarjan's low-link, Schmidt's chain decomposition and brute force.
+
+(function (root) {
+  const registry = new Map();
+
+  function register(def) {
+    if (!def || !def.id) throw new Error('algorithm needs an id');
+    registry.set(def.id, def);
+    return def;
+  }
+
+  function get(id) {
+    const def = registry.get(id);
+    if (!def) throw new Error(`unknown algorithm: ${id}`);
+    return def;
+  }
+
+  function has(id) {
+    return registry.has(id);
+  }
+
+  function list() {
+    return Array.from(registry.values());
+  }
+
+  // Undirected edges without self-loops: [{key, a, b}]
+  function plainEdges(graph) {
+    const out = [];
+    for (const [key, e] of graph.edgeMap.entries()) {
+      if (e.a === e.b || !graph.adj.has(e.a) || !graph.adj.has(e.b)) continue;
+      out.push({ key, a: e.a, b: e.b });
+    }
+    return out;
+  }
+
+  // analyze() shape from blocks given as lists of edge keys
+  function buildResult(graph, articulationPoints, bridges, blockKeys) {
+    const components = blockKeys.map(keys => {
+      const verts = new Set();
+      const edges = keys.map(k => { const e = graph.edgeMap.get(k); verts.add(e.a); verts.add(e.b); return [e.a, e.b, k]; });
+      return { edges, verts: Array.from(verts) };
+    });
+    const edgeToComp = new Map();
+    components.forEach((c, idx) => {
+      for (const e of c.edges) { edgeToComp.set(graph.edgeKey(e[0], e[1]), idx); edgeToComp.set(e[2], idx); }
+    });
+    return { articulationPoints, bridges, components, edgeToComp };
+  }
+
+  // Text of the low[v] >= disc[u] (or >) test carried by Tarjan's markAP / markBridge steps
+  function comparisonText(s, name = String) {
+    if (s.type === 'markAP' && s.root) return `root ${name(s.u)} has ${s.children} DFS children`;
+    if (s.lowV === undefined) return '';
+    if (s.type === 'markAP') return `low[${name(s.v)}]=${s.lowV} >= disc[${name(s.u)}]=${s.discU}`;
+    return `low[${name(s.v)}]=${s.lowV} > disc[${name(s.u)}]=${s.discU}`;
+  }
+
+  // --- Tarjan's low-link (graph.js) ---
+  register({
+    id: 'tarjan',
+    label: "Tarjan's low-link",
+    analyze: (graph) => graph.analyze(),
+    trace: (graph) => graph.analyzeWithSteps(),
+    formatStep: () => null,
+    replay(steps, idx, graph) {
+      const arrows = [];
+      const formed = [];
+      const aps = new Set();
+      const bridges = [];
+      const labels = new Map();
+      const disc = new Map();
+      const visited = [];
+      // the DFS call stack ({u, parent, children}) and the edge stack ({u, v, key, back})
+      const callStack = [];
+      const edgeStack = [];
+      let treeParent = null; // parent of the next visited vertex (set by its tree edge)
+      let popped = null; // edges moved into a component by this very step
+      let current = null;
+      for (let i = 0; i <= idx; i++) {
+        const s = steps[i];
+        if (!s) continue;
+        if (s.type === 'visit') {
+          current = s.u; visited.push(s.u); disc.set(s.u, s.disc); labels.set(s.u, `${s.disc}/${s.low}`);
+          callStack.push({ u: s.u, parent: treeParent, children: 0 });
+          treeParent = null;
+        } else if (s.type === 'pushEdge') {
+          arrows.push({ key: s.key, from: s.u, to: s.v, back: !!s.back });
+          edgeStack.push({ u: s.u, v: s.v, key: s.key, back: !!s.back });
+          if (!s.back) { callStack[callStack.length - 1].children++; treeParent = s.u; }
+        } else if (s.type === 'return') callStack.pop();
+        else if (s.type === 'updateLow') labels.set(s.u, `${disc.get(s.u)}/${s.low}`);
+        else if (s.type === 'markAP') aps.add(s.u);
+        else if (s.type === 'markBridge') bridges.push([s.u, s.v]);
+        else if (s.type === 'popComponent') {
+          formed.push(s.edges.map(e => e[2]));
+          const out = edgeStack.splice(edgeStack.length - s.edges.length, s.edges.length).reverse();
+          if (i === idx) popped = { edges: out, colorIndex: formed.length - 1, compIndex: s.compIndex };
+        }
+      }
+      const s = steps[idx];
+      const view = {
+        result: buildResult(graph, Array.from(aps), bridges, formed.map(keys => keys.filter(k => graph.edgeMap.has(k)))),
+        visited, current, labels, arrows,
+        stacks: { callStack, edgeStack, popped },
+      };
+      // markAP / markBridge: the nodes (and edge) whose low/disc values were compared
+      if (s && (s.type === 'markAP' || s.type === 'markBridge')) {
+        view.compare = { nodes: s.root ? [s.u] : [s.u, s.v], edges: s.type === 'markBridge' && s.key !== undefined ? [s.key] : [] };
+        view.note = comparisonText(s, (id) => graph.nodeLabel(id));
+      }
+      return view;
+    },
+  });
+
+  // --- Schmidt's chain decomposition ---
+  // DFS, then for every vertex in DFS order and every back edge leaving it toward a
+  // descendant, walk that back edge and climb the tree until an already visited vertex.
+  // Edges in no chain are bridges; v is a cut vertex when a later cycle chain starts at
+  // v or when v has a bridge and another edge. Chains that close a cycle with earlier
+  // chains share their block, so blocks fall out of a union-find over chain edges.
+  function chainDecomposition(graph, pushStep) {
+    const disc = new Map();
+    const parent = new Map();
+    const parentKey = new Map();
+    const rootOf = new Map();
+    const order = [];
+    const backFrom = new Map(); // ancestor -> [{key, to}]
+    for (const start of graph.nodes.map(n => n.id)) {
+      if (disc.has(start)) continue;
+      const stack = [{ u: start, it: (graph.incidence.get(start) || new Set()).values() }];
+      disc.set(start, order.length + 1); order.push(start); rootOf.set(start, start);
+      if (pushStep) pushStep({ type: 'visit', u: start, disc: disc.get(start) });
+      while (stack.length) {
+        const frame = stack[stack.length - 1];
+        const next = frame.it.next();
+        if (next.done) { stack.pop(); continue; }
+        const key = next.value;
+        const e = graph.edgeMap.get(key);
+        if (!e || e.a === e.b || key === parentKey.get(frame.u)) continue;
+        const v = e.a === frame.u ? e.b : e.a;
+        if (!graph.adj.has(v)) continue;
+        if (!disc.has(v)) {
+          disc.set(v, order.length + 1); order.push(v);
+          parent.set(v, frame.u); parentKey.set(v, key); rootOf.set(v, start);
+          if (pushStep) pushStep({ type: 'visit', u: v, disc: disc.get(v), parent: frame.u, key });
+          stack.push({ u: v, it: (graph.incidence.get(v) || new Set()).values() });
+        } else if (disc.get(v) < disc.get(frame.u)) {
+          if (!backFrom.has(v)) backFrom.set(v, []);
+          backFrom.get(v).push({ key, to: frame.u });
+        }
+      }
+    }
+
+    const visited = new Set();
+    const chainKeys = new Set();
+    const chains = [];
+    const firstChainOfRoot = new Map();
+    const uf = new Map();
+    const find = (k) => { while (uf.get(k) !== k) { uf.set(k, uf.get(uf.get(k))); k = uf.get(k); } return k; };
+    const union = (a, b) => { uf.set(find(a), find(b)); };
+    for (const { key } of plainEdges(graph)) uf.set(key, key);
+    const cutVertices = new Set();
+
+    for (const v of order) {
+      for (const { key, to } of backFrom.get(v) || []) {
+        const index = chains.length;
+        visited.add(v);
+        const keys = [key];
+        const verts = [v];
+        if (pushStep) pushStep({ type: 'chainStart', index, u: v, v: to, key });
+        let x = to;
+        while (!visited.has(x)) {
+          visited.add(x);
+          verts.push(x);
+          keys.push(parentKey.get(x));
+          if (pushStep) pushStep({ type: 'chainEdge', index, u: x, v: parent.get(x), key: parentKey.get(x) });
+          x = parent.get(x);
+        }
+        verts.push(x);
+        const cycle = x === v;
+        for (const k of keys) { chainKeys.add(k); union(k, key); }
+        // a path chain closes a cycle with the tree path x..v, which earlier chains cover
+        if (!cycle) for (let y = x; y !== v; y = parent.get(y)) union(parentKey.get(y), key);
+        const first = !firstChainOfRoot.has(rootOf.get(v));
+        if (first) firstChainOfRoot.set(rootOf.get(v), index);
+        if (cycle && !first) cutVertices.add(v);
+        chains.push({ keys, verts, cycle });
+        if (pushStep) pushStep({ type: 'chainEnd', index, cycle, verts: verts.slice(), keys: keys.slice(), cut: cycle && !first ? v : null });
+      }
+    }
+
+    const bridges = [];
+    const degree = new Map();
+    for (const e of plainEdges(graph)) {
+      degree.set(e.a, (degree.get(e.a) || 0) + 1);
+      degree.set(e.b, (degree.get(e.b) || 0) + 1);
+    }
+    for (const e of plainEdges(graph)) {
+      if (chainKeys.has(e.key)) continue;
+      const [u, v] = parent.get(e.b) === e.a ? [e.a, e.b] : [e.b, e.a];
+      bridges.push([u, v]);
+      if (pushStep) pushStep({ type: 'markBridge', u, v, key: e.key });
+      for (const w of [u, v]) if (degree.get(w) > 1 && !cutVertices.has(w)) {
+        cutVertices.add(w);
+        if (pushStep) pushStep({ type: 'markAP', u: w, bridge: e.key });
+      }
+    }
+    if (pushStep) for (const c of chains) if (c.cycle && cutVertices.has(c.verts[0]) && c !== chains[firstChainOfRoot.get(rootOf.get(c.verts[0]))]) {
+      // cycle-chain cut vertices were found while decomposing; report them with the rest
+      pushStep({ type: 'markAP', u: c.verts[0], chain: chains.indexOf(c) });
+    }
+
+    const groups = new Map();
+    for (const { key } of plainEdges(graph)) {
+      const r = find(key);
+      if (!groups.has(r)) groups.set(r, []);
+      groups.get(r).push(key);
+    }
+    const blocks = Array.from(groups.values());
+    if (pushStep) blocks.forEach((keys, i) => pushStep({ type: 'formBlock', compIndex: i, keys: keys.slice() }));
+    return buildResult(graph, Array.from(cutVertices), bridges, blocks);
+  }
+
+  register({
+    id: 'chains',
+    label: "Schmidt's chain decomposition",
+    analyze: (graph) => chainDecomposition(graph, null),
+    trace(graph) {
+      const steps = [];
+      const result = chainDecomposition(graph, (s) => steps.push(s));
+      return { result, steps };
+    },
+    formatStep(s, name = String) {
+      switch (s.type) {
+        case 'visit': return `DFS visits ${name(s.u)} (order ${s.disc})`;
+        case 'chainStart': return `chain C${s.index + 1} starts with back edge ${name(s.u)}-${name(s.v)}`;
+        case 'chainEdge': return `chain C${s.index + 1} climbs ${name(s.u)}-${name(s.v)}`;
+        case 'chainEnd': return `chain C${s.index + 1} ${s.cycle ? 'is a cycle' : 'is a path'}: ${s.verts.map(v => name(v)).join(' → ')}${s.cut !== null ? ` (${name(s.cut)} is a cut vertex)` : ''}`;
+        case 'markBridge': return `${name(s.u)}-${name(s.v)} is in no chain: bridge`;
+        case 'markAP': return s.chain !== undefined ? `mark articulation point ${name(s.u)} (starts cycle chain C${s.chain + 1})` : `mark articulation point ${name(s.u)} (bridge end with other edges)`;
+        case 'formBlock': return `block ${s.compIndex}: ${s.keys.length} edge(s)`;
+        default: return null;
+      }
+    },
+    replay(steps, idx, graph) {
+      const visited = [];
+      const labels = new Map();
+      const edgeColors = [];
+      const arrows = [];
+      const aps = new Set();
+      const bridges = [];
+      const blocks = [];
+      const edgeClasses = [];
+      let current = null;
+      let chain = null;
+      for (let i = 0; i <= idx; i++) {
+        const s = steps[i];
+        if (!s) continue;
+        if (s.type === 'visit') {
+          current = s.u; labels.set(s.u, `#${s.disc}`);
+          if (s.key !== undefined) arrows.push({ key: s.key, from: s.parent, to: s.u, back: false });
+        } else if (s.type === 'chainStart') {
+          chain = s.index; current = s.v; visited.push(s.u, s.v);
+          edgeColors.push([s.key, s.index]);
+          arrows.push({ key: s.key, from: s.u, to: s.v, back: true });
+        } else if (s.type === 'chainEdge') {
+          current = s.v; visited.push(s.v); edgeColors.push([s.key, s.index]);
+        } else if (s.type === 'chainEnd') chain = null;
+        else if (s.type === 'markBridge') bridges.push([s.u, s.v]);
+        else if (s.type === 'markAP') aps.add(s.u);
+        else if (s.type === 'formBlock') blocks.push(s.keys);
+      }
+      // edges of the chain being walked are emphasized
+      if (chain !== null) for (const [k, c] of edgeColors) if (c === chain) edgeClasses.push([k, 'chain-current']);
+      return {
+        result: buildResult(graph, Array.from(aps), bridges, blocks.map(keys => keys.filter(k => graph.edgeMap.has(k)))),
+        visited, current, labels, arrows, edgeColors: blocks.length ? [] : edgeColors, edgeClasses,
+        note: chain !== null ? `walking chain C${chain + 1}` : '',
+      };
+    },
+  });
+
+  // --- Brute force: remove each vertex / edge and count components with BFS ---
+  // Blocks: two edges meeting at v share a block when their other ends stay connected
+  // in G - v; the blocks are the classes of that relation.
+  function bruteForce(graph, pushStep) {
+    const ids = graph.nodes.map(n => n.id);
+    const edges = plainEdges(graph);
+    const count = (skipVertex, skipKey) => {
+      const label = new Map();
+      let c = 0;
+      for (const s of ids) {
+        if (s === skipVertex || label.has(s)) continue;
+        label.set(s, c);
+        const queue = [s];
+        for (let i = 0; i < queue.length; i++) {
+          for (const k of graph.incidence.get(queue[i]) || []) {
+            if (k === skipKey) continue;
+            const e = graph.edgeMap.get(k);
+            if (!e || e.a === e.b) continue;
+            const w = e.a === queue[i] ? e.b : e.a;
+            if (w === skipVertex || label.has(w) || !graph.adj.has(w)) continue;
+            label.set(w, c);
+            queue.push(w);
+          }
+        }
+        c++;
+      }
+      return { count: c, label };
+    };
+    const base = count(null, null).count;
+    const aps = [];
+    const pieces = new Map(); // v -> component labels of G - v
+    for (const v of ids) {
+      const r = count(v, null);
+      pieces.set(v, r.label);
+      const isolated = !(graph.incidence.get(v) || new Set()).size;
+      const before = isolated ? base - 1 : base;
+      if (pushStep) pushStep({ type: 'removeVertex', u: v, components: r.count, base: before });
+      if (r.count > before) { aps.push(v); if (pushStep) pushStep({ type: 'markAP', u: v, components: r.count, base: before }); }
+    }
+    const bridges = [];
+    for (const e of edges) {
+      const c = count(null, e.key).count;
+      if (pushStep) pushStep({ type: 'removeEdge', u: e.a, v: e.b, key: e.key, components: c, base });
+      if (c > base) { bridges.push([e.a, e.b]); if (pushStep) pushStep({ type: 'markBridge', u: e.a, v: e.b, key: e.key, components: c, base }); }
+    }
+    const uf = new Map(edges.map(e => [e.key, e.key]));
+    const find = (k) => { while (uf.get(k) !== k) { uf.set(k, uf.get(uf.get(k))); k = uf.get(k); } return k; };
+    for (const v of ids) {
+      const around = edges.filter(e => e.a === v || e.b === v);
+      const label = pieces.get(v);
+      for (let i = 0; i < around.length; i++) {
+        for (let j = i + 1; j < around.length; j++) {
+          const x = around[i].a === v ? around[i].b : around[i].a;
+          const y = around[j].a === v ? around[j].b : around[j].a;
+          if (x === y || label.get(x) === label.get(y)) uf.set(find(around[i].key), find(around[j].key));
+        }
+      }
+    }
+    const groups = new Map();
+    for (const e of edges) {
+      const r = find(e.key);
+      if (!groups.has(r)) groups.set(r, []);
+      groups.get(r).push(e.key);
+    }
+    const blocks = Array.from(groups.values());
+    if (pushStep) blocks.forEach((keys, i) => pushStep({ type: 'formBlock', compIndex: i, keys: keys.slice() }));
+    return buildResult(graph, aps, bridges, blocks);
+  }
+
+  register({
+    id: 'brute',
+    label: 'Brute force (remove + BFS)',
+    analyze: (graph) => bruteForce(graph, null),
+    trace(graph) {
+      const steps = [];
+      const result = bruteForce(graph, (s) => steps.push(s));
+      return { result, steps };
+    },
+    formatStep(s, name = String) {
+      switch (s.type) {
+        case 'removeVertex': return `remove ${name(s.u)}: ${s.components} component(s) (was ${s.base})`;
+        case 'removeEdge': return `remove edge ${name(s.u)}-${name(s.v)}: ${s.components} component(s) (was ${s.base})`;
+        case 'markAP': return `mark articulation point ${name(s.u)} (${s.base} → ${s.components} components)`;
+        case 'markBridge': return `mark bridge ${name(s.u)}-${name(s.v)} (${s.base} → ${s.components} components)`;
+        case 'formBlock': return `block ${s.compIndex}: ${s.keys.length} edge(s)`;
+        default: return null;
+      }
+    },
+    replay(steps, idx, graph) {
+      const aps = new Set();
+      const bridges = [];
+      const blocks = [];
+      const nodeClasses = [];
+      const edgeClasses = [];
+      let note = '';
+      for (let i = 0; i <= idx; i++) {
+        const s = steps[i];
+        if (!s) continue;
+        if (s.type === 'markAP') aps.add(s.u);
+        else if (s.type === 'markBridge') bridges.push([s.u, s.v]);
+        else if (s.type === 'formBlock') blocks.push(s.keys);
+      }
+      // the vertex or edge removed by the current step is ghosted
+      const s = steps[idx];
+      if (s && (s.type === 'removeVertex' || (s.type === 'markAP'))) {
+        nodeClasses.push([s.u, 'removed']);
+        for (const k of graph.incidence.get(s.u) || []) edgeClasses.push([k, 'removed']);
+        note = `without ${graph.nodeLabel(s.u)}: ${s.components} component(s), was ${s.base}`;
+      } else if (s && (s.type === 'removeEdge' || s.type === 'markBridge')) {
+        edgeClasses.push([s.key, 'removed']);
+        note = `without ${graph.nodeLabel(s.u)}-${graph.nodeLabel(s.v)}: ${s.components} component(s), was ${s.base}`;
+      }
+      return {
+        result: buildResult(graph, Array.from(aps), bridges, blocks.map(keys => keys.filter(k => graph.edgeMap.has(k)))),
+        visited: [], current: null, nodeClasses, edgeClasses, note,
+      };
+    },
+  });
+
+  // Run two algorithms on the same graph and compare cut vertices, bridges and blocks
+  function compare(graph, idA, idB) {
+    const a = get(idA).analyze(graph);
+    const b = get(idB).analyze(graph);
+    return Object.assign({ a: idA, b: idB }, diffResults(graph, a, b));
+  }
+
+  // Cut vertices, bridges and blocks (all by edge key) of two results of the same graph:
+  // each as {a, b, onlyA, onlyB}. A bridge [u, v] is the edge between u and v (the first
+  // one if a wrong result names a parallel pair).
+  function diffResults(graph, a, b) {
+    const minus = (x, y) => Array.from(x).filter(v => !y.has(v));
+    const side = (ra, rb, pick) => {
+      const x = new Set(pick(ra)); const y = new Set(pick(rb));
+      return { a: Array.from(x), b: Array.from(y), onlyA: minus(x, y), onlyB: minus(y, x) };
+    };
+    const blockIds = (r) => r.components.map(c => c.edges.map(e => e[2]).sort().join(' '));
+    const aps = side(a, b, r => r.articulationPoints);
+    const bridges = side(a, b, r => r.bridges.map(([u, v]) => graph.edgesBetween(u, v)[0] || graph.edgeKey(u, v)));
+    const blocks = side(a, b, blockIds);
+    const agree = [aps, bridges, blocks].every(d => !d.onlyA.length && !d.onlyB.length);
+    return { agree, results: [a, b], aps, bridges, blocks };
+  }
+
+  const GraphAlgorithms = { register, get, has, list, compare, diffResults, comparisonText, buildResult };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = GraphAlgorithms;
+  else root.GraphAlgorithms = GraphAlgorithms;
+})(typeof window !== 'undefined' ? window : this);
@@ -18,10 +18,81 @@ const numNodesInput = document.getElementById('numNodes');
 const componentsList = document.getElementById('componentsList');
 const deleteBtn = document.getElementById('deleteBtn');
 const renameBtn = document.getElementById('renameBtn');
+const analysisModeSelect = document.getElementById('analysisMode');
+const directedEdgesCheck = document.getElementById('directedEdges');
+const bctSvg = document.getElementById('bctSvg');
+const ioFormatSelect = document.getElementById('ioFormat');
+const exportAnalysisCheck = document.getElementById('exportAnalysis');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const historyPanel = document.getElementById('historyPanel');
+const attrPanel = document.getElementById('attrPanel');
+const graphTextArea = document.getElementById('graphText');
+const graphTextGutter = document.getElementById('graphTextGutter');
+const graphTextErrors = document.getElementById('graphTextErrors');
+const graphTextCoordsCheck = document.getElementById('graphTextCoords');
+const editModeSelect = document.getElementById('editMode');
+const layoutSelect = document.getElementById('layoutSelect');
+const autoAnalyzeCheck = document.getElementById('autoAnalyze');
+const connKindSelect = document.getElementById('connKind');
+const connBtn = document.getElementById('connBtn');
+const augmentBtn = document.getElementById('augmentBtn');
+const applyAugmentBtn = document.getElementById('applyAugmentBtn');
+const callStackPanel = document.getElementById('callStackPanel');
+const edgeStackPanel = document.getElementById('edgeStackPanel');
+const algorithmSelect = document.getElementById('algorithmSelect');
+const compareAlgorithmSelect = document.getElementById('compareAlgorithm');
+const compareBtn = document.getElementById('compareBtn');
+const verifyBtn = document.getElementById('verifyBtn');
+const shareBtn = document.getElementById('shareBtn');
+const exportTraceBtn = document.getElementById('exportTraceBtn');
+const importTraceBtn = document.getElementById('importTraceBtn');
+const traceFile = document.getElementById('traceFile');
+const wsNameInput = document.getElementById('wsName');
+const wsSaveBtn = document.getElementById('wsSaveBtn');
+const wsImportBtn = document.getElementById('wsImportBtn');
+const wsImportFolderBtn = document.getElementById('wsImportFolderBtn');
+const wsFiles = document.getElementById('wsFiles');
+const wsFolder = document.getElementById('wsFolder');
+const workspacePanel = document.getElementById('workspacePanel');
+const genKindSelect = document.getElementById('genKind');
+const genParams = document.getElementById('genParams');
+const genSeedInput = document.getElementById('genSeed');
+const genBtn = document.getElementById('genBtn');
+const quizKindSelect = document.getElementById('quizKind');
+const quizNewGraphCheck = document.getElementById('quizNewGraph');
+const quizStartBtn = document.getElementById('quizStartBtn');
+const quizSubmitBtn = document.getElementById('quizSubmitBtn');
+const quizEndBtn = document.getElementById('quizEndBtn');
+const quizExportBtn = document.getElementById('quizExportBtn');
+const quizPanel = document.getElementById('quizPanel');
+const sceneCanvas = document.getElementById('sceneCanvas');
+const minimapCanvas = document.getElementById('minimap');
+const minimapCheck = document.getElementById('minimapCheck');
+const rendererSelect = document.getElementById('rendererSelect');
+const zoomInBtn = document.getElementById('zoomInBtn');
+const zoomOutBtn = document.getElementById('zoomOutBtn');
+const zoomLabel = document.getElementById('zoomLabel');
+const fitBtn = document.getElementById('fitBtn');
 
 let graph = new Graph();
-let selected = null;
+let selected = null; // first endpoint while adding an edge
+const selection = { nodes: new Set(), edges: new Set() }; // select mode: node ids, edge keys
+let lastResult = null; // result last passed to render(), reused when nodes only move
+let stepViewActive = false; // canvas currently shows a replayed step (see applyStepsUpTo)
+let layoutBackEdges = null; // edge keys drawn as back edges after a DFS-tree layout
+let layoutAnimation = null; // running force layout: {frame, before}
+let liveAnalysis = null; // LiveAnalysis while auto-analyze is on
 let nodeMap = new Map(); // id -> node object for quick lookup
+let viewport = { x: 0, y: 0, k: 1 }; // zoom / pan of the canvas (see viewport.js)
+// keyed canvas contents (see drawScene / flushScene): edge key / node id / step-label node id -> record
+const scene = { edges: new Map(), nodes: new Map(), labels: new Map(), extras: [], extrasDrawn: '', layers: null, flash: null, canvas: false, index: null };
+let workspace = null; // Workspace over localStorage, null when storage is unavailable
+let workspaceName = null; // saved graph being edited (autosaved into), or null
+let autosaveTimer = null;
+let graphTextTimer = null; // pending apply of the text pane while typing
+let quiz = null; // practice round: {kind, seed, picks: {nodes, edges}, steps, question, answers, grade}
+let quizScores = []; // graded rounds of this browser session (see loadQuizScores)
 
 // stepper state
 let currentSteps = [];
@@ -29,100 +100,1656 @@ let currentResult = null;
 let stepIndex = -1;
 let playInterval = null;
 let compColors = [];
+let currentAlgorithm = null; // registry id whose trace is loaded (blocks mode), else null
+let currentMode = null; // analysis mode the loaded trace was made in
+let traceGraph = null; // copy of the graph the loaded trace was recorded on
 
 function setStatus(s){ status.textContent = s }
 
-function render(result = null) {
-  // clear
+// --- Undo / redo ---
+const editHistory = new EditHistory();
+
+// Run a graph mutation and record it as one history entry. mutate() may replace `graph`
+// (random / import); returning false means nothing changed and nothing is recorded.
+// label may be a function of mutate()'s return value (e.g. the new node id).
+function recordEdit(label, mutate) {
+  finishLayoutAnimation();
+  const before = graph.clone();
+  const out = mutate();
+  if (out === false) return out;
+  dropQuiz();
+  editHistory.push(typeof label === 'function' ? label(out) : label, before, graph.clone());
+  renderHistoryPanel();
+  return out;
+}
+
+function restoreSnapshot(snap, label) {
+  if (!snap) return;
+  finishLayoutAnimation();
+  layoutBackEdges = null;
+  dropQuiz();
+  graph = snap.clone();
+  selected = null; clearSelection(); nodeMap.clear(); render();
+  renderHistoryPanel();
+  setStatus(label);
+}
+
+function undoEdit() {
+  const label = editHistory.canUndo() ? editHistory.entries[editHistory.index].label : null;
+  const snap = editHistory.undo();
+  if (!snap) { setStatus('Nothing to undo'); return; }
+  restoreSnapshot(snap, `Undid: ${label}`);
+}
+
+function redoEdit() {
+  const snap = editHistory.redo();
+  if (!snap) { setStatus('Nothing to redo'); return; }
+  restoreSnapshot(snap, `Redid: ${editHistory.entries[editHistory.index].label}`);
+}
+
+function renderHistoryPanel() {
+  if (undoBtn) undoBtn.disabled = !editHistory.canUndo();
+  if (redoBtn) redoBtn.disabled = !editHistory.canRedo();
+  if (!historyPanel) return;
+  historyPanel.innerHTML = '';
+  const rows = [{ label: 'Start', i: -1 }].concat(editHistory.entries.map((e, i) => ({ label: e.label, i })));
+  for (const row of rows) {
+    const div = document.createElement('div');
+    div.className = 'step-entry history-entry';
+    if (row.i === editHistory.index) div.classList.add('current');
+    if (row.i > editHistory.index) div.classList.add('undone');
+    div.textContent = row.label;
+    div.addEventListener('click', () => {
+      const snap = editHistory.jumpTo(row.i);
+      if (snap) restoreSnapshot(snap, `Jumped to: ${row.label}`);
+    });
+    historyPanel.appendChild(div);
+  }
+  const cur = historyPanel.querySelector('.history-entry.current');
+  if (cur) cur.scrollIntoView({block:'nearest'});
+  // every edit, undo and redo ends here
+  scheduleAutosave();
+  syncGraphText();
+}
+
+// analysis mode: 'blocks' (undirected Tarjan), 'twoEdge' (2-edge-connected components)
+// or 'directed' (SCC / strong cut elements)
+function analysisMode(){ return analysisModeSelect ? analysisModeSelect.value : 'blocks'; }
+
+// blocks-mode algorithm from the registry in algorithms.js
+function algorithmId(){ return algorithmSelect && algorithmSelect.value ? algorithmSelect.value : 'tarjan'; }
+
+function fillAlgorithmSelects() {
+  const defs = GraphAlgorithms.list();
+  for (const [sel, initial] of [[algorithmSelect, 'tarjan'], [compareAlgorithmSelect, defs.length > 1 ? defs[1].id : 'tarjan']]) {
+    if (!sel) continue;
+    sel.innerHTML = '';
+    for (const def of defs) {
+      const o = document.createElement('option');
+      o.value = def.id; o.textContent = def.label;
+      sel.appendChild(o);
+    }
+    sel.value = initial;
+  }
+}
+
+function runModeAnalysis(){
+  const mode = analysisMode();
+  if (mode === 'directed') return graph.analyzeDirected();
+  if (mode === 'twoEdge') return graph.analyzeTwoEdge();
+  if (mode === 'triconnected') return GraphTriconnected.analyze(graph);
+  return GraphAlgorithms.get(algorithmId()).analyze(graph);
+}
+
+function runModeAnalysisWithSteps(){
+  const mode = analysisMode();
+  if (mode === 'directed') return graph.analyzeDirectedWithSteps();
+  if (mode === 'twoEdge') return graph.analyzeTwoEdgeWithSteps();
+  if (mode === 'triconnected') return GraphTriconnected.analyzeWithSteps(graph);
+  return GraphAlgorithms.get(algorithmId()).trace(graph);
+}
+
+function summarizeResult(res){
+  if (res.twoEdge) return `2-edge comps=${res.components.length}, Bridges=${res.bridges.length}`;
+  if (res.triconnected) {
+    const check = res.bruteForce.checked ? (res.bruteForce.agrees ? ', brute-force check agrees' : ', brute-force check DISAGREES') : '';
+    return `Separation pairs=${res.separationPairs.length}, Triconnected comps=${res.components.length}${check}`;
+  }
+  if (res.directed) return `SCCs=${res.sccs.length}, Strong APs=${res.strongArticulationPoints.length}, Strong bridges=${res.strongBridges.length}`;
+  return `APs=${res.articulationPoints.length}, Bridges=${res.bridges.length}, Comps=${res.components.length}`;
+}
+
+const NODE_R = 16;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// 'auto' renderer: above this many nodes + edges the scene is painted on a <canvas> instead of SVG
+const CANVAS_THRESHOLD = 3000;
+
+// arrowhead marker shared by all directed edges
+function addArrowDefs(){
+  const defs = document.createElementNS(SVG_NS,'defs');
+  const marker = document.createElementNS(SVG_NS,'marker');
+  marker.setAttribute('id', 'arrow');
+  marker.setAttribute('viewBox', '0 0 10 10');
+  marker.setAttribute('refX', '10');
+  marker.setAttribute('refY', '5');
+  marker.setAttribute('markerWidth', '7');
+  marker.setAttribute('markerHeight', '7');
+  marker.setAttribute('orient', 'auto-start-reverse');
+  const path = document.createElementNS(SVG_NS,'path');
+  path.setAttribute('d', 'M 0 0 L 10 5 L 0 10 z');
+  path.setAttribute('fill', 'context-stroke');
+  path.classList.add('arrowhead');
+  marker.appendChild(path);
+  defs.appendChild(marker);
+  svg.appendChild(defs);
+}
+
+// Position of every edge among the edges sharing its endpoints: key -> {i, k}
+function parallelSlots() {
+  const groups = new Map();
+  for (const [key, e] of graph.edgeMap.entries()) {
+    const pk = graph.edgeKey(e.a, e.b);
+    if (!groups.has(pk)) groups.set(pk, []);
+    groups.get(pk).push(key);
+  }
+  const slots = new Map();
+  for (const keys of groups.values()) keys.forEach((k, i) => slots.set(k, { i, k: keys.length }));
+  return slots;
+}
+
+// A single edge is a straight line; parallel edges fan out as quadratic curves
+// and self-loops are drawn as a teardrop above the node. Directed edges stop at
+// the target circle so the arrowhead stays visible.
+// -> {tag, attrs, tip: [x, y, dx, dy] (end point and direction there), loop}
+function edgeShape(na, nb, slot = { i: 0, k: 1 }, directed = false) {
+  if (na === nb) {
+    const h = 40 + slot.i * 14;
+    const x = na.x; const y = na.y;
+    const ex = x + 8; const ey = y - NODE_R + 3;
+    const d = `M ${x - 8} ${y - NODE_R + 3} C ${x - h * 0.8} ${y - h * 1.4}, ${x + h * 0.8} ${y - h * 1.4}, ${ex} ${ey}`;
+    return { tag: 'path', attrs: { d, fill: 'none' }, tip: [ex, ey, ex - (x + h * 0.8), ey - (y - h * 1.4)], loop: true };
+  }
+  const dx = nb.x - na.x; const dy = nb.y - na.y;
+  const len = Math.hypot(dx, dy) || 1;
+  const trim = directed ? NODE_R + 2 : 0;
+  const offset = (slot.i - (slot.k - 1) / 2) * 26;
+  if (offset === 0) {
+    const x2 = nb.x - dx / len * trim; const y2 = nb.y - dy / len * trim;
+    return { tag: 'line', attrs: { x1: na.x, y1: na.y, x2, y2 }, tip: [x2, y2, dx, dy], loop: false };
+  }
+  // normal of the canonical (low id -> high id) direction so copies don't overlap
+  const flip = na.id > nb.id ? -1 : 1;
+  const nx = -dy / len * flip; const ny = dx / len * flip;
+  const cx = (na.x + nb.x) / 2 + nx * offset * 2;
+  const cy = (na.y + nb.y) / 2 + ny * offset * 2;
+  const tx = nb.x - cx; const ty = nb.y - cy;
+  const tl = Math.hypot(tx, ty) || 1;
+  const ex = nb.x - tx / tl * trim; const ey = nb.y - ty / tl * trim;
+  return { tag: 'path', attrs: { d: `M ${na.x} ${na.y} Q ${cx} ${cy} ${ex} ${ey}`, fill: 'none' }, tip: [ex, ey, tx, ty], loop: false };
+}
+
+// Text drawn along an edge: its label and / or weight
+function edgeCaption(e) {
+  const weight = e.attrs && e.attrs.weight !== undefined ? String(e.attrs.weight) : '';
+  return [e.label, weight].filter(Boolean).join(' · ');
+}
+
+// Where edgeShape() puts the middle of an edge (top of a self-loop, apex of a curve)
+function edgeLabelPoint(na, nb, slot) {
+  if (na === nb) return [na.x, na.y - (40 + slot.i * 14) * 1.05 - 4];
+  const dx = nb.x - na.x; const dy = nb.y - na.y;
+  const len = Math.hypot(dx, dy) || 1;
+  const flip = na.id > nb.id ? -1 : 1;
+  const offset = (slot.i - (slot.k - 1) / 2) * 26;
+  return [(na.x + nb.x) / 2 - dy / len * flip * offset, (na.y + nb.y) / 2 + dx / len * flip * offset - 4];
+}
+
+// --- Scene: keyed canvas contents, updated in place ---
+// Every edge, node and step label keeps its record (and SVG elements) across renders.
+// drawScene() sets what each should look like (rec.want), step views and quizzes add their
+// marks on top, and flushScene() then writes only the attributes that differ, or repaints
+// the <canvas> fallback for big graphs.
+
+// Layers in drawing order, a hidden group to read CSS from for the canvas, and the arrow marker
+function setupScene() {
   while (svg.firstChild) svg.removeChild(svg.firstChild);
+  addArrowDefs();
+  const layer = (name) => {
+    const g = document.createElementNS(SVG_NS, 'g');
+    g.classList.add(`layer-${name}`);
+    svg.appendChild(g);
+    return g;
+  };
+  scene.layers = { edges: layer('edges'), captions: layer('captions'), extras: layer('extras'), nodes: layer('nodes'), labels: layer('labels'), probe: layer('probe') };
+  scene.layers.probe.style.display = 'none';
+  setView(viewport);
+}
+
+function sceneRecord(map, key) {
+  let rec = map.get(key);
+  if (!rec) { rec = { key, want: null }; map.set(key, rec); }
+  return rec;
+}
+
+// Remove a record's SVG elements (it left the graph, or the canvas fallback took over)
+function dropElements(rec) {
+  for (const part of ['el', 'hit', 'caption', 'g']) {
+    if (rec[part]) { rec[part].remove(); rec[part] = null; }
+  }
+}
+
+// Extra classes and colors on top of what drawScene() wants, shown by the next flushScene()
+function markNode(id, cls) {
+  const rec = scene.nodes.get(id);
+  if (rec && rec.want) rec.want.cls.add(cls);
+}
+
+function markEdge(key, cls) {
+  const rec = scene.edges.get(key);
+  if (rec && rec.want) rec.want.cls.add(cls);
+}
+
+function strokeEdge(key, color) {
+  const rec = scene.edges.get(key);
+  if (rec && rec.want) rec.want.stroke = color;
+}
+
+function render(result = null) {
+  drawScene(result);
+  flushScene();
+}
+
+// Everything render() shows for result, with the canvas part left for flushScene()
+function drawScene(result = null) {
+  // auto-analyze: an edit re-renders without a result, so use the live one instead
+  let flash = null;
+  if (result === null && liveAnalysis && analysisMode() === 'blocks' && !quizHidesAnalysis()) {
+    if (liveAnalysis.graph !== graph) liveAnalysis.attach(graph);
+    result = liveAnalysis.result();
+    flash = liveAnalysis.takeChange();
+  }
+  lastResult = result;
+  stepViewActive = false;
+  scene.flash = flash;
+  renderStackPanels(null);
+  nodeMap = new Map(graph.nodes.map(n => [n.id, n]));
+  // lookups built once, rather than scanning the result's arrays for every element
+  const bridgeKeys = new Set(result && result.bridges ? result.bridges.map(([u, v]) => graph.edgeKey(u, v)) : []);
+  const marked = new Set(!result ? [] : result.connectivity ? result.cutVertices || [] : result.directed ? result.strongArticulationPoints : result.twoEdge ? [] : result.articulationPoints || []);
+  const pairNodes = new Set(result && result.separationPairs ? [].concat(...result.separationPairs.map(p => [p[0], p[1]])) : []);
+  const cutKeys = new Set(result && result.connectivity ? result.cutEdges || [] : []);
+  const pathOf = new Map();
+  if (result && result.connectivity) result.paths.forEach((p, pi) => { for (const k of p.edges) if (!pathOf.has(k)) pathOf.set(k, pi); });
+
+  // edges
+  const slots = parallelSlots();
+  const live = new Set();
+  for (const [key, e] of graph.edgeMap.entries()) {
+    const a = e.a; const b = e.b;
+    const na = nodeMap.get(a); const nb = nodeMap.get(b);
+    if (!na || !nb) continue;
+    // after a DFS-tree layout, back edges are bent away from the straight tree edges
+    const isBack = layoutBackEdges && layoutBackEdges.has(key);
+    const slot = isBack && slots.get(key).k === 1 ? { i: 1, k: 2 } : slots.get(key);
+    const shape = edgeShape(na, nb, slot, !!e.directed);
+    const w = { shape, hit: edgeShape(na, nb, slot, false), cls: new Set(['edge']), stroke: '', color: '', marker: !!e.directed, caption: edgeCaption(e), at: null };
+    if (shape.loop) w.cls.add('loop');
+    if (isBack) w.cls.add('back-edge');
+    if (selection.edges.has(key)) w.cls.add('selected');
+    // color attribute replaces the default stroke; analysis colors still win
+    if (e.attrs && e.attrs.color) w.color = e.attrs.color;
+    if (e.directed) w.cls.add('directed');
+    if (result && result.connectivity) {
+      if (cutKeys.has(key)) w.cls.add('min-cut');
+      if (pathOf.has(key)) { w.cls.add('menger-path'); w.stroke = colorForIndex(pathOf.get(key)); }
+    } else if (result && result.triconnected) {
+      if (bridgeKeys.has(graph.edgeKey(a, b))) w.cls.add('bridge');
+      const ti = result.edgeToTri.get(key);
+      if (ti !== undefined) w.stroke = colorForIndex(ti);
+    } else if (result && result.directed) {
+      if (result.strongBridgeKeys.has(key)) w.cls.add('strong-bridge');
+      const ca = result.vertexToScc.get(a);
+      if (ca !== undefined && ca === result.vertexToScc.get(b)) w.stroke = colorForIndex(ca);
+    } else if (result && result.twoEdge) {
+      const ca = result.vertexToComp.get(a);
+      if (bridgeKeys.has(graph.edgeKey(a, b))) w.cls.add('bridge');
+      else if (ca !== undefined && ca === result.vertexToComp.get(b)) w.stroke = colorForIndex(ca);
+    } else if (result) {
+      // non-bridge edges keep the default styling (black via CSS)
+      if (bridgeKeys.has(graph.edgeKey(a, b))) w.cls.add('bridge');
+    }
+    if (w.caption) w.at = edgeLabelPoint(na, nb, slot);
+    sceneRecord(scene.edges, key).want = w;
+    live.add(key);
+  }
+  for (const [key, rec] of scene.edges) if (!live.has(key)) { dropElements(rec); scene.edges.delete(key); }
+
+  // triconnected mode: virtual edges join the split components at their separation pair;
+  // suggested augmentation edges are dashed until applied
+  scene.extras = [];
+  if (result && result.triconnected) {
+    const drawn = new Set();
+    for (const [a, b] of result.virtualPairs) {
+      const k = graph.edgeKey(a, b);
+      const na = nodeMap.get(a); const nb = nodeMap.get(b);
+      if (drawn.has(k) || !na || !nb) continue;
+      drawn.add(k);
+      scene.extras.push({ shape: edgeShape(na, nb, { i: 1, k: 2 }), cls: 'virtual-edge' });
+    }
+  }
+  if (result && result.augmentation) {
+    for (const [a, b] of result.augmentation.edges) {
+      const na = nodeMap.get(a); const nb = nodeMap.get(b);
+      if (na && nb) scene.extras.push({ shape: edgeShape(na, nb), cls: 'suggested-edge' });
+    }
+  }
+  if (applyAugmentBtn) applyAugmentBtn.disabled = !(result && result.augmentation && result.augmentation.edges.length);
+
+  // nodes
+  live.clear();
+  for (const n of graph.nodes) {
+    const w = {
+      x: n.x, y: n.y, cls: new Set(['node']), fill: '', color: n.attrs && n.attrs.color ? n.attrs.color : '',
+      text: n.label !== undefined ? n.label : String(n.id), named: n.label !== undefined,
+      // hover shows the id behind a label and the node's attributes
+      title: [`id ${n.id}`].concat(Object.entries(n.attrs || {}).map(([k, v]) => `${k}=${v}`)).join(', '),
+    };
+    if (selection.nodes.has(n.id) || selected === n.id) w.cls.add('selected');
+    if (result && result.connectivity) {
+      if (marked.has(n.id)) w.cls.add('min-cut');
+      if (n.id === result.s || n.id === result.t) w.cls.add('terminal');
+    } else if (result && result.triconnected) {
+      if (marked.has(n.id)) w.cls.add('art');
+      if (pairNodes.has(n.id)) w.cls.add('sep-pair');
+    } else if (result && result.directed) {
+      if (marked.has(n.id)) w.cls.add('sap');
+      const si = result.vertexToScc.get(n.id);
+      if (si !== undefined) w.fill = colorForIndex(si);
+    } else if (result && result.twoEdge) {
+      const ci = result.vertexToComp.get(n.id);
+      if (ci !== undefined) w.fill = colorForIndex(ci);
+    } else if (result && marked.has(n.id)) w.cls.add('art');
+    sceneRecord(scene.nodes, n.id).want = w;
+    live.add(n.id);
+  }
+  for (const [id, rec] of scene.nodes) if (!live.has(id)) { dropElements(rec); scene.nodes.delete(id); }
+  // step labels are only kept while a step view asks for them again
+  for (const rec of scene.labels.values()) rec.want = null;
+
+  renderAttributePanel();
+
+  // block-cut tree panel (blocks mode only)
+  renderBlockCutTree(result && !result.directed && !result.twoEdge && !result.connectivity && !result.triconnected ? result : null);
+
+  // components list
+  componentsList.innerHTML = '';
+  if (result && result.connectivity) {
+    // one entry per disjoint path, colored like its edges on the canvas
+    result.paths.forEach((p, idx) => {
+      const div = document.createElement('div');
+      const sw = document.createElement('span');
+      sw.classList.add('comp-bullet');
+      sw.style.background = colorForIndex(idx);
+      div.appendChild(sw);
+      const txt = document.createElement('span');
+      txt.textContent = `Path ${idx}: ${p.verts.map(nodeName).join(' → ')}`;
+      div.appendChild(txt);
+      componentsList.appendChild(div);
+    });
+  } else if (result && result.triconnected) {
+    // per block: its separation pairs, then its triconnected components
+    const blocks = Array.from(new Set(result.components.map(c => c.block)));
+    for (const b of blocks) {
+      const head = document.createElement('div');
+      head.className = 'small';
+      head.style.marginTop = '6px';
+      const pairs = result.separationPairs.filter(p => p[2] === b).map(p => `{${nodeName(p[0])}, ${nodeName(p[1])}}`);
+      head.textContent = `Block ${b}: ${pairs.length ? `separation pairs ${pairs.join(' ')}` : 'no separation pairs'}`;
+      componentsList.appendChild(head);
+      result.components.forEach((comp, idx) => {
+        if (comp.block !== b) return;
+        const div = document.createElement('div');
+        const sw = document.createElement('span');
+        sw.classList.add('comp-bullet');
+        sw.style.background = colorForIndex(idx);
+        div.appendChild(sw);
+        const txt = document.createElement('span');
+        const kind = { P: 'bond', S: 'cycle', R: 'triconnected' }[comp.type];
+        txt.textContent = `${comp.type} (${kind}): verts=${comp.verts.map(nodeName).join(', ')}`;
+        div.appendChild(txt);
+        componentsList.appendChild(div);
+      });
+    }
+  } else if (result && result.directed) {
+    result.sccs.forEach((comp, idx) => {
+      const div = document.createElement('div');
+      const sw = document.createElement('span');
+      sw.classList.add('comp-bullet');
+      sw.style.background = colorForIndex(idx);
+      div.appendChild(sw);
+      const txt = document.createElement('span');
+      txt.textContent = `SCC ${idx}: verts=${comp.verts.map(nodeName).join(', ')}`;
+      div.appendChild(txt);
+      componentsList.appendChild(div);
+    });
+  } else if (result && result.twoEdge) {
+    result.components.forEach((comp, idx) => {
+      const div = document.createElement('div');
+      const sw = document.createElement('span');
+      sw.classList.add('comp-bullet');
+      sw.style.background = colorForIndex(idx);
+      div.appendChild(sw);
+      const txt = document.createElement('span');
+      txt.textContent = `2-edge comp ${idx}: verts=${comp.verts.map(nodeName).join(', ')}`;
+      div.appendChild(txt);
+      componentsList.appendChild(div);
+    });
+    // bridge tree: one node per 2-edge component, one edge per bridge
+    const head = document.createElement('div');
+    head.className = 'small';
+    head.style.marginTop = '6px';
+    head.textContent = result.bridgeTree.edges.length ? 'Bridge tree:' : 'Bridge tree: no bridges';
+    componentsList.appendChild(head);
+    for (const te of result.bridgeTree.edges) {
+      const div = document.createElement('div');
+      div.className = 'small';
+      div.textContent = `C${te.from} —(${nodeName(te.bridge[0])}-${nodeName(te.bridge[1])})— C${te.to}`;
+      componentsList.appendChild(div);
+    }
+  } else if (result) {
+    result.components.forEach((comp, idx) => {
+      const div = document.createElement('div');
+      const sw = document.createElement('span');
+      sw.classList.add('comp-bullet');
+      sw.style.background = colorForIndex(idx);
+      div.appendChild(sw);
+      const txt = document.createElement('span');
+      txt.textContent = `Component ${idx}: verts=${comp.verts.map(nodeName).join(', ')}`;
+      div.appendChild(txt);
+      componentsList.appendChild(div);
+    });
+    if (result.comparison) renderComparison(result.comparison);
+  }
+}
+
+// Briefly flash cut vertices and bridges that an edit created (flash-on) or removed (flash-off)
+function flashChanges(change) {
+  const mark = (el, cls) => {
+    el.classList.remove(cls);
+    el.classList.add(cls);
+    el.addEventListener('animationend', () => el.classList.remove(cls), { once: true });
+  };
+  for (const [ids, cls] of [[change.addedAPs, 'flash-on'], [change.removedAPs, 'flash-off']]) {
+    for (const id of ids) {
+      const rec = scene.nodes.get(id);
+      if (rec && rec.c) mark(rec.c, cls);
+    }
+  }
+  const added = new Set(change.addedBridges);
+  const removed = new Set(change.removedBridges);
+  if (!added.size && !removed.size) return;
+  for (const [key, rec] of scene.edges) {
+    const e = graph.edgeMap.get(key);
+    if (!e || !rec.el) continue;
+    const pk = graph.edgeKey(e.a, e.b);
+    if (added.has(pk)) mark(rec.el, 'flash-on');
+    else if (removed.has(pk)) mark(rec.el, 'flash-off');
+  }
+}
+
+// Bring the canvas in line with the scene. SVG: create, update or remove only the elements
+// whose wanted look changed. Canvas fallback: repaint.
+function flushScene() {
+  const canvasMode = useCanvas();
+  if (canvasMode !== scene.canvas) {
+    // switching renderer: the SVG elements go (or come back below)
+    for (const map of [scene.edges, scene.nodes, scene.labels]) for (const rec of map.values()) dropElements(rec);
+    while (scene.layers.extras.firstChild) scene.layers.extras.firstChild.remove();
+    scene.extrasDrawn = '';
+    scene.canvas = canvasMode;
+    svg.classList.toggle('canvas-mode', canvasMode);
+    sceneCanvas.hidden = !canvasMode;
+  }
+  for (const [id, rec] of scene.labels) if (!rec.want) { dropElements(rec); scene.labels.delete(id); }
+  scene.index = null;
+  if (canvasMode) paintCanvas();
+  else {
+    for (const rec of scene.edges.values()) flushEdge(rec);
+    flushExtras();
+    for (const rec of scene.nodes.values()) flushNode(rec);
+    for (const rec of scene.labels.values()) flushLabel(rec);
+    if (scene.flash) flashChanges(scene.flash);
+  }
+  scene.flash = null;
+  scheduleMinimap();
+}
+
+function useCanvas() {
+  const mode = rendererSelect ? rendererSelect.value : 'auto';
+  return mode === 'canvas' || (mode === 'auto' && graph.nodes.length + graph.edgeMap.size > CANVAS_THRESHOLD);
+}
+
+// Small writers that skip the DOM when the value is already there
+function setAttr(el, name, value) {
+  const v = value === null ? null : String(value);
+  if (el.getAttribute(name) === v) return;
+  if (v === null) el.removeAttribute(name); else el.setAttribute(name, v);
+}
+
+function setClass(el, cls) {
+  if (el.getAttribute('class') !== cls) el.setAttribute('class', cls);
+}
+
+const drawnStyles = new WeakMap(); // element -> inline style values setStyle() last wrote
+function setStyle(el, prop, value) {
+  let s = drawnStyles.get(el);
+  if (!s) { s = {}; drawnStyles.set(el, s); }
+  if ((s[prop] || '') === value) return;
+  s[prop] = value;
+  if (value) el.style.setProperty(prop, value); else el.style.removeProperty(prop);
+}
+
+function setText(el, text) {
+  if (el.textContent !== text) el.textContent = text;
+}
+
+// el reshaped to shape, replaced when it needs another tag (line <-> path) or created in layer
+function syncShape(el, shape, layer, key) {
+  if (!el || el.tagName !== shape.tag) {
+    const fresh = document.createElementNS(SVG_NS, shape.tag);
+    if (key !== undefined) fresh.dataset.key = key;
+    if (el) el.replaceWith(fresh); else layer.appendChild(fresh);
+    el = fresh;
+  }
+  for (const name in shape.attrs) setAttr(el, name, shape.attrs[name]);
+  return el;
+}
+
+// An edge is its visible line, a wide transparent copy on top that is easy to click / hover,
+// and an optional caption
+function flushEdge(rec) {
+  const w = rec.want;
+  rec.el = syncShape(rec.el, w.shape, scene.layers.edges, rec.key);
+  rec.hit = syncShape(rec.hit, w.hit, scene.layers.edges, rec.key);
+  setClass(rec.el, Array.from(w.cls).join(' '));
+  setClass(rec.hit, w.hit.loop ? 'edge-hit loop' : 'edge-hit');
+  setStyle(rec.el, 'stroke', w.stroke);
+  setStyle(rec.el, '--edge-color', w.color);
+  setAttr(rec.el, 'marker-end', w.marker ? 'url(#arrow)' : null);
+  if (!w.caption) {
+    if (rec.caption) { rec.caption.remove(); rec.caption = null; }
+    return;
+  }
+  if (!rec.caption) {
+    rec.caption = document.createElementNS(SVG_NS, 'text');
+    rec.caption.setAttribute('text-anchor', 'middle');
+    rec.caption.classList.add('elabel');
+    scene.layers.captions.appendChild(rec.caption);
+  }
+  setAttr(rec.caption, 'x', w.at[0]);
+  setAttr(rec.caption, 'y', w.at[1]);
+  setText(rec.caption, w.caption);
+}
+
+// Virtual and suggested edges are few; redraw them only when they change
+function flushExtras() {
+  const sig = JSON.stringify(scene.extras.map(x => [x.cls, x.shape.tag, x.shape.attrs]));
+  if (sig === scene.extrasDrawn) return;
+  scene.extrasDrawn = sig;
+  const layer = scene.layers.extras;
+  while (layer.firstChild) layer.firstChild.remove();
+  for (const x of scene.extras) setClass(syncShape(null, x.shape, layer), x.cls);
+}
+
+function flushNode(rec) {
+  const w = rec.want;
+  if (!rec.g) {
+    rec.g = document.createElementNS(SVG_NS, 'g');
+    rec.c = document.createElementNS(SVG_NS, 'circle');
+    rec.c.setAttribute('r', NODE_R);
+    rec.c.dataset.id = rec.key;
+    rec.tip = document.createElementNS(SVG_NS, 'title');
+    rec.t = document.createElementNS(SVG_NS, 'text');
+    rec.t.setAttribute('text-anchor', 'middle');
+    rec.c.appendChild(rec.tip);
+    rec.g.appendChild(rec.c);
+    rec.g.appendChild(rec.t);
+    scene.layers.nodes.appendChild(rec.g);
+  }
+  setAttr(rec.c, 'cx', w.x);
+  setAttr(rec.c, 'cy', w.y);
+  setClass(rec.c, Array.from(w.cls).join(' '));
+  setStyle(rec.c, 'fill', w.fill);
+  setStyle(rec.c, '--node-color', w.color);
+  setText(rec.tip, w.title);
+  setAttr(rec.t, 'x', w.x);
+  setAttr(rec.t, 'y', w.y + 4);
+  setClass(rec.t, w.named ? 'nlabel named' : 'nlabel');
+  setText(rec.t, w.text);
+}
+
+function flushLabel(rec) {
+  const w = rec.want;
+  if (!rec.el) {
+    rec.el = document.createElementNS(SVG_NS, 'text');
+    rec.el.setAttribute('text-anchor', 'middle');
+    rec.el.dataset.id = rec.key;
+    scene.layers.labels.appendChild(rec.el);
+  }
+  setAttr(rec.el, 'x', w.x);
+  setAttr(rec.el, 'y', w.y);
+  setClass(rec.el, Array.from(w.cls).join(' '));
+  setText(rec.el, w.text);
+}
+
+// --- Canvas fallback: the same scene painted on a <canvas>, for graphs too big for SVG ---
+
+const paintStyles = new Map(); // tag | classes | inline style -> how style.css draws it
+function paintStyle(tag, cls, inline) {
+  const key = `${tag}|${cls}|${inline}`;
+  let s = paintStyles.get(key);
+  if (s) return s;
+  const probe = document.createElementNS(SVG_NS, tag);
+  probe.setAttribute('class', cls);
+  if (inline) probe.setAttribute('style', inline);
+  scene.layers.probe.appendChild(probe);
+  const cs = getComputedStyle(probe);
+  const dash = cs.strokeDasharray && cs.strokeDasharray !== 'none' ? (cs.strokeDasharray.match(/[\d.]+/g) || []).map(Number) : [];
+  s = { fill: cs.fill || 'none', stroke: cs.stroke || 'none', width: parseFloat(cs.strokeWidth) || 1, dash, opacity: cs.opacity === '' ? 1 : Number(cs.opacity) };
+  probe.remove();
+  paintStyles.set(key, s);
+  return s;
+}
+
+function inlineStyle(pairs) {
+  return pairs.filter(([, v]) => v).map(([k, v]) => `${k}:${v}`).join(';');
+}
+
+function shapePath(shape) {
+  const a = shape.attrs;
+  return new Path2D(shape.tag === 'line' ? `M ${a.x1} ${a.y1} L ${a.x2} ${a.y2}` : a.d);
+}
+
+function strokeShape(ctx, shape, st, marker) {
+  if (st.stroke === 'none' || st.stroke === 'transparent') return;
+  ctx.globalAlpha = st.opacity;
+  ctx.strokeStyle = st.stroke;
+  ctx.lineWidth = st.width;
+  ctx.setLineDash(st.dash);
+  ctx.stroke(shapePath(shape));
+  if (!marker) return;
+  // arrowhead like the SVG marker: 7 stroke widths long at the end of the edge
+  const [x, y, dx, dy] = shape.tip;
+  const len = Math.hypot(dx, dy) || 1;
+  const ux = dx / len; const uy = dy / len;
+  const size = 3.5 * st.width;
+  ctx.setLineDash([]);
+  ctx.fillStyle = st.stroke;
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x - ux * size * 2 - uy * size, y - uy * size * 2 + ux * size);
+  ctx.lineTo(x - ux * size * 2 + uy * size, y - uy * size * 2 - ux * size);
+  ctx.fill();
+}
+
+// Edges, then the nodes in view; text only once it is big enough on screen to read
+function paintCanvas() {
+  const ctx = sceneCanvas.getContext && sceneCanvas.getContext('2d');
+  if (!ctx) return;
+  const [w, h] = svgSize();
+  const ratio = window.devicePixelRatio || 1;
+  if (sceneCanvas.width !== Math.round(w * ratio)) { sceneCanvas.width = Math.round(w * ratio); sceneCanvas.height = Math.round(h * ratio); }
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, sceneCanvas.width, sceneCanvas.height);
+  const s = ratio * viewport.k;
+  ctx.setTransform(s, 0, 0, s, -viewport.x * s, -viewport.y * s);
+  ctx.lineCap = 'round';
+  for (const rec of scene.edges.values()) {
+    const we = rec.want;
+    strokeShape(ctx, we.shape, paintStyle('path', Array.from(we.cls).join(' '), inlineStyle([['stroke', we.stroke], ['--edge-color', we.color]])), we.marker);
+  }
+  for (const x of scene.extras) strokeShape(ctx, x.shape, paintStyle('path', x.cls, ''), false);
+  const seen = GraphViewport.visible(viewport, w, h);
+  const inView = (x, y) => x > seen.x1 - NODE_R && x < seen.x2 + NODE_R && y > seen.y1 - NODE_R && y < seen.y2 + NODE_R;
+  const readable = viewport.k >= 0.6;
+  ctx.setLineDash([]);
+  for (const rec of scene.nodes.values()) {
+    const wn = rec.want;
+    if (!inView(wn.x, wn.y)) continue;
+    const st = paintStyle('circle', Array.from(wn.cls).join(' '), inlineStyle([['fill', wn.fill], ['--node-color', wn.color]]));
+    ctx.globalAlpha = st.opacity;
+    ctx.beginPath();
+    ctx.arc(wn.x, wn.y, NODE_R, 0, 2 * Math.PI);
+    if (st.fill !== 'none') { ctx.fillStyle = st.fill; ctx.fill(); }
+    if (st.stroke !== 'none') { ctx.strokeStyle = st.stroke; ctx.lineWidth = st.width; ctx.setLineDash(st.dash); ctx.stroke(); ctx.setLineDash([]); }
+  }
+  ctx.globalAlpha = 1;
+  if (!readable) return;
+  ctx.textAlign = 'center';
+  ctx.fillStyle = '#222';
+  ctx.font = '600 11px sans-serif';
+  for (const rec of scene.nodes.values()) if (inView(rec.want.x, rec.want.y)) ctx.fillText(rec.want.text, rec.want.x, rec.want.y + 4);
+  ctx.font = '10px sans-serif';
+  ctx.fillStyle = '#444';
+  for (const rec of scene.edges.values()) if (rec.want.caption) ctx.fillText(rec.want.caption, rec.want.at[0], rec.want.at[1]);
+  ctx.font = '10px monospace';
+  for (const rec of scene.labels.values()) {
+    ctx.fillStyle = rec.want.cls.has('compare') ? '#d9534f' : '#555';
+    ctx.fillText(rec.want.text, rec.want.x, rec.want.y);
+  }
+}
+
+// Node or edge at world point p on the canvas fallback: {node: id}, {edge: key} or {}
+function canvasHit(p) {
+  if (!scene.index) scene.index = GraphViewport.nodeIndex(graph.nodes);
+  const n = scene.index.near(p.x, p.y, NODE_R);
+  if (n) return { node: n.id };
+  let best = {}; let bestD = 6 / viewport.k;
+  for (const [key, e] of graph.edgeMap) {
+    const na = nodeMap.get(e.a); const nb = nodeMap.get(e.b);
+    if (!na || !nb) continue;
+    const d = GraphViewport.segmentDistance(p.x, p.y, na.x, na.y, nb.x, nb.y);
+    if (d < bestD) { best = { edge: key }; bestD = d; }
+  }
+  return best;
+}
+
+// What a pointer event on the canvas is over: {node: id}, {edge: key} or {} for empty space
+function pointerTarget(e) {
+  if (scene.canvas) return e.target === svg ? canvasHit(svgPoint(e)) : {};
+  const cls = e.target.classList;
+  if (cls && cls.contains('node') && e.target.dataset.id !== undefined) return { node: Number(e.target.dataset.id) };
+  if (cls && cls.contains('edge-hit')) return { edge: e.target.dataset.key };
+  return {};
+}
+
+// --- Zoom, pan and the minimap ---
+
+// Show another part of the world: the SVG viewBox, the canvas fallback and the minimap follow
+function setView(v) {
+  viewport = v;
+  const [w, h] = svgSize();
+  svg.setAttribute('viewBox', `${v.x} ${v.y} ${w / v.k} ${h / v.k}`);
+  if (zoomLabel) zoomLabel.textContent = `${Math.round(v.k * 100)}%`;
+  if (scene.canvas) paintCanvas();
+  scheduleMinimap();
+}
+
+function fitView() {
+  const [w, h] = svgSize();
+  setView(GraphViewport.fit(GraphViewport.bounds(graph.nodes, NODE_R + 40), w, h));
+}
+
+// Zoom around the middle of what is shown
+function zoomBy(factor) {
+  const [w, h] = svgSize();
+  setView(GraphViewport.zoomAt(viewport, factor, viewport.x + w / viewport.k / 2, viewport.y + h / viewport.k / 2));
+}
+
+// After loading a graph: the plain drawing area when the graph lies in it, else zoomed out to fit
+function showWholeGraph() {
+  const [w, h] = svgSize();
+  const b = GraphViewport.bounds(graph.nodes, NODE_R);
+  if (!b || (b.x1 >= 0 && b.y1 >= 0 && b.x2 <= w && b.y2 <= h)) setView({ x: 0, y: 0, k: 1 });
+  else setView(GraphViewport.fit(GraphViewport.bounds(graph.nodes, NODE_R + 40), w, h, 1));
+}
+
+let minimapFrame = 0;
+let minimapShown = null; // transform of the last minimap paint, to turn clicks into world points
+function scheduleMinimap() {
+  if (minimapFrame || !minimapCanvas) return;
+  minimapFrame = requestAnimationFrame(() => { minimapFrame = 0; paintMinimap(); });
+}
+
+// The whole graph small, cut vertices in red, and the visible rectangle
+function paintMinimap() {
+  minimapCanvas.hidden = !minimapCheck.checked || !graph.nodes.length;
+  minimapShown = null;
+  if (minimapCanvas.hidden) return;
+  const ctx = minimapCanvas.getContext && minimapCanvas.getContext('2d');
+  if (!ctx) return;
+  const [w, h] = svgSize();
+  const mw = minimapCanvas.width; const mh = minimapCanvas.height;
+  const t = GraphViewport.minimapTransform(GraphViewport.bounds(graph.nodes, NODE_R), viewport, w, h, mw, mh);
+  minimapShown = t;
+  const sx = (x) => (x - t.ox) * t.scale; const sy = (y) => (y - t.oy) * t.scale;
+  ctx.clearRect(0, 0, mw, mh);
+  ctx.strokeStyle = '#c8c8c8';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (const e of graph.edgeMap.values()) {
+    const na = nodeMap.get(e.a); const nb = nodeMap.get(e.b);
+    if (!na || !nb) continue;
+    ctx.moveTo(sx(na.x), sy(na.y));
+    ctx.lineTo(sx(nb.x), sy(nb.y));
+  }
+  ctx.stroke();
+  for (const rec of scene.nodes.values()) {
+    const c = rec.want.cls;
+    ctx.fillStyle = c.has('art') || c.has('sap') || c.has('min-cut') ? '#d9534f' : '#7c5e3c';
+    ctx.fillRect(sx(rec.want.x) - 1.5, sy(rec.want.y) - 1.5, 3, 3);
+  }
+  const v = GraphViewport.visible(viewport, w, h);
+  ctx.strokeStyle = '#1f6feb';
+  ctx.lineWidth = 1.5;
+  ctx.strokeRect(sx(v.x1), sy(v.y1), (v.x2 - v.x1) * t.scale, (v.y2 - v.y1) * t.scale);
+}
+
+// Center the view on the world point under a minimap pointer event
+function minimapMoveView(e) {
+  if (!minimapShown) return;
+  const rect = minimapCanvas.getBoundingClientRect();
+  const px = (e.clientX - rect.left) * (rect.width ? minimapCanvas.width / rect.width : 1);
+  const py = (e.clientY - rect.top) * (rect.height ? minimapCanvas.height / rect.height : 1);
+  const [w, h] = svgSize();
+  setView(GraphViewport.centerOn(viewport, minimapShown.ox + px / minimapShown.scale, minimapShown.oy + py / minimapShown.scale, w, h));
+}
+
+// κ / λ of the whole graph, or local κ(s,t) / λ(s,t) when exactly two nodes are selected
+function runConnectivity() {
+  const kind = connKindSelect.value;
+  const sym = kind === 'vertex' ? 'κ' : 'λ';
+  const picked = Array.from(selection.nodes);
+  let res;
+  if (picked.length === 2) {
+    const [s, t] = picked;
+    res = kind === 'vertex' ? GraphConnectivity.localVertexConnectivity(graph, s, t) : GraphConnectivity.localEdgeConnectivity(graph, s, t);
+  } else {
+    res = kind === 'vertex' ? GraphConnectivity.vertexConnectivity(graph) : GraphConnectivity.edgeConnectivity(graph);
+  }
+  res.connectivity = true;
+  const what = picked.length === 2 ? `${sym}(${nodeName(res.s)},${nodeName(res.t)})` : `${sym}(G)`;
+  const paths = `${res.paths.length} disjoint path${res.paths.length === 1 ? '' : 's'}`;
+  let msg;
+  if (graph.nodes.length < 2) msg = `${what} = 0 — need at least two nodes`;
+  else if (res.disconnected) msg = `${what} = 0 — graph is disconnected`;
+  else if (res.complete) msg = `${what} = ${res.value} — complete graph, no vertex cut`;
+  else if (res.adjacent) msg = `${what} = ${res.value} — adjacent vertices have no vertex cut, ${paths}`;
+  else {
+    const cut = kind === 'vertex' ? res.cutVertices.map(nodeName).join(', ') : res.cutEdges.map(k => graph.edgeLabel(k)).join(', ');
+    msg = `${what} = ${res.value}${picked.length === 2 ? '' : ` (between ${nodeName(res.s)} and ${nodeName(res.t)})`} — min ${kind} cut {${cut}}, ${paths}`;
+  }
+  setStatus(msg);
+  render(res);
+}
+
+// Suggest the fewest new edges that leave no cut vertices (blocks mode) or no bridges (2-edge mode)
+function suggestAugmentation() {
+  const mode = analysisMode();
+  if (mode === 'directed') { setStatus('Link suggestions work in Biconnected blocks or 2-edge-connected mode'); return; }
+  const res = runModeAnalysis();
+  res.augmentation = graph.augmentation(mode === 'twoEdge' ? 'twoEdge' : 'biconnected');
+  const n = res.augmentation.edges.length;
+  const goal = mode === 'twoEdge' ? '2-edge-connected' : 'biconnected';
+  setStatus(n ? `${n} new link${n === 1 ? '' : 's'} make the graph ${goal}: ${res.augmentation.edges.map(([a, b]) => `${nodeName(a)}-${nodeName(b)}`).join(', ')}` : `Graph is already ${goal}`);
+  render(res);
+}
+
+// Add every suggested edge as one undoable edit, then re-run the analysis to show the result
+function applyAugmentation() {
+  const aug = lastResult && lastResult.augmentation;
+  if (!aug || !aug.edges.length) return;
+  recordEdit(`Add ${aug.edges.length} suggested link(s)`, () => {
+    for (const [a, b] of aug.edges) graph.addEdge(a, b);
+  });
+  const res = runModeAnalysis();
+  render(res);
+  setStatus(`Added ${aug.edges.length} link(s): ${summarizeResult(res)}`);
+}
+
+// Run the picked algorithm and a second one side by side; the first one's result is drawn,
+// the agreement table goes under the components and disagreements are marked on the canvas
+function compareAlgorithms() {
+  const cmp = GraphAlgorithms.compare(graph, algorithmId(), compareAlgorithmSelect.value);
+  const [la, lb] = [cmp.a, cmp.b].map(id => GraphAlgorithms.get(id).label);
+  const res = Object.assign({}, cmp.results[0], { comparison: cmp });
+  render(res);
+  const what = ['aps', 'bridges', 'blocks'].filter(k => cmp[k].onlyA.length || cmp[k].onlyB.length);
+  setStatus(cmp.agree ? `${la} and ${lb} agree: ${summarizeResult(cmp.results[0])}` : `${la} and ${lb} DISAGREE on ${what.join(', ')}`);
+}
+
+// Agreement table (one column per algorithm) and disagree marks for a compare result
+function renderComparison(cmp) {
+  const table = document.createElement('table');
+  table.className = 'compare-table';
+  const head = document.createElement('tr');
+  for (const h of [''].concat(cmp.labels || [GraphAlgorithms.get(cmp.a).label, GraphAlgorithms.get(cmp.b).label])) {
+    const th = document.createElement('th');
+    th.textContent = h;
+    head.appendChild(th);
+  }
+  table.appendChild(head);
+  const edgeText = (k) => graph.edgeLabel(k);
+  const rows = [
+    ['Cut vertices', cmp.aps, nodeName],
+    ['Bridges', cmp.bridges, edgeText],
+    ['Blocks', cmp.blocks, (id) => `{${id.split(' ').map(edgeText).join(' ')}}`],
+  ];
+  for (const [name, d, show] of rows) {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = `${name} ${d.onlyA.length || d.onlyB.length ? '✗' : '✓'}`;
+    tr.appendChild(th);
+    for (const [all, only] of [[d.a, d.onlyA], [d.b, d.onlyB]]) {
+      const td = document.createElement('td');
+      td.textContent = `${all.length}${only.length ? ` (only here: ${only.map(show).join(', ')})` : ''}`;
+      if (only.length) td.classList.add('bad');
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  }
+  componentsList.appendChild(table);
+  markDisagreements(cmp);
+}
+
+// Magenta marks on the nodes and edges a comparison disagrees on. Bridges and blocks come
+// as edge keys (a-b#1, a>b), so a single parallel copy or arc is marked; a bridge wrongly
+// claimed on a parallel pair marks every copy of it.
+function markDisagreements(cmp) {
+  for (const id of cmp.aps.onlyA.concat(cmp.aps.onlyB)) markNode(id, 'disagree');
+  const keys = [];
+  for (const k of cmp.bridges.onlyA.concat(cmp.bridges.onlyB)) {
+    const e = graph.edgeMap.get(k);
+    keys.push(...(e ? graph.edgesBetween(e.a, e.b) : [k]));
+  }
+  for (const id of cmp.blocks.onlyA.concat(cmp.blocks.onlyB)) keys.push(...id.split(' '));
+  for (const k of keys) markEdge(k, 'disagree');
+}
+
+// Check analyze() and analyzeWithSteps() (result and steps) against brute force (verify.js).
+// The table shows the first method that disagrees; every method's mismatches are marked.
+function verifyAnalysis() {
+  const report = GraphVerify.verify(graph);
+  const shown = report.checks.find(c => !c.agree) || report.checks[0];
+  const comparison = Object.assign({ labels: [shown.method, GraphAlgorithms.get('brute').label] }, shown.diff);
+  drawScene(Object.assign({}, shown.result, { comparison }));
+  for (const c of report.checks) if (c !== shown && !c.agree) markDisagreements(c.diff);
+  flushScene();
+  setStatus(report.agree
+    ? `Verified: analyze(), analyzeWithSteps() and its steps match brute force (${summarizeResult(report.expected)})`
+    : `Verify FAILED: ${GraphVerify.describe(report).join(' | ')}`);
+}
+
+// --- Share links and step traces ---
+
+// Put graph, mode, algorithm and step into the URL fragment and copy the link
+function shareLink() {
+  const mode = currentMode || analysisMode();
+  const frag = GraphShare.encodeFragment({ graph, mode, algorithm: mode === 'blocks' ? (currentAlgorithm || algorithmId()) : null, step: stepViewActive ? stepIndex : -1 });
+  history.replaceState(null, '', `#${frag}`);
+  const url = location.href;
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(url).then(() => setStatus(`Link copied (${url.length} characters)`), () => setStatus('Link is in the address bar'));
+  } else setStatus('Link is in the address bar');
+}
+
+// Open the graph from a share link, re-run its analysis and jump to its step
+function openSharedLink(hash, asEdit) {
+  let shared;
+  try { shared = GraphShare.decodeFragment(hash); } catch (e) { setStatus(`Bad share link: ${e.message}`); return false; }
+  if (!shared) return false;
+  if (asEdit) recordEdit('Open shared link', () => { graph = shared.graph; });
+  else { dropQuiz(); graph = shared.graph; }
+  analysisModeSelect.value = shared.mode;
+  if (shared.algorithm && algorithmSelect && GraphAlgorithms.has(shared.algorithm)) algorithmSelect.value = shared.algorithm;
+  layoutBackEdges = null;
+  selected = null; clearSelection(); nodeMap.clear(); showWholeGraph();
+  stopPlayback();
+  prepareSteps();
+  if (shared.step >= 0 && shared.step < currentSteps.length) {
+    stepIndex = shared.step;
+    render(currentResult);
+    applyStepsUpTo(stepIndex);
+  } else {
+    const res = runModeAnalysis();
+    render(res);
+    renderStepsPanel();
+    setStatus(`Opened shared graph: ${summarizeResult(res)}`);
+  }
+  return true;
+}
+
+function exportTrace() {
+  if (!currentSteps.length) { setStatus('No trace yet — Run Analysis first'); return; }
+  const data = GraphShare.exportTrace({ graph, recordedOn: traceGraph || graph, mode: currentMode || analysisMode(), algorithm: currentAlgorithm, steps: currentSteps, stepIndex });
+  const blob = new Blob([data], {type: 'application/json'});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = 'trace.json';
+  document.body.appendChild(a); a.click(); a.remove();
+  URL.revokeObjectURL(url);
+  setStatus(`Exported trace.json (${currentSteps.length} steps)`);
+}
+
+// Load a trace file; the graph it was recorded on replaces the current one unless they match
+function importTrace(text, name) {
+  let trace;
+  try { trace = GraphShare.parseTrace(text); } catch (e) { setStatus(`Trace import failed: ${e.message}`); return; }
+  if (trace.mode === 'blocks' && trace.algorithm && !GraphAlgorithms.has(trace.algorithm)) {
+    setStatus(`Trace import failed: unknown algorithm "${trace.algorithm}"`);
+    return;
+  }
+  if (GraphShare.describeMismatch(trace.fingerprint, graph)) {
+    recordEdit(`Import trace ${name}`, () => { graph = trace.graph.clone(); });
+    layoutBackEdges = null;
+    selected = null; clearSelection(); nodeMap.clear(); showWholeGraph();
+  }
+  stopPlayback();
+  analysisModeSelect.value = trace.mode;
+  if (trace.algorithm && algorithmSelect) algorithmSelect.value = trace.algorithm;
+  loadTrace(runModeAnalysis(), trace.steps, trace.mode, trace.graph);
+  render(currentResult);
+  if (trace.stepIndex >= 0 && trace.stepIndex < currentSteps.length) {
+    stepIndex = trace.stepIndex;
+    applyStepsUpTo(stepIndex);
+  } else {
+    renderStepsPanel();
+    setStatus(`Imported trace (${currentSteps.length} steps) — use Play/Next`);
+  }
+}
+
+// --- Workspace: autosave, named graphs and the last session (workspace.js) ---
+
+function openWorkspace() {
+  // storage can be switched off (privacy settings, sandboxed frames)
+  try { return window.localStorage ? new Workspace(window.localStorage) : null; } catch (e) { return null; }
+}
+
+function scheduleAutosave() {
+  if (!workspace) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(autosave, 400);
+}
+
+function autosave() {
+  autosaveTimer = null;
+  try {
+    workspace.saveSession({ graph, name: workspaceName, mode: analysisMode(), algorithm: algorithmId() });
+    if (workspaceName) { workspace.save(workspaceName, graph); renderWorkspacePanel(); }
+  } catch (e) {
+    setStatus(`Autosave failed: ${e.message}`);
+  }
+}
+
+// Bring back the graph and settings of the previous visit; false if there is none
+function restoreSession() {
+  const session = workspace && workspace.loadSession();
+  if (!session) return false;
+  graph = session.graph;
+  if (Array.from(analysisModeSelect.options).some(o => o.value === session.mode)) analysisModeSelect.value = session.mode;
+  if (session.algorithm && algorithmSelect && GraphAlgorithms.has(session.algorithm)) algorithmSelect.value = session.algorithm;
+  workspaceName = session.name && workspace.has(session.name) ? session.name : null;
+  nodeMap.clear(); showWholeGraph(); render();
+  setStatus(`Restored last session${workspaceName ? ` ("${workspaceName}")` : ''} from ${new Date(session.modified).toLocaleString()}`);
+  return true;
+}
+
+function renderWorkspacePanel() {
+  if (!workspacePanel) return;
+  workspacePanel.innerHTML = '';
+  if (!workspace) { workspacePanel.innerHTML = '<div class="small">Browser storage is unavailable; nothing is saved.</div>'; return; }
+  const entries = workspace.list();
+  if (!entries.length) { workspacePanel.innerHTML = '<div class="small">No saved graphs yet</div>'; return; }
+  for (const e of entries) {
+    const div = document.createElement('div');
+    div.className = 'step-entry ws-entry';
+    if (e.name === workspaceName) div.classList.add('current');
+    const info = document.createElement('span');
+    info.className = 'ws-info';
+    info.textContent = `${e.name} — ${e.nodes} nodes, ${e.edges} edges, ${new Date(e.modified).toLocaleString()}`;
+    info.title = info.textContent;
+    div.appendChild(info);
+    for (const [label, action] of [['Open', openWorkspaceGraph], ['Duplicate', duplicateWorkspaceGraph], ['Delete', deleteWorkspaceGraph]]) {
+      const b = document.createElement('button');
+      b.textContent = label;
+      b.addEventListener('click', (ev) => { ev.stopPropagation(); action(e.name); });
+      div.appendChild(b);
+    }
+    div.addEventListener('click', () => openWorkspaceGraph(e.name));
+    workspacePanel.appendChild(div);
+  }
+}
+
+// Save the current graph under a name; later edits autosave into it
+function saveWorkspaceAs() {
+  if (!workspace) { setStatus('Browser storage is unavailable'); return; }
+  const name = wsNameInput.value.trim() || (prompt('Save graph as:', workspaceName || 'graph') || '').trim();
+  if (!name) return;
+  if (name !== workspaceName && workspace.has(name) && !confirm(`Replace the saved graph "${name}"?`)) return;
+  try { workspace.save(name, graph); } catch (e) { setStatus(`Save failed: ${e.message}`); return; }
+  workspaceName = name;
+  wsNameInput.value = '';
+  scheduleAutosave();
+  renderWorkspacePanel();
+  setStatus(`Saved "${name}"`);
+}
+
+// Switch to a saved graph. Its edits start a fresh history, so undo never reaches
+// back into the previous graph (which would then be autosaved under this name).
+function openWorkspaceGraph(name) {
+  const g = workspace.open(name);
+  if (!g) { setStatus(`"${name}" is no longer saved`); renderWorkspacePanel(); return; }
+  finishLayoutAnimation();
+  stopPlayback();
+  graph = g;
+  workspaceName = name;
+  dropQuiz();
+  editHistory.clear();
+  layoutBackEdges = null;
+  selected = null; clearSelection(); nodeMap.clear(); showWholeGraph(); render();
+  renderHistoryPanel();
+  renderWorkspacePanel();
+  setStatus(`Opened "${name}" (${g.nodes.length} nodes, ${g.edgeMap.size} edges)`);
+}
+
+function duplicateWorkspaceGraph(name) {
+  let copy;
+  try { copy = workspace.duplicate(name); } catch (e) { setStatus(`Duplicate failed: ${e.message}`); return; }
+  renderWorkspacePanel();
+  setStatus(copy ? `Duplicated "${name}" as "${copy}"` : `"${name}" is no longer saved`);
+}
+
+function deleteWorkspaceGraph(name) {
+  if (!confirm(`Delete the saved graph "${name}"?`)) return;
+  workspace.remove(name);
+  if (name === workspaceName) { workspaceName = null; scheduleAutosave(); }
+  renderWorkspacePanel();
+  setStatus(`Deleted "${name}"`);
+}
+
+// Add every graph file (JSON or any import format, also inside .zip archives) as a saved
+// graph named after the file. Broken files are skipped and reported.
+async function importIntoWorkspace(files) {
+  if (!workspace) { setStatus('Browser storage is unavailable'); return; }
+  const sources = []; // {name, text} or {name, error}
+  for (const f of files) {
+    const path = f.webkitRelativePath || f.name;
+    if (/\.zip$/i.test(f.name)) {
+      try {
+        for (const entry of await Workspace.readZip(await f.arrayBuffer())) sources.push(Object.assign({}, entry, { name: `${path}/${entry.name}` }));
+      } catch (e) {
+        sources.push({ name: path, error: e.message });
+      }
+    } else sources.push({ name: path, text: await f.text() });
+  }
+  let added = 0;
+  const failed = [];
+  for (const src of sources) {
+    const base = src.name.split('/').pop();
+    // archive tool clutter (__MACOSX/, .DS_Store)
+    if (base.startsWith('.') || src.name.includes('__MACOSX/')) continue;
+    if (src.error) { failed.push(`${src.name}: ${src.error}`); continue; }
+    try {
+      const g = GraphFormats.parse(GraphFormats.detectFormat(base, src.text), src.text);
+      workspace.save(workspace.uniqueName(base.replace(/\.[^.]+$/, '') || base), g);
+      added++;
+    } catch (e) {
+      failed.push(`${src.name}: ${e instanceof GraphFormats.ParseError ? `line ${e.errors[0].line}: ${e.errors[0].message}` : e.message}`);
+    }
+  }
+  renderWorkspacePanel();
+  const shown = failed.slice(0, 2).join('; ') + (failed.length > 2 ? ` (+${failed.length - 2} more)` : '');
+  setStatus(`Imported ${added} graph(s) into the workspace${failed.length ? `; ${failed.length} failed: ${shown}` : ''}`);
+}
+
+// --- Labels and attributes ---
+
+// Display name of a node: its label, or the id
+function nodeName(id) {
+  return graph.nodeLabel(id);
+}
+
+// The one selected node or edge: {kind, id, data, name}, or null
+function selectedItem() {
+  if (selection.nodes.size === 1 && !selection.edges.size) {
+    const id = Array.from(selection.nodes)[0];
+    const data = graph.nodes.find(n => n.id === id);
+    return data ? { kind: 'node', id, data, name: `node ${nodeName(id)}` } : null;
+  }
+  if (selection.edges.size === 1 && !selection.nodes.size) {
+    const key = Array.from(selection.edges)[0];
+    const data = graph.edgeMap.get(key);
+    return data ? { kind: 'edge', id: key, data, name: `edge ${graph.edgeLabel(key)}` } : null;
+  }
+  return null;
+}
+
+// Numbers stay numbers (weights, capacities); everything else is kept as text
+function attrValue(text) {
+  const t = String(text).trim();
+  return t !== '' && Number.isFinite(Number(t)) ? Number(t) : t;
+}
+
+// Set the label or one attribute of a node / edge as an undoable edit ('' removes it)
+function editItem(item, name, value) {
+  const ok = recordEdit(`Set ${name} of ${item.name}`, () => {
+    if (name === 'label') return item.kind === 'node' ? graph.setNodeLabel(item.id, value) : graph.setEdgeLabel(item.id, value);
+    return item.kind === 'node' ? graph.setNodeAttr(item.id, name, value) : graph.setEdgeAttr(item.id, name, value);
+  });
+  if (!ok) return;
+  refreshView();
+  setStatus(value === '' || value === null ? `Removed ${name} of ${item.name}` : `Set ${name} of ${item.name}`);
+}
+
+// Label, weight, color and free key / value pairs of the selected node or edge
+function renderAttributePanel() {
+  if (!attrPanel) return;
+  attrPanel.innerHTML = '';
+  const item = selectedItem();
+  if (!item) {
+    attrPanel.innerHTML = '<div class="small">Select one node or edge to edit its label and attributes</div>';
+    return;
+  }
+  const head = document.createElement('div');
+  head.className = 'small';
+  head.textContent = item.kind === 'node' ? `Node id ${item.id}` : `Edge ${item.id} (${item.data.directed ? 'directed' : 'undirected'})`;
+  attrPanel.appendChild(head);
+  const attrs = item.data.attrs || {};
+  const row = (labelText, input, extra) => {
+    const div = document.createElement('div');
+    div.className = 'attr-row';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    label.appendChild(input);
+    div.appendChild(label);
+    if (extra) div.appendChild(extra);
+    attrPanel.appendChild(div);
+    return div;
+  };
+  const textInput = (value, onChange, type = 'text') => {
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value === undefined ? '' : value;
+    input.addEventListener('change', () => onChange(input.value));
+    return input;
+  };
+  row('Label ', textInput(item.data.label, (v) => editItem(item, 'label', v)));
+  row('Weight ', textInput(attrs.weight, (v) => {
+    if (v.trim() !== '' && !Number.isFinite(Number(v))) { setStatus('Weight must be a number'); return; }
+    editItem(item, 'weight', v.trim() === '' ? '' : Number(v));
+  }, 'number'));
+  const color = textInput(attrs.color || '#ffffff', (v) => editItem(item, 'color', v), 'color');
+  const clear = document.createElement('button');
+  clear.textContent = 'Default';
+  clear.disabled = !attrs.color;
+  clear.addEventListener('click', () => editItem(item, 'color', ''));
+  row('Color ', color, clear);
+  for (const [k, v] of Object.entries(attrs)) {
+    if (k === 'weight' || k === 'color') continue;
+    const remove = document.createElement('button');
+    remove.textContent = '×';
+    remove.title = `Remove ${k}`;
+    remove.addEventListener('click', () => editItem(item, k, ''));
+    row(`${k} `, textInput(v, (val) => editItem(item, k, attrValue(val))), remove);
+  }
+  const add = document.createElement('div');
+  add.className = 'attr-row';
+  const keyInput = textInput('', () => {});
+  keyInput.placeholder = 'key';
+  const valueInput = textInput('', () => {});
+  valueInput.placeholder = 'value';
+  const addBtn = document.createElement('button');
+  addBtn.textContent = 'Add';
+  addBtn.addEventListener('click', () => {
+    const k = keyInput.value.trim();
+    if (!k) { setStatus('Attribute needs a key'); return; }
+    editItem(item, k === 'label' ? 'label' : k, k === 'label' ? valueInput.value : attrValue(valueInput.value));
+  });
+  for (const el of [keyInput, valueInput, addBtn]) add.appendChild(el);
+  attrPanel.appendChild(add);
+}
 
-  // draw edges
-  // draw edges (iterate edgeMap created in Graph)
-  for (const [key, e] of graph.edgeMap.entries()) {
-    const a = e.a; const b = e.b;
-    const na = nodeMap.get(a) || graph.nodes.find(n => n.id === a);
-    const nb = nodeMap.get(b) || graph.nodes.find(n => n.id === b);
-    if (!na || !nb) continue;
-    const line = document.createElementNS('http://www.w3.org/2000/svg','line');
-    line.setAttribute('x1', na.x);
-    line.setAttribute('y1', na.y);
-    line.setAttribute('x2', nb.x);
-    line.setAttribute('y2', nb.y);
-    line.dataset.key = key;
-    line.classList.add('edge');
-    if (result) {
-      const ek = graph.edgeKey(a,b);
-      if (result.bridges.some(ed => (ed[0]===a && ed[1]===b) || (ed[0]===b && ed[1]===a))) {
-        line.classList.add('bridge');
-      } else {
-        // non-bridge edges: keep default styling (black via CSS)
+// --- Text pane (textgraph.js) ---
+
+// Rewrite the text from the graph, unless the text is being typed in (it is the source then)
+function syncGraphText() {
+  if (!graphTextArea || document.activeElement === graphTextArea) return;
+  graphTextArea.value = GraphText.format(graph, { coords: graphTextCoordsCheck.checked });
+  showGraphTextErrors([]);
+}
+
+// Line numbers beside the text, bad lines marked with their message
+function showGraphTextErrors(errors) {
+  const byLine = new Map(errors.map(e => [e.line, e.message]));
+  graphTextGutter.innerHTML = '';
+  const count = graphTextArea.value.split('\n').length;
+  for (let i = 1; i <= count; i++) {
+    const div = document.createElement('div');
+    div.textContent = i;
+    if (byLine.has(i)) { div.className = 'err'; div.title = byLine.get(i); }
+    graphTextGutter.appendChild(div);
+  }
+  graphTextGutter.scrollTop = graphTextArea.scrollTop;
+  graphTextErrors.innerHTML = '';
+  for (const e of errors) {
+    const div = document.createElement('div');
+    div.textContent = `line ${e.line}: ${e.message}`;
+    div.addEventListener('click', () => goToGraphTextLine(e.line));
+    graphTextErrors.appendChild(div);
+  }
+}
+
+function goToGraphTextLine(line) {
+  const lines = graphTextArea.value.split('\n');
+  const start = lines.slice(0, line - 1).reduce((t, l) => t + l.length + 1, 0);
+  graphTextArea.focus();
+  graphTextArea.setSelectionRange(start, start + lines[line - 1].length);
+}
+
+// Parse the text and, when every line is valid, make it the graph. Keystrokes that follow
+// each other closely amend one "Edit graph text" history entry instead of adding one each.
+function applyGraphText() {
+  clearTimeout(graphTextTimer);
+  graphTextTimer = null;
+  const parsed = GraphText.parse(graphTextArea.value);
+  showGraphTextErrors(parsed.errors);
+  if (parsed.errors.length) {
+    setStatus(`Graph text: ${parsed.errors.length} line(s) with errors, graph unchanged`);
+    return false;
+  }
+  const next = GraphText.apply(graph, parsed, ...svgSize());
+  if (JSON.stringify(next.snapshot()) === JSON.stringify(graph.snapshot())) return true;
+  const last = editHistory.entries[editHistory.index];
+  if (last && last.label === 'Edit graph text' && Date.now() - last.time < 2000 && editHistory.amend(next.clone())) {
+    finishLayoutAnimation();
+    dropQuiz();
+    graph = next;
+    renderHistoryPanel();
+  } else {
+    recordEdit('Edit graph text', () => { graph = next; });
+  }
+  layoutBackEdges = null;
+  for (const id of Array.from(selection.nodes)) if (!graph.adj.has(id)) selection.nodes.delete(id);
+  for (const k of Array.from(selection.edges)) if (!graph.edgeMap.has(k)) selection.edges.delete(k);
+  nodeMap.clear(); render();
+  setStatus(`Graph text applied: ${graph.nodes.length} nodes, ${graph.edgeMap.size} edges`);
+  return true;
+}
+
+// A graph pasted outside text fields goes into the text pane. Text in another format
+// (JSON, DOT, GraphML, DIMACS) is converted first, keeping its coordinates.
+function pasteGraph(text) {
+  let body = text;
+  if (GraphText.parse(text).errors.length) {
+    const format = GraphFormats.detectFormat('', text);
+    try {
+      body = GraphText.format(GraphFormats.parse(format, text), { coords: true });
+    } catch (e) {
+      if (format !== 'edgelist') { setStatus(`Paste: not a graph (${e.message})`); return; }
+    }
+  }
+  graphTextArea.value = body;
+  applyGraphText();
+  showWholeGraph();
+}
+
+// --- Quiz mode (quiz.js) ---
+
+// While a round is open the canvas shows no analysis and clicks pick answers
+function quizHidesAnalysis() { return quiz !== null && !quiz.grade; }
+
+function startQuiz() {
+  stopPlayback();
+  const fresh = quizNewGraphCheck.checked;
+  if (fresh) {
+    genSeedInput.value = ''; // a fresh seed each round
+    if (!generateGraph()) return;
+  }
+  const kind = quizKindSelect.value;
+  const round = { kind, seed: fresh ? genSeedInput.value.trim() : '', picks: { nodes: new Set(), edges: new Set() }, steps: null, question: null, answers: new Map(), grade: null };
+  if (kind === 'discLow') {
+    round.steps = graph.analyzeWithSteps().steps;
+    round.question = GraphQuiz.discLowQuestion(round.steps);
+    if (!round.question) { setStatus('Graph is too small for a disc/low question'); return; }
+  }
+  quiz = round;
+  // the stepper would give the answer away
+  currentSteps = []; currentResult = null; currentAlgorithm = null; traceGraph = null; stepIndex = -1;
+  playBtn.disabled = true; nextBtn.disabled = true; prevBtn.disabled = true;
+  selected = null; clearSelection();
+  setQuizControls();
+  renderStepsPanel();
+  renderQuiz();
+  setStatus(kind === 'discLow' ? `Fill in disc/low of the marked nodes as of step ${quiz.question.stepIndex + 1}, then Submit` : 'Click the cut vertices and the bridges, then Submit');
+}
+
+function setQuizControls() {
+  const open = quizHidesAnalysis();
+  for (const el of [runBtn, compareBtn, verifyBtn, connBtn, augmentBtn, autoAnalyzeCheck]) el.disabled = open;
+  quizSubmitBtn.disabled = !open;
+  quizEndBtn.disabled = !quiz;
+}
+
+// Any edit ends the round: its answers belong to the graph it started on
+function dropQuiz() {
+  if (!quiz) return;
+  quiz = null;
+  setQuizControls();
+  renderQuizPanel();
+}
+
+function toggleQuizPick(kind, id) {
+  if (quiz.grade) return;
+  const set = quiz.picks[kind];
+  if (set.has(id)) set.delete(id); else set.add(id);
+  renderQuiz();
+}
+
+// Canvas for the round: picks while open, correct / missed / wrong marks once graded.
+// The disc/low round shows the DFS at the asked step with the asked labels hidden.
+function renderQuiz() {
+  if (quiz.kind === 'discLow') {
+    const view = GraphAlgorithms.get('tarjan').replay(quiz.steps, quiz.question.stepIndex, graph);
+    const labels = new Map(view.labels);
+    if (!quiz.grade) for (const id of quiz.question.asked) labels.set(id, '?/?');
+    drawStepView(Object.assign({}, view, { result: null, labels, stacks: null, compare: null }));
+    for (const id of quiz.question.asked) markNode(id, 'quiz-asked');
+  } else {
+    drawScene(null);
+    if (!quiz.grade) {
+      for (const id of quiz.picks.nodes) markNode(id, 'quiz-pick');
+      for (const k of quiz.picks.edges) markEdge(k, 'quiz-pick');
+    } else {
+      for (const verdict of ['correct', 'missed', 'wrong']) {
+        for (const id of quiz.grade.nodes[verdict]) markNode(id, `quiz-${verdict}`);
+        for (const k of quiz.grade.edges[verdict]) markEdge(k, `quiz-${verdict}`);
       }
     }
-    svg.appendChild(line);
   }
+  flushScene();
+  renderQuizPanel();
+}
 
-  // draw nodes
-  for (const n of graph.nodes) {
-    const g = document.createElementNS('http://www.w3.org/2000/svg','g');
-    const c = document.createElementNS('http://www.w3.org/2000/svg','circle');
-    c.setAttribute('cx', n.x);
-    c.setAttribute('cy', n.y);
-    c.setAttribute('r', 16);
-    c.classList.add('node');
-    c.dataset.id = n.id;
-    if (result && result.articulationPoints.includes(n.id)) c.classList.add('art');
-
-    c.addEventListener('click', (e) => {
-      e.stopPropagation();
-      if (selected == null) {
-        // select this node
-        // remove previous selected visual if any
-        const prev = svg.querySelector(`circle.node[data-id="${selected}"]`);
-        if (prev) prev.classList.remove('selected');
-        selected = n.id; c.classList.add('selected');
-      } else if (selected === n.id) {
-        // deselect
-        selected = null; c.classList.remove('selected');
-      } else {
-        // add edge between previously selected and this
-        graph.addEdge(selected, n.id);
-        // clear selection visual
-        const prev = svg.querySelector(`circle.node[data-id="${selected}"]`);
-        if (prev) prev.classList.remove('selected');
-        selected = null; render(result);
+// disc/low inputs for the asked nodes (kept in quiz.answers while typing) and the session's scores
+function renderQuizPanel() {
+  if (!quizPanel) return;
+  quizPanel.innerHTML = '';
+  if (quiz && quiz.kind === 'discLow') {
+    for (const id of quiz.question.asked) {
+      const row = document.createElement('div');
+      row.className = 'quiz-row';
+      row.appendChild(document.createTextNode(`node ${nodeName(id)}:`));
+      const given = quiz.answers.get(id) || {};
+      const want = quiz.question.answer.get(id);
+      for (const field of ['disc', 'low']) {
+        const label = document.createElement('label');
+        label.textContent = ` ${field} `;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.dataset.id = id; input.dataset.field = field;
+        if (given[field] !== undefined) input.value = given[field];
+        input.disabled = !!quiz.grade;
+        input.addEventListener('input', () => {
+          if (!quiz.answers.has(id)) quiz.answers.set(id, {});
+          quiz.answers.get(id)[field] = input.value === '' ? undefined : Number(input.value);
+        });
+        if (quiz.grade) {
+          const ok = quiz.grade.fields.get(id)[field];
+          input.classList.add(ok ? 'quiz-correct' : 'quiz-wrong');
+          if (!ok) input.title = `answer: ${want[field]}`;
+        }
+        label.appendChild(input);
+        row.appendChild(label);
       }
-    });
+      if (quiz.grade) row.appendChild(document.createTextNode(` (${want.disc}/${want.low})`));
+      quizPanel.appendChild(row);
+    }
+  }
+  const head = document.createElement('div');
+  head.className = 'small';
+  const avg = quizScores.length ? Math.round(quizScores.reduce((t, r) => t + r.percent, 0) / quizScores.length) : null;
+  head.textContent = quizScores.length ? `Session: ${quizScores.length} round(s), average ${avg}%` : 'No graded rounds yet';
+  quizPanel.appendChild(head);
+  quizScores.slice(-8).forEach((r, i, shown) => {
+    const div = document.createElement('div');
+    div.className = 'small';
+    div.textContent = `#${quizScores.length - shown.length + i + 1} ${r.quiz}: ${r.percent}% (${r.correct} correct, ${r.missed} missed, ${r.wrong} wrong)`;
+    quizPanel.appendChild(div);
+  });
+}
 
-    const t = document.createElementNS('http://www.w3.org/2000/svg','text');
-    t.setAttribute('x', n.x);
-    t.setAttribute('y', n.y+4);
-    t.setAttribute('text-anchor','middle');
-    t.classList.add('nlabel');
-    t.textContent = n.id;
+function submitQuiz() {
+  if (!quizHidesAnalysis()) return;
+  const grade = quiz.kind === 'discLow' ? GraphQuiz.gradeDiscLow(quiz.question, quiz.answers) : GraphQuiz.gradePicks(graph, quiz.picks);
+  quiz.grade = grade;
+  quizScores.push({
+    time: new Date().toISOString(),
+    quiz: quiz.kind === 'discLow' ? `disc/low at step ${quiz.question.stepIndex + 1}` : 'cut vertices and bridges',
+    nodes: graph.nodes.length, edges: graph.edgeMap.size, seed: quiz.seed,
+    correct: grade.correct, missed: grade.missed, wrong: grade.wrong, percent: grade.percent,
+  });
+  saveQuizScores();
+  setQuizControls();
+  renderQuiz();
+  setStatus(`Score ${grade.percent}%: ${grade.correct} correct, ${grade.missed} missed, ${grade.wrong} wrong`);
+}
 
-    g.appendChild(c);
-    g.appendChild(t);
-    svg.appendChild(g);
-    nodeMap.set(n.id, n);
+function endQuiz() {
+  dropQuiz();
+  render();
+  setStatus('Quiz ended');
+}
+
+// Scores live for the browser session (sessionStorage), so a reload keeps them
+function loadQuizScores() {
+  try { return JSON.parse(window.sessionStorage.getItem('bcc.quizScores')) || []; } catch (e) { return []; }
+}
+
+function saveQuizScores() {
+  try { window.sessionStorage.setItem('bcc.quizScores', JSON.stringify(quizScores)); } catch (e) { /* scores stay in memory */ }
+}
+
+function exportQuizScores() {
+  if (!quizScores.length) { setStatus('No graded rounds to export'); return; }
+  const blob = new Blob([GraphQuiz.scoresToCSV(quizScores)], {type: 'text/csv'});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = 'quiz-scores.csv';
+  document.body.appendChild(a); a.click(); a.remove();
+  URL.revokeObjectURL(url);
+  setStatus(`Exported quiz-scores.csv (${quizScores.length} rounds)`);
+}
+
+function setAutoAnalyze(on) {
+  if (on && !liveAnalysis) liveAnalysis = new LiveAnalysis(graph);
+  if (!on && liveAnalysis) { liveAnalysis.detach(); liveAnalysis = null; }
+  if (liveAnalysis) liveAnalysis.takeChange(); // nothing to flash when switching on
+  nodeMap.clear(); render();
+  if (on) {
+    const r = lastResult;
+    setStatus(r ? `Auto-analyze on: APs=${r.articulationPoints.length}, Bridges=${r.bridges.length}, Comps=${r.components.length}` : 'Auto-analyze works in Biconnected blocks mode');
+  } else setStatus('Auto-analyze off');
+}
+
+// --- Block-cut tree panel ---
+function renderBlockCutTree(result) {
+  if (!bctSvg) return;
+  while (bctSvg.firstChild) bctSvg.removeChild(bctSvg.firstChild);
+  if (!result) return;
+  const tree = graph.blockCutTree(result);
+  if (!tree.nodes.length) return;
+
+  // tree layout: DFS from the first node of every tree in the forest,
+  // leaves take consecutive slots and parents are centered over their children
+  const nbrs = new Map(tree.nodes.map(n => [n.id, []]));
+  for (const e of tree.edges) { nbrs.get(e.from).push(e.to); nbrs.get(e.to).push(e.from); }
+  const pos = new Map();
+  let slot = 0; let maxDepth = 0;
+  const place = (id, parentId, depth) => {
+    maxDepth = Math.max(maxDepth, depth);
+    const xs = [];
+    for (const c of nbrs.get(id)) {
+      if (c === parentId || pos.has(c)) continue;
+      pos.set(c, null); // reserve so cycles can't occur on malformed input
+      xs.push(place(c, id, depth + 1));
+    }
+    const x = xs.length ? (xs[0] + xs[xs.length - 1]) / 2 : slot++;
+    pos.set(id, { x, depth });
+    return x;
+  };
+  for (const n of tree.nodes) {
+    if (pos.has(n.id)) continue;
+    pos.set(n.id, null);
+    place(n.id, null, 0);
   }
+  const w = parseFloat(bctSvg.getAttribute('width')) || 900;
+  const h = parseFloat(bctSvg.getAttribute('height')) || 240;
+  const sx = (x) => 30 + (slot > 1 ? x * (w - 60) / (slot - 1) : (w - 60) / 2);
+  const sy = (d) => 24 + (maxDepth > 0 ? d * (h - 48) / maxDepth : 0);
 
-  // components list
-  componentsList.innerHTML = '';
-  if (result) {
-    result.components.forEach((comp, idx) => {
-      const div = document.createElement('div');
-      const sw = document.createElement('span');
-      sw.classList.add('comp-bullet');
-      sw.style.background = colorForIndex(idx);
-      div.appendChild(sw);
-      const txt = document.createElement('span');
-      txt.textContent = `Component ${idx}: verts=${comp.verts.join(', ')}`;
-      div.appendChild(txt);
-      componentsList.appendChild(div);
-    });
+  for (const e of tree.edges) {
+    const pa = pos.get(e.from); const pb = pos.get(e.to);
+    const line = document.createElementNS('http://www.w3.org/2000/svg','line');
+    line.setAttribute('x1', sx(pa.x)); line.setAttribute('y1', sy(pa.depth));
+    line.setAttribute('x2', sx(pb.x)); line.setAttribute('y2', sy(pb.depth));
+    line.classList.add('bct-edge');
+    bctSvg.appendChild(line);
+  }
+  for (const n of tree.nodes) {
+    const p = pos.get(n.id);
+    const g = document.createElementNS('http://www.w3.org/2000/svg','g');
+    g.classList.add('bct-node', n.type);
+    g.dataset.id = n.id;
+    let shape;
+    if (n.type === 'block') {
+      shape = document.createElementNS('http://www.w3.org/2000/svg','rect');
+      shape.setAttribute('x', sx(p.x) - 16); shape.setAttribute('y', sy(p.depth) - 11);
+      shape.setAttribute('width', 32); shape.setAttribute('height', 22); shape.setAttribute('rx', 4);
+      shape.style.fill = colorForIndex(n.index);
+    } else {
+      shape = document.createElementNS('http://www.w3.org/2000/svg','circle');
+      shape.setAttribute('cx', sx(p.x)); shape.setAttribute('cy', sy(p.depth)); shape.setAttribute('r', 12);
+    }
+    const t = document.createElementNS('http://www.w3.org/2000/svg','text');
+    t.setAttribute('x', sx(p.x)); t.setAttribute('y', sy(p.depth) + 4);
+    t.setAttribute('text-anchor', 'middle');
+    t.classList.add('nlabel');
+    t.textContent = n.type === 'block' ? n.id : nodeName(n.vertex);
+    g.appendChild(shape); g.appendChild(t);
+    g.addEventListener('mouseenter', () => highlightBctNode(n.id, result));
+    g.addEventListener('mouseleave', () => highlightBctNode(null, result));
+    bctSvg.appendChild(g);
   }
 }
 
+// Highlight a block-cut tree node and the matching part of the main graph
+function highlightBctNode(id, result) {
+  if (bctSvg) bctSvg.querySelectorAll('.bct-node').forEach(g => g.classList.toggle('hl', g.dataset.id === id));
+  const on = id != null && result;
+  const block = on && id[0] === 'B' ? parseInt(id.slice(1)) : null;
+  const cut = on && id[0] !== 'B' ? parseInt(id.slice(1)) : null;
+  for (const [key, rec] of scene.edges) if (rec.el) rec.el.classList.toggle('hl', block !== null && result.edgeToComp.get(key) === block);
+  for (const [v, rec] of scene.nodes) if (rec.c) rec.c.classList.toggle('hl', v === cut);
+}
+
+// Tree node for a main-graph element: cut vertices map to their C node,
+// other vertices to the block that contains them, edges to their block
+function bctNodeForVertex(v, result) {
+  if (result.articulationPoints.includes(v)) return `C${v}`;
+  const idx = result.components.findIndex(c => c.verts.includes(v) || c.edges.some(e => e[0] === v || e[1] === v));
+  return idx === -1 ? null : `B${idx}`;
+}
+
 function colorForIndex(i) {
   const palette = [
     '#7b9ea8','#b69cc3','#9fbfa6','#e6b6b6','#e6d3b3','#9fc6cf','#f3caa1','#d8c6e8','#d99b9b'
@@ -132,52 +1759,122 @@ function colorForIndex(i) {
 
 // controls
 clearBtn.addEventListener('click', () => {
-  graph.clear();
-  selected = null;
+  recordEdit('Clear', () => graph.clear());
+  selected = null; clearSelection();
   setStatus('Cleared');
   render();
 });
 
-// Delete selected node
-deleteBtn.addEventListener('click', () => {
-  if (selected == null) { setStatus('No node selected to delete'); return; }
-  const ok = confirm(`Delete node ${selected} and all incident edges?`);
-  if (!ok) return;
-  graph.deleteNode(selected);
-  selected = null; nodeMap.clear(); render(); setStatus('Node deleted');
-});
+// Delete selected nodes / edges
+deleteBtn.addEventListener('click', () => deleteSelection());
 
-// Rename selected node
+// Rename the selected node or edge: sets its display label, the id stays
 renameBtn.addEventListener('click', () => {
-  if (selected == null) { setStatus('No node selected to rename'); return; }
-  const s = prompt('Enter new node id (integer):', String(selected));
+  const item = selectedItem();
+  if (!item) { setStatus('Select exactly one node or edge to rename'); return; }
+  const s = prompt(`Label for ${item.name} (empty to show the id):`, item.data.label || '');
   if (s === null) return;
-  const newId = parseInt(s);
-  if (Number.isNaN(newId)) { setStatus('Invalid id'); return; }
-  const ok = graph.renameNode(selected, newId);
-  if (!ok) { setStatus('Rename failed (id conflict)'); return; }
-  // update selection and re-render
-  selected = newId; nodeMap.clear(); render(); setStatus(`Renamed node to ${newId}`);
+  editItem(item, 'label', s);
 });
 
 randomBtn.addEventListener('click', () => {
   const n = parseInt(numNodesInput.value) || 8;
-  graph = Graph.randomGraph(n, 0.28);
-  nodeMap.clear();
+  recordEdit(`Random graph (${n} nodes)`, () => {
+    graph = Graph.randomGraph(n, 0.28);
+    graph.forceLayout(...svgSize());
+  });
+  layoutBackEdges = null;
+  selected = null; clearSelection(); nodeMap.clear(); showWholeGraph();
   setStatus('Random graph created');
   render();
 });
 
+// --- Seeded generators (generators.js) ---
+
+function fillGeneratorPanel() {
+  genKindSelect.innerHTML = '';
+  for (const [kind, gen] of Object.entries(GraphGenerators.GENERATORS)) {
+    const o = document.createElement('option');
+    o.value = kind; o.textContent = gen.label;
+    genKindSelect.appendChild(o);
+  }
+  renderGeneratorParams();
+}
+
+// One number input per parameter of the picked generator
+function renderGeneratorParams() {
+  genParams.innerHTML = '';
+  for (const p of GraphGenerators.GENERATORS[genKindSelect.value].params) {
+    const label = document.createElement('label');
+    label.textContent = `${p.label} `;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = p.min; input.max = p.max; input.value = p.value;
+    input.dataset.name = p.name;
+    label.appendChild(input);
+    genParams.appendChild(label);
+  }
+}
+
+// Without a seed a fresh one is drawn and shown, so the graph can be made again
+function generateGraph() {
+  const kind = genKindSelect.value;
+  if (!genSeedInput.value.trim()) genSeedInput.value = Math.random().toString(36).slice(2, 8);
+  const seed = genSeedInput.value.trim();
+  const params = {};
+  genParams.querySelectorAll('input').forEach(i => { params[i.dataset.name] = i.value; });
+  let g;
+  try { g = GraphGenerators.generate(kind, params, seed, ...svgSize()); } catch (e) { setStatus(`Cannot generate: ${e.message}`); return false; }
+  const label = GraphGenerators.GENERATORS[kind].label;
+  recordEdit(`Generate ${label} (seed ${seed})`, () => { graph = g; });
+  layoutBackEdges = null;
+  selected = null; clearSelection(); nodeMap.clear(); showWholeGraph();
+  render();
+  setStatus(`${label}, seed ${seed}: ${g.nodes.length} nodes, ${g.edgeMap.size} edges`);
+  return true;
+}
+
+genKindSelect.addEventListener('change', () => renderGeneratorParams());
+genBtn.addEventListener('click', () => generateGraph());
+graphTextArea.addEventListener('input', () => {
+  clearTimeout(graphTextTimer);
+  graphTextTimer = setTimeout(applyGraphText, 350);
+  showGraphTextErrors([]);
+});
+graphTextArea.addEventListener('blur', () => {
+  if (graphTextTimer) applyGraphText();
+  if (!GraphText.parse(graphTextArea.value).errors.length) syncGraphText();
+});
+graphTextArea.addEventListener('scroll', () => { graphTextGutter.scrollTop = graphTextArea.scrollTop; });
+graphTextCoordsCheck.addEventListener('change', () => syncGraphText());
+document.addEventListener('paste', (e) => {
+  const t = e.target;
+  if (t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA' || t.isContentEditable)) return;
+  const text = e.clipboardData && e.clipboardData.getData('text/plain');
+  if (!text || !text.trim()) return;
+  e.preventDefault();
+  pasteGraph(text);
+});
+quizStartBtn.addEventListener('click', () => startQuiz());
+quizSubmitBtn.addEventListener('click', () => submitQuiz());
+quizEndBtn.addEventListener('click', () => endQuiz());
+quizExportBtn.addEventListener('click', () => exportQuizScores());
+
 // Export / Import
 exportBtn.addEventListener('click', () => {
-  const data = graph.toJSON();
-  const blob = new Blob([data], {type: 'application/json'});
+  const format = ioFormatSelect.value;
+  const spec = GraphFormats.FORMATS[format];
+  // DOT / GraphML can carry bridges and cut vertices
+  const result = exportAnalysisCheck.checked ? graph.analyze() : null;
+  const data = GraphFormats.serialize(format, graph, result);
+  const blob = new Blob([data], {type: spec.mime});
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
-  a.href = url; a.download = 'graph.json';
+  const fileName = `graph.${spec.ext}`;
+  a.href = url; a.download = fileName;
   document.body.appendChild(a); a.click(); a.remove();
   URL.revokeObjectURL(url);
-  setStatus('Exported graph.json');
+  setStatus(`Exported ${fileName}`);
 });
 
 importBtn.addEventListener('click', () => importFile.click());
@@ -186,42 +1883,64 @@ importFile.addEventListener('change', (evt) => {
   if (!f) return;
   const reader = new FileReader();
   reader.onload = (ev) => {
+    const text = ev.target.result;
+    const format = GraphFormats.detectFormat(f.name, text);
+    const label = GraphFormats.FORMATS[format].label;
     try {
-      const g = Graph.fromJSON(ev.target.result);
-      graph = g; nodeMap.clear(); render(); setStatus('Imported JSON');
-    } catch (e) { setStatus('Import failed'); }
+      const g = GraphFormats.parse(format, text);
+      recordEdit(`Import ${f.name}`, () => { graph = g; });
+      layoutBackEdges = null;
+      selected = null; clearSelection(); nodeMap.clear(); showWholeGraph(); render(); setStatus(`Imported ${label} (${g.nodes.length} nodes, ${g.edgeMap.size} edges)`);
+    } catch (e) {
+      if (e instanceof GraphFormats.ParseError) {
+        const shown = e.errors.slice(0, 3).map(er => `line ${er.line}: ${er.message}`).join('; ');
+        const more = e.errors.length > 3 ? ` (+${e.errors.length - 3} more)` : '';
+        setStatus(`Import failed (${label}): ${shown}${more}`);
+      } else {
+        setStatus(`Import failed (${label}): ${e.message}`);
+      }
+    }
   };
   reader.readAsText(f);
+  // allow importing the same file again
+  importFile.value = '';
 });
 
+// Record a fresh trace of the current graph in the selected mode and enable the stepper
+function prepareSteps() {
+  const { result, steps } = runModeAnalysisWithSteps();
+  loadTrace(result, steps || [], analysisMode(), graph.clone());
+  return currentSteps.length > 0;
+}
+
+function loadTrace(result, steps, mode, recordedOn) {
+  currentResult = result;
+  currentSteps = steps;
+  currentMode = mode;
+  currentAlgorithm = mode === 'blocks' ? algorithmId() : null;
+  traceGraph = recordedOn;
+  stepIndex = -1;
+  compColors = [];
+  const hasSteps = currentSteps.length > 0;
+  playBtn.disabled = !hasSteps; nextBtn.disabled = !hasSteps; prevBtn.disabled = !hasSteps;
+}
+
 runBtn.addEventListener('click', () => {
   if (stepModeCheck.checked) {
-    const { result, steps } = graph.analyzeWithSteps();
-    currentResult = result;
-    currentSteps = steps;
-    stepIndex = -1;
-    compColors = [];
-    // enable controls
-    const hasSteps = Array.isArray(steps) && steps.length > 0;
-    playBtn.disabled = !hasSteps; nextBtn.disabled = !hasSteps; prevBtn.disabled = !hasSteps;
-    setStatus(hasSteps ? `Prepared ${steps.length} steps — use Play/Next` : 'No steps produced (empty graph?)');
-    render(result);
+    const hasSteps = prepareSteps();
+    setStatus(hasSteps ? `Prepared ${currentSteps.length} steps — use Play/Next` : 'No steps produced (empty graph?)');
+    render(currentResult);
     renderStepsPanel();
     if (hasSteps) {
       // start playback automatically so user sees the steps
       startPlayback();
     }
   } else {
-    const res = graph.analyze();
-    setStatus(`APs=${res.articulationPoints.length}, Bridges=${res.bridges.length}, Comps=${res.components.length}`);
+    const res = runModeAnalysis();
+    setStatus(summarizeResult(res));
     render(res);
     // Also prepare steps for inspection even when not in step mode (show steps panel)
-    const { result: stepResult, steps } = graph.analyzeWithSteps();
-    currentResult = stepResult;
-    currentSteps = steps || [];
-    stepIndex = -1;
-    const hasSteps = Array.isArray(currentSteps) && currentSteps.length > 0;
-    playBtn.disabled = !hasSteps; nextBtn.disabled = !hasSteps; prevBtn.disabled = !hasSteps;
+    prepareSteps();
     renderStepsPanel();
   }
 });
@@ -286,103 +2005,259 @@ function stepPrev() {
 }
 
 function applyStepsUpTo(idx) {
-  // We'll reconstruct visible state by replaying from scratch up to idx.
-  // Visible state: highlight current visited node, show pushed edges (in a set), color formed components permanently.
-  const pushedEdges = new Set();
-  const formedComps = [];
-  const aps = new Set();
-  const bridges = [];
+  if (currentResult && currentResult.directed) applyDirectedStepsUpTo(idx);
+  else if (currentResult && currentResult.twoEdge) applyTwoEdgeStepsUpTo(idx);
+  else if (currentResult && currentResult.triconnected) applyTriconnectedStepsUpTo(idx);
+  else paintStepView(GraphAlgorithms.get(currentAlgorithm || 'tarjan').replay(currentSteps, idx, graph));
+  stepViewActive = true;
+  // the trace keeps replaying after edits, on whatever of it is still in the graph
+  const stale = traceGraph && GraphShare.describeMismatch(GraphShare.fingerprint(traceGraph), graph);
+  if (stale) setStatus(`${status.textContent} — warning: ${stale}`);
+}
+
+// Show a step view from the algorithm registry as the stepper's current step
+function paintStepView(view) {
+  drawStepView(view);
+  flushScene();
+  setStatus(`Step ${Math.max(0, stepIndex+1)}/${currentSteps.length}${view.note ? ` — ${view.note}` : ''}`);
+  renderStepsPanel();
+  stepViewActive = true;
+}
+
+// Draw a step view (see algorithms.js for its fields): the partial result, DFS arrows,
+// visited / current nodes, per-node labels, extra classes and colors, the compared
+// elements and the stack panels. The canvas changes at the caller's flushScene().
+function drawStepView(view) {
+  drawScene(view.result);
+  for (const a of view.arrows || []) redrawStepEdge(a.key, [a.from, a.to], a.back);
+  for (const [k, ci] of view.edgeColors || []) strokeEdge(k, colorForIndex(ci));
+  for (const [k, cls] of view.edgeClasses || []) markEdge(k, cls);
+  for (const id of view.visited || []) markNode(id, 'step');
+  if (view.current !== undefined && view.current !== null) markNode(view.current, 'current');
+  for (const [id, cls] of view.nodeClasses || []) markNode(id, cls);
+  if (view.labels) drawStepLabels(view.labels);
+  const stacks = view.stacks || null;
+  if (stacks && stacks.popped) stacks.popped.color = colorForIndex(stacks.popped.colorIndex);
+  renderStackPanels(stacks);
+  // a pop: the popped edges pulse into their new component color
+  if (stacks && stacks.popped) for (const e of stacks.popped.edges) markEdge(e.key, 'popped');
+  if (view.compare) markCompared(view.compare.nodes, view.compare.edges);
+}
+
+// Call stack and edge stack as of the current step, top of each stack first.
+// Edges popped by the current step are listed above the edge stack and slide out
+// in the color of the component they form. state = null clears both panels.
+function renderStackPanels(state) {
+  if (!callStackPanel || !edgeStackPanel) return;
+  callStackPanel.innerHTML = '';
+  edgeStackPanel.innerHTML = '';
+  if (!state) return;
+  for (let i = state.callStack.length - 1; i >= 0; i--) {
+    const f = state.callStack[i];
+    const div = document.createElement('div');
+    div.className = 'stack-entry' + (i === state.callStack.length - 1 ? ' top' : '');
+    div.textContent = `dfs(${nodeName(f.u)}) parent=${f.parent === null ? '—' : nodeName(f.parent)} children=${f.children}`;
+    callStackPanel.appendChild(div);
+  }
+  if (!state.callStack.length) callStackPanel.innerHTML = '<div class="small">empty</div>';
+  if (state.popped) {
+    for (const e of state.popped.edges) {
+      const div = document.createElement('div');
+      div.className = 'stack-entry popping';
+      div.style.borderColor = state.popped.color;
+      div.style.background = state.popped.color;
+      div.textContent = `${nodeName(e.u)}-${nodeName(e.v)} → comp ${state.popped.compIndex}`;
+      edgeStackPanel.appendChild(div);
+    }
+  }
+  for (let i = state.edgeStack.length - 1; i >= 0; i--) {
+    const e = state.edgeStack[i];
+    const div = document.createElement('div');
+    div.className = 'stack-entry' + (i === state.edgeStack.length - 1 ? ' top' : '');
+    div.textContent = `${nodeName(e.u)}-${nodeName(e.v)}${e.back ? ' (back)' : ''}`;
+    edgeStackPanel.appendChild(div);
+  }
+  if (!state.edgeStack.length && !state.popped) edgeStackPanel.innerHTML = '<div class="small">empty</div>';
+}
+
+// Draw an edge as an arrow from -> to (curved for back edges), keeping its classes
+function redrawStepEdge(key, [from, to], back) {
+  const rec = scene.edges.get(key);
+  const na = nodeMap.get(from); const nb = nodeMap.get(to);
+  if (!rec || !rec.want || !na || !nb) return;
+  rec.want.shape = edgeShape(na, nb, back ? { i: 1, k: 2 } : { i: 0, k: 1 }, true);
+  rec.want.cls.add(back ? 'dfs-back' : 'dfs-tree');
+  rec.want.marker = true;
+}
+
+// Small label under nodes, e.g. "disc/low" of every visited node
+function drawStepLabels(labels) {
+  for (const [id, text] of labels) {
+    const n = nodeMap.get(id);
+    if (!n || !graph.adj.has(id)) continue;
+    sceneRecord(scene.labels, id).want = { x: n.x, y: n.y + NODE_R + 13, text: String(text), cls: new Set(['dl-label']) };
+  }
+}
+
+// Emphasize the nodes / edge a markAP or markBridge step compared; returns the test as text
+function highlightComparison(s) {
+  if (s.type !== 'markAP' && s.type !== 'markBridge') return '';
+  markCompared(s.root ? [s.u] : [s.u, s.v], s.type === 'markBridge' && s.key !== undefined ? [s.key] : []);
+  return GraphAlgorithms.comparisonText(s, nodeName);
+}
+
+function markCompared(ids, keys) {
+  for (const id of ids) {
+    markNode(id, 'compare');
+    const t = scene.labels.get(id);
+    if (t && t.want) t.want.cls.add('compare');
+  }
+  for (const k of keys) markEdge(k, 'compare');
+}
+
+// Directed (SCC) trace: color popped SCCs, mark strong APs / bridges, dash tree arcs
+function applyDirectedStepsUpTo(idx) {
+  const vertexToScc = new Map();
+  const sccs = [];
+  const saps = new Set();
+  const sbridgeKeys = new Set();
+  const treeArcKeys = new Set();
+  const visitedNodes = new Set();
   let currentVisit = null;
+  for (let i = 0; i <= idx; i++) {
+    const s = currentSteps[i];
+    if (!s) continue;
+    if (s.type === 'visit') { currentVisit = s.u; visitedNodes.add(s.u); }
+    else if (s.type === 'treeArc') { treeArcKeys.add(s.key); }
+    else if (s.type === 'popSCC') { for (const v of s.verts) vertexToScc.set(v, s.sccIndex); sccs.push({ verts: s.verts }); }
+    else if (s.type === 'markStrongAP') { saps.add(s.u); }
+    else if (s.type === 'markStrongBridge') { sbridgeKeys.add(s.key); }
+  }
+  drawScene({
+    directed: true,
+    sccs,
+    vertexToScc,
+    strongArticulationPoints: Array.from(saps),
+    strongBridges: [],
+    strongBridgeKeys: sbridgeKeys,
+  });
+  for (const k of treeArcKeys) markEdge(k, 'instack');
+  for (const id of visitedNodes) if (!vertexToScc.has(id)) markNode(id, 'step');
+  if (currentVisit !== null) markNode(currentVisit, 'current');
+  flushScene();
+  setStatus(`Step ${Math.max(0, stepIndex+1)}/${currentSteps.length}`);
+  renderStepsPanel();
+}
+
+// 2-edge trace: bridge-finding DFS first, then one flood fill per component
+function applyTwoEdgeStepsUpTo(idx) {
+  const vertexToComp = new Map();
+  const components = [];
+  const bridges = [];
+  const treeEdges = [];
   const visitedNodes = new Set();
+  const disc = new Map();
+  const low = new Map();
+  let currentVisit = null;
   for (let i = 0; i <= idx; i++) {
     const s = currentSteps[i];
     if (!s) continue;
-    if (s.type === 'visit') { currentVisit = s.u; }
-    if (s.type === 'visit') visitedNodes.add(s.u);
-    else if (s.type === 'pushEdge') { pushedEdges.add(graph.edgeKey(s.u, s.v)); }
-    else if (s.type === 'updateLow') { /* ignore for now */ }
-    else if (s.type === 'markAP') { aps.add(s.u); }
+    if (s.type === 'visit') { currentVisit = s.u; visitedNodes.add(s.u); disc.set(s.u, s.disc); low.set(s.u, s.low); }
+    else if (s.type === 'updateLow') { low.set(s.u, s.low); }
     else if (s.type === 'markBridge') { bridges.push([s.u, s.v]); }
-    else if (s.type === 'popComponent') {
-      const color = colorForIndex(formedComps.length);
-      formedComps.push({ idx: s.compIndex, edges: s.edges.map(e=>graph.edgeKey(e[0],e[1])), color });
-    }
+    else if (s.type === 'floodComponent') { for (const v of s.verts) vertexToComp.set(v, s.compIndex); components.push({ verts: s.verts }); currentVisit = null; }
+    else if (s.type === 'bridgeTreeEdge') { treeEdges.push({ from: s.from, to: s.to, bridge: [s.u, s.v] }); }
   }
-
-  // Build a transient result object to pass to render
-  const transient = {
-    articulationPoints: Array.from(aps),
+  drawScene({
+    twoEdge: true,
     bridges,
-    components: formedComps.map((c,i)=>({ edges: c.edges.map(k=>k.split('-').map(x=>parseInt(x))), verts: [] })),
-    edgeToComp: new Map(formedComps.flatMap((c, i) => c.edges.map(e => [e, i]))),
-  };
-  // Render and overlay highlights for pushed edges and current visit
-  render(transient);
-  // overlay pushed edges thicker
-  for (const key of pushedEdges) {
-    for (const line of svg.querySelectorAll('line')) {
-      const a = parseInt(line.getAttribute('x1'));
-    }
-  }
-  // highlight pushed edges by stroke-dasharray
-  svg.querySelectorAll('line').forEach(l => {
-    const x1 = parseFloat(l.getAttribute('x1'));
-    const y1 = parseFloat(l.getAttribute('y1'));
-    const x2 = parseFloat(l.getAttribute('x2'));
-    const y2 = parseFloat(l.getAttribute('y2'));
-    // find edge key by mapping endpoints from nodeMap positions
-    const a = findNearestNodeId(x1, y1);
-    const b = findNearestNodeId(x2, y2);
-    const k = graph.edgeKey(a,b);
-    if (pushedEdges.has(k)) { l.style.strokeDasharray = '6 4'; l.style.strokeWidth = '3'; }
-    else { l.style.strokeDasharray = ''; }
-    // keep non-bridge edges black; bridges already have .bridge class
-    // toggle instack class for darker visualization steps
-    if (pushedEdges.has(k)) l.classList.add('instack'); else l.classList.remove('instack');
+    components,
+    vertexToComp,
+    bridgeTree: { nodes: components.map((c, i) => i), edges: treeEdges },
   });
-
-  // highlight current visiting node
-  svg.querySelectorAll('circle.node').forEach(c => {
-    const id = parseInt(c.dataset.id);
-    c.classList.remove('current');
-    c.classList.remove('step');
-    if (visitedNodes.has(id)) c.classList.add('step');
-    if (id === currentVisit) { c.classList.add('current'); }
-  });
-
-  setStatus(`Step ${Math.max(0, stepIndex+1)}/${currentSteps.length}`);
-  // update steps panel highlight
+  for (const id of visitedNodes) if (!vertexToComp.has(id)) markNode(id, 'step');
+  if (currentVisit !== null) markNode(currentVisit, 'current');
+  drawStepLabels(new Map(Array.from(disc, ([id, d]) => [id, `${d}/${low.get(id)}`])));
+  const why = currentSteps[idx] ? highlightComparison(currentSteps[idx]) : '';
+  flushScene();
+  setStatus(`Step ${Math.max(0, stepIndex+1)}/${currentSteps.length}${why ? ` — ${why}` : ''}`);
   renderStepsPanel();
 }
 
-function findNearestNodeId(x, y) {
-  // simple nearest by coordinates (works for our static layout)
-  let best = null; let bestd = Infinity;
-  for (const n of graph.nodes) {
-    const dx = n.x - x; const dy = n.y - y; const d = dx*dx+dy*dy;
-    if (d < bestd) { bestd = d; best = n.id; }
+// Triconnected trace: separation pairs appear first, then each block's split components
+function applyTriconnectedStepsUpTo(idx) {
+  const separationPairs = [];
+  const components = [];
+  const edgeToTri = new Map();
+  let current = null;
+  for (let i = 0; i <= idx; i++) {
+    const s = currentSteps[i];
+    if (!s) continue;
+    if (s.type === 'separationPair') { separationPairs.push([s.u, s.v, s.block]); current = [s.u, s.v]; }
+    else if (s.type === 'triComponent') {
+      components.push({ block: s.block, type: s.kind, verts: s.verts, keys: s.keys });
+      for (const k of s.keys) edgeToTri.set(k, s.compIndex);
+      current = null;
+    }
   }
-  return best;
+  drawScene({
+    triconnected: true,
+    articulationPoints: currentResult.articulationPoints,
+    bridges: currentResult.bridges,
+    components,
+    edgeToTri,
+    separationPairs,
+    virtualPairs: [],
+    bruteForce: currentResult.bruteForce,
+  });
+  if (current) for (const id of current) markNode(id, 'current');
+  flushScene();
+  setStatus(`Step ${Math.max(0, stepIndex+1)}/${currentSteps.length}`);
+  renderStepsPanel();
 }
 
 // --- Steps panel rendering & interactivity ---
 const stepsPanel = document.getElementById('stepsPanel');
 function formatStep(s, i){
   if (!s) return '';
+  const n = nodeName;
+  // registry algorithms describe their own step types; null falls back to the cases below
+  const own = currentAlgorithm ? GraphAlgorithms.get(currentAlgorithm).formatStep(s, n) : null;
+  if (own !== null) return own;
   switch(s.type){
-    case 'visit': return `visit ${s.u} (disc=${s.disc || ''} low=${s.low || ''})`;
-    case 'pushEdge': return `push edge ${s.u}-${s.v}${s.back? ' (back)':''}`;
-    case 'updateLow': return `update low[${s.u}] = ${s.low} ${s.child?('from child '+s.child):s.backTo?('from '+s.backTo):''}`;
-    case 'markAP': return `mark articulation point ${s.u}`;
-    case 'markBridge': return `mark bridge ${s.u}-${s.v}`;
-    case 'popComponent': return `pop component ${s.compIndex}: verts=${(s.verts||[]).join(', ')}`;
+    case 'visit': return `visit ${n(s.u)} (disc=${s.disc || ''} low=${s.low || ''})`;
+    case 'pushEdge': return `push edge ${n(s.u)}-${n(s.v)}${s.back? ' (back)':''}`;
+    case 'updateLow': return `update low[${n(s.u)}] = ${s.low} ${s.child !== undefined ? ('from child '+n(s.child)) : s.backTo !== undefined ? ('from '+n(s.backTo)) : ''}`;
+    case 'markAP': return `mark articulation point ${n(s.u)}${GraphAlgorithms.comparisonText(s, n) ? ` (${GraphAlgorithms.comparisonText(s, n)})` : ''}`;
+    case 'markBridge': return `mark bridge ${n(s.u)}-${n(s.v)}${GraphAlgorithms.comparisonText(s, n) ? ` (${GraphAlgorithms.comparisonText(s, n)})` : ''}`;
+    case 'return': return `return from dfs(${n(s.u)})${s.parent === null ? '' : ` to ${n(s.parent)}`}`;
+    case 'popComponent': return `pop component ${s.compIndex}: verts=${(s.verts||[]).map(n).join(', ')}`;
+    case 'floodComponent': return `flood 2-edge component ${s.compIndex}: verts=${(s.verts||[]).map(n).join(', ')}`;
+    case 'bridgeTreeEdge': return `bridge tree edge C${s.from}-C${s.to} via ${n(s.u)}-${n(s.v)}`;
+    case 'treeArc': return `follow arc ${n(s.u)}->${n(s.v)}`;
+    case 'popSCC': return `pop SCC ${s.sccIndex}: verts=${(s.verts||[]).map(n).join(', ')}`;
+    case 'markStrongAP': return `mark strong articulation point ${n(s.u)}`;
+    case 'markStrongBridge': return `mark strong bridge ${n(s.u)}->${n(s.v)}`;
+    case 'separationPair': return `block ${s.block}: separation pair {${n(s.u)}, ${n(s.v)}}`;
+    case 'triComponent': return `block ${s.block}: ${s.kind} component ${s.compIndex}: verts=${(s.verts||[]).map(n).join(', ')}`;
     default: return JSON.stringify(s);
   }
 }
 
+let stepsPanelSteps = null; // trace the steps panel lists, so playback only moves the current mark
+
 function renderStepsPanel(){
   if (!stepsPanel) return;
+  if (stepsPanelSteps === currentSteps && stepsPanel.children.length === currentSteps.length) {
+    const was = stepsPanel.querySelector('.step-entry.current');
+    const cur = stepsPanel.children[stepIndex];
+    if (was === cur) return;
+    if (was) was.classList.remove('current');
+    if (cur) { cur.classList.add('current'); cur.scrollIntoView({behavior:'smooth',block:'center'}); }
+    return;
+  }
   stepsPanel.innerHTML = '';
+  stepsPanelSteps = currentSteps;
   if (!currentSteps || currentSteps.length === 0) return;
   for (let i = 0; i < currentSteps.length; i++){
     const s = currentSteps[i];
@@ -403,27 +2278,376 @@ function renderStepsPanel(){
 
 function escapeHtml(str){ return String(str).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
 
-// add node on click
-svg.addEventListener('click', (e) => {
+// --- Canvas editing: modes, selection, dragging and box-select ---
+
+// 'select' (click / drag / box-select), 'node' (click empty space adds a node, two nodes
+// an edge) or 'edge' (only edges: clicks on empty space do nothing)
+function editMode(){ return editModeSelect ? editModeSelect.value : 'node'; }
+
+function setEditMode(mode) {
+  editModeSelect.value = mode;
+  selected = null;
+  svg.dataset.mode = mode;
+  refreshView();
+}
+
+// World coordinates of a pointer event, through the current zoom / pan
+function svgPoint(e) {
   const rect = svg.getBoundingClientRect();
-  const x = e.clientX - rect.left;
-  const y = e.clientY - rect.top;
-  const id = graph.addNode(x, y);
+  const [w, h] = svgSize();
+  const sx = rect.width ? w / rect.width : 1; const sy = rect.height ? h / rect.height : 1;
+  return { x: viewport.x + (e.clientX - rect.left) * sx / viewport.k, y: viewport.y + (e.clientY - rect.top) * sy / viewport.k };
+}
+
+function clearSelection() {
+  selection.nodes.clear();
+  selection.edges.clear();
+}
+
+// Re-render keeping the current analysis / step highlights (positions may have changed)
+function refreshView() {
+  if (quiz) { renderQuiz(); return; }
+  if (stepViewActive && currentSteps && stepIndex >= 0) applyStepsUpTo(stepIndex);
+  else render(lastResult);
+}
+
+function selectNode(id, additive) {
+  if (!additive) clearSelection();
+  if (additive && selection.nodes.has(id)) selection.nodes.delete(id); else selection.nodes.add(id);
+  refreshView();
+  setStatus(`${selection.nodes.size} node(s), ${selection.edges.size} edge(s) selected`);
+}
+
+function selectEdge(key, additive) {
+  if (!additive) clearSelection();
+  if (additive && selection.edges.has(key)) selection.edges.delete(key); else selection.edges.add(key);
+  refreshView();
+  const e = graph.edgeMap.get(key);
+  setStatus(selection.edges.size === 1 && !selection.nodes.size && e ? `Edge ${graph.edgeLabel(key)} selected` : `${selection.nodes.size} node(s), ${selection.edges.size} edge(s) selected`);
+}
+
+// Delete every selected node (with its edges) and edge as one history entry
+function deleteSelection() {
+  const nodes = Array.from(selection.nodes).filter(id => graph.adj.has(id));
+  const edges = Array.from(selection.edges).filter(k => graph.edgeMap.has(k));
+  if (!nodes.length && !edges.length) { setStatus('Nothing selected to delete'); return; }
+  if (nodes.length) {
+    const what = nodes.length === 1 ? `node ${nodeName(nodes[0])}` : `${nodes.length} nodes`;
+    if (!confirm(`Delete ${what} and all incident edges?`)) return;
+  }
+  const parts = [];
+  if (nodes.length) parts.push(nodes.length === 1 ? `node ${nodeName(nodes[0])}` : `${nodes.length} nodes`);
+  if (edges.length) parts.push(edges.length === 1 ? `edge ${graph.edgeLabel(edges[0])}` : `${edges.length} edges`);
+  recordEdit(`Delete ${parts.join(' and ')}`, () => {
+    for (const k of edges) graph.deleteEdgeByKey(k);
+    for (const id of nodes) graph.deleteNode(id);
+  });
+  clearSelection(); nodeMap.clear(); render(); setStatus(`Deleted ${parts.join(' and ')}`);
+}
+
+let dragState = null; // moving nodes: {ids, start, orig, before, moved, clickId, shift}
+let boxState = null; // rubber band: {start, rect, shift}
+let panState = null; // moving the view: {client, from, moved, button}
+let minimapDrag = false;
+let suppressClick = false;
+
+// A click on a node: quiz pick, or the first / second endpoint of a new edge
+function onNodeClick(id, e) {
+  if (quiz) { if (quiz.kind === 'cuts') toggleQuizPick('nodes', id); return; }
+  // select mode clicks are resolved on pointerup (they may turn into drags)
+  if (editMode() === 'select') return;
+  if (selected == null) {
+    // first endpoint
+    selected = id; markNode(id, 'selected'); flushScene();
+  } else if (selected === id && e.shiftKey) {
+    // shift-click the selected node again to add a self-loop
+    recordEdit(`Add self-loop at ${nodeName(id)}`, () => graph.addEdge(id, id, directedEdgesCheck.checked));
+    selected = null; render();
+  } else if (selected === id) {
+    // deselect
+    selected = null;
+    const rec = scene.nodes.get(id);
+    if (rec && rec.want && !selection.nodes.has(id)) rec.want.cls.delete('selected');
+    flushScene();
+  } else {
+    // add edge between previously selected and this
+    const from = selected;
+    recordEdit(`Add edge ${nodeName(from)}${directedEdgesCheck.checked ? '->' : '-'}${nodeName(id)}`, () => graph.addEdge(from, id, directedEdgesCheck.checked));
+    selected = null; render();
+  }
+}
+
+function onEdgeClick(key, e) {
+  if (quiz) { if (quiz.kind === 'cuts') toggleQuizPick('edges', key); return; }
+  if (editMode() === 'select') selectEdge(key, e.shiftKey);
+}
+
+function startNodeDrag(id, e) {
+  const ids = selection.nodes.has(id) ? Array.from(selection.nodes) : [id];
+  const orig = new Map();
+  for (const n of graph.nodes) if (ids.includes(n.id)) orig.set(n.id, { x: n.x, y: n.y });
+  dragState = { ids, start: svgPoint(e), orig, before: graph.clone(), moved: false, clickId: id, shift: e.shiftKey };
+}
+
+svg.addEventListener('pointerdown', (e) => {
+  const target = pointerTarget(e);
+  const empty = target.node === undefined && target.edge === undefined && e.target === svg;
+  // middle button anywhere, or the left one on empty space outside select mode, pans
+  if (e.button === 1 || (e.button === 0 && empty && (quiz || editMode() !== 'select'))) {
+    if (e.button === 1) e.preventDefault();
+    panState = { client: { x: e.clientX, y: e.clientY }, from: viewport, moved: false, button: e.button };
+    return;
+  }
+  if (quiz || editMode() !== 'select' || e.button !== 0) return;
+  if (target.node !== undefined) { startNodeDrag(target.node, e); return; }
+  if (!empty) return;
+  const start = svgPoint(e);
+  const rect = document.createElementNS('http://www.w3.org/2000/svg','rect');
+  rect.classList.add('rubber-band');
+  rect.setAttribute('x', start.x); rect.setAttribute('y', start.y);
+  rect.setAttribute('width', 0); rect.setAttribute('height', 0);
+  svg.appendChild(rect);
+  boxState = { start, rect, shift: e.shiftKey };
+});
+
+window.addEventListener('pointermove', (e) => {
+  if (dragState) {
+    const p = svgPoint(e);
+    const dx = p.x - dragState.start.x; const dy = p.y - dragState.start.y;
+    if (!dragState.moved && Math.hypot(dx, dy) < 3) return;
+    dragState.moved = true;
+    for (const n of graph.nodes) {
+      const o = dragState.orig.get(n.id);
+      if (o) { n.x = o.x + dx; n.y = o.y + dy; }
+    }
+    refreshView();
+  } else if (panState) {
+    const rect = svg.getBoundingClientRect();
+    const [w] = svgSize();
+    const dx = e.clientX - panState.client.x; const dy = e.clientY - panState.client.y;
+    if (!panState.moved && Math.hypot(dx, dy) < 3) return;
+    panState.moved = true;
+    svg.classList.add('panning');
+    const scale = (rect.width ? w / rect.width : 1) / panState.from.k;
+    setView({ x: panState.from.x - dx * scale, y: panState.from.y - dy * scale, k: panState.from.k });
+  } else if (minimapDrag) {
+    minimapMoveView(e);
+  } else if (boxState) {
+    const p = svgPoint(e);
+    const r = boxState.rect;
+    r.setAttribute('x', Math.min(p.x, boxState.start.x));
+    r.setAttribute('y', Math.min(p.y, boxState.start.y));
+    r.setAttribute('width', Math.abs(p.x - boxState.start.x));
+    r.setAttribute('height', Math.abs(p.y - boxState.start.y));
+  }
+});
+
+window.addEventListener('pointerup', (e) => {
+  minimapDrag = false;
+  if (panState) {
+    // a left-button pan is not a click on the empty space it started from
+    if (panState.moved && panState.button === 0) suppressClick = true;
+    panState = null;
+    svg.classList.remove('panning');
+  } else if (dragState) {
+    const d = dragState;
+    dragState = null;
+    suppressClick = true;
+    if (d.moved) {
+      const label = d.ids.length === 1 ? `Move node ${nodeName(d.ids[0])}` : `Move ${d.ids.length} nodes`;
+      editHistory.push(label, d.before, graph.clone());
+      renderHistoryPanel();
+      setStatus(label);
+    } else {
+      selectNode(d.clickId, d.shift);
+    }
+  } else if (boxState) {
+    const b = boxState;
+    boxState = null;
+    suppressClick = true;
+    const p = svgPoint(e);
+    const x1 = Math.min(p.x, b.start.x); const x2 = Math.max(p.x, b.start.x);
+    const y1 = Math.min(p.y, b.start.y); const y2 = Math.max(p.y, b.start.y);
+    if (b.rect.parentNode) b.rect.parentNode.removeChild(b.rect);
+    if (!b.shift) clearSelection();
+    if (x2 - x1 < 3 && y2 - y1 < 3) { refreshView(); setStatus('Selection cleared'); return; }
+    for (const n of graph.nodes) if (n.x >= x1 && n.x <= x2 && n.y >= y1 && n.y <= y2) selection.nodes.add(n.id);
+    for (const [k, ed] of graph.edgeMap.entries()) if (selection.nodes.has(ed.a) && selection.nodes.has(ed.b)) selection.edges.add(k);
+    refreshView();
+    setStatus(`${selection.nodes.size} node(s), ${selection.edges.size} edge(s) selected`);
+  }
+});
+
+// clicks on nodes and edges, else add a node (add-nodes mode only)
+svg.addEventListener('click', (e) => {
+  if (suppressClick) { suppressClick = false; return; }
+  const target = pointerTarget(e);
+  if (target.node !== undefined) { onNodeClick(target.node, e); return; }
+  if (target.edge !== undefined) { onEdgeClick(target.edge, e); return; }
+  if (quiz || editMode() !== 'node') return;
+  const { x, y } = svgPoint(e);
+  const id = recordEdit((newId) => `Add node ${newId}`, () => graph.addNode(x, y));
   setStatus(`Added node ${id}`);
   render();
 });
 
-// keyboard delete for selected node
+editModeSelect.addEventListener('change', () => setEditMode(editModeSelect.value));
+
+// hovering a node or edge highlights its part of the block-cut tree (blocks mode)
+svg.addEventListener('mouseover', (e) => {
+  const r = lastResult;
+  if (scene.canvas || !r || !r.edgeToComp || r.directed || r.twoEdge) return;
+  const target = pointerTarget(e);
+  if (target.node !== undefined) highlightBctNode(bctNodeForVertex(target.node, r), r);
+  else if (target.edge !== undefined && r.edgeToComp.get(target.edge) !== undefined) highlightBctNode(`B${r.edgeToComp.get(target.edge)}`, r);
+});
+svg.addEventListener('mouseout', (e) => {
+  if (scene.canvas || !lastResult || !lastResult.edgeToComp) return;
+  const target = pointerTarget(e);
+  if (target.node !== undefined || target.edge !== undefined) highlightBctNode(null, lastResult);
+});
+
+// --- Zoom and pan ---
+
+svg.addEventListener('wheel', (e) => {
+  e.preventDefault();
+  const p = svgPoint(e);
+  // deltaMode 1 is lines (Firefox), 0 pixels
+  setView(GraphViewport.zoomAt(viewport, Math.exp(-e.deltaY * (e.deltaMode === 1 ? 0.05 : 0.0015)), p.x, p.y));
+}, { passive: false });
+// no autoscroll on a middle-button pan
+svg.addEventListener('mousedown', (e) => { if (e.button === 1) e.preventDefault(); });
+zoomInBtn.addEventListener('click', () => zoomBy(1.25));
+zoomOutBtn.addEventListener('click', () => zoomBy(0.8));
+fitBtn.addEventListener('click', () => fitView());
+minimapCanvas.addEventListener('pointerdown', (e) => { minimapDrag = true; minimapMoveView(e); });
+minimapCheck.addEventListener('change', () => scheduleMinimap());
+rendererSelect.addEventListener('change', () => refreshView());
+
+// --- Layouts ---
+
+function svgSize() {
+  const w = parseFloat(svg.getAttribute('width')) || svg.clientWidth || 900;
+  const h = parseFloat(svg.getAttribute('height')) || svg.clientHeight || 600;
+  return [w, h];
+}
+
+// Stop a running force layout and record where it got to as one history entry
+function finishLayoutAnimation() {
+  if (!layoutAnimation) return;
+  const { frame, before } = layoutAnimation;
+  layoutAnimation = null;
+  cancelAnimationFrame(frame);
+  editHistory.push('Force layout', before, graph.clone());
+  renderHistoryPanel();
+}
+
+function animateForceLayout() {
+  finishLayoutAnimation();
+  const [w, h] = svgSize();
+  const sim = graph.forceSimulation(w, h, 300);
+  layoutAnimation = { frame: 0, before: graph.clone() };
+  const tick = () => {
+    let more = true;
+    for (let i = 0; i < 4 && more; i++) more = sim.tick();
+    refreshView();
+    if (more && layoutAnimation) layoutAnimation.frame = requestAnimationFrame(tick);
+    else { finishLayoutAnimation(); setStatus('Force layout done'); }
+  };
+  layoutAnimation.frame = requestAnimationFrame(tick);
+  setStatus('Force layout running…');
+}
+
+layoutBtn.addEventListener('click', () => {
+  const [w, h] = svgSize();
+  const kind = layoutSelect ? layoutSelect.value : 'circle';
+  layoutBackEdges = null;
+  if (kind === 'force') { animateForceLayout(); return; }
+  if (kind === 'dfs') {
+    const { backEdges } = recordEdit('DFS tree layout', () => graph.dfsLayout(w, h));
+    layoutBackEdges = backEdges;
+    nodeMap.clear(); refreshView(); setStatus(`DFS tree layout: ${backEdges.size} back edge(s) curved and dashed`);
+    return;
+  }
+  if (kind === 'block') {
+    recordEdit('Block layout', () => graph.blockLayout(w, h));
+    nodeMap.clear(); refreshView(); setStatus('Block layout applied');
+    return;
+  }
+  recordEdit('Circular layout', () => graph.autoLayout(w / 2, h / 2, Math.min(w, h) / 2 - 60));
+  nodeMap.clear(); refreshView(); setStatus('Layout applied');
+});
+
+connBtn.addEventListener('click', () => runConnectivity());
+augmentBtn.addEventListener('click', () => suggestAugmentation());
+applyAugmentBtn.addEventListener('click', () => applyAugmentation());
+compareBtn.addEventListener('click', () => compareAlgorithms());
+verifyBtn.addEventListener('click', () => verifyAnalysis());
+shareBtn.addEventListener('click', () => shareLink());
+exportTraceBtn.addEventListener('click', () => exportTrace());
+importTraceBtn.addEventListener('click', () => traceFile.click());
+traceFile.addEventListener('change', (evt) => {
+  const f = evt.target.files[0];
+  if (!f) return;
+  const reader = new FileReader();
+  reader.onload = (ev) => importTrace(ev.target.result, f.name);
+  reader.readAsText(f);
+  traceFile.value = '';
+});
+wsSaveBtn.addEventListener('click', () => saveWorkspaceAs());
+wsImportBtn.addEventListener('click', () => wsFiles.click());
+wsImportFolderBtn.addEventListener('click', () => wsFolder.click());
+wsFiles.addEventListener('change', () => { importIntoWorkspace(Array.from(wsFiles.files)); wsFiles.value = ''; });
+// a folder brings every file in it; keep the graphs and archives
+wsFolder.addEventListener('change', () => {
+  importIntoWorkspace(Array.from(wsFolder.files).filter(f => /\.(json|zip)$/i.test(f.name)));
+  wsFolder.value = '';
+});
+algorithmSelect.addEventListener('change', () => scheduleAutosave());
+// a different share link pasted into this tab
+window.addEventListener('hashchange', () => openSharedLink(location.hash, true));
+autoAnalyzeCheck.addEventListener('change', () => setAutoAnalyze(autoAnalyzeCheck.checked));
+analysisModeSelect.addEventListener('change', () => { if (liveAnalysis) { nodeMap.clear(); render(); } scheduleAutosave(); });
+
+undoBtn.addEventListener('click', () => undoEdit());
+redoBtn.addEventListener('click', () => redoEdit());
+
+// keyboard: Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo, Delete/Backspace deletes the selection,
+// V / N / E switch between select, add-nodes and add-edges modes, F fits the graph, + / - zoom, 0 resets the zoom
 window.addEventListener('keydown', (e) => {
-  if ((e.key === 'Delete' || e.key === 'Backspace') && selected != null) {
-    const ok = confirm(`Delete node ${selected} and all incident edges?`);
-    if (!ok) return;
-    graph.deleteNode(selected);
-    selected = null; nodeMap.clear(); render(); setStatus('Node deleted');
+  const typing = e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT');
+  if ((e.ctrlKey || e.metaKey) && !typing) {
+    const k = e.key.toLowerCase();
+    if (k === 'z' && !e.shiftKey) { e.preventDefault(); undoEdit(); return; }
+    if ((k === 'z' && e.shiftKey) || k === 'y') { e.preventDefault(); redoEdit(); return; }
   }
+  if (typing) return;
+  if ((e.key === 'Delete' || e.key === 'Backspace') && (selection.nodes.size || selection.edges.size)) {
+    e.preventDefault();
+    deleteSelection();
+    return;
+  }
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  const zoomKeys = { f: fitView, '+': () => zoomBy(1.25), '=': () => zoomBy(1.25), '-': () => zoomBy(0.8), 0: () => setView({ x: 0, y: 0, k: 1 }) };
+  if (zoomKeys[e.key.toLowerCase()]) { zoomKeys[e.key.toLowerCase()](); return; }
+  const modeKeys = { v: 'select', n: 'node', e: 'edge' };
+  const mode = modeKeys[e.key.toLowerCase()];
+  if (mode) setEditMode(mode);
 });
 
-// initial sample
-graph = Graph.randomGraph(8,0.28);
-graph.autoLayout();
-nodeMap.clear(); render();
+// initial graph: from a share link if the page was opened with one, else the last
+// session, else a random sample
+fillAlgorithmSelects();
+fillGeneratorPanel();
+setupScene();
+svg.dataset.mode = editMode();
+workspace = openWorkspace();
+if (!openSharedLink(location.hash, false) && !restoreSession()) {
+  graph = Graph.randomGraph(8,0.28);
+  graph.forceLayout(...svgSize());
+  nodeMap.clear(); render();
+}
+renderHistoryPanel();
+renderWorkspacePanel();
+quizScores = loadQuizScores();
+renderQuizPanel();
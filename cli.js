@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// cli.js
+// Headless analysis: reads the app's exported graph.json (or an edge list) from a file
+// or stdin and prints articulation points, bridges and components.
+
+const fs = require('fs');
+const Graph = require('./graph.js');
+const GraphFormats = require('./formats.js');
+
+const USAGE = `Usage: bcc-analyze [options] [file]
+
+Reads graph.json as exported by the visualizer, Graphviz DOT, GraphML,
+DIMACS or an edge list ("a b" / "a-b" / "a->b" per line, # comments),
+from file or stdin. The format is guessed from the file name and content.
+
+Options:
+  --input-format <json|dot|graphml|edgelist|dimacs>  override format detection
+  --mode <blocks|two-edge|directed>  analysis to run (default: blocks)
+  --format <json|table>              output format (default: table)
+  --fail-on-bridges                  exit 1 if the graph has bridges
+  --fail-on-cut-vertices             exit 1 if the graph has articulation points
+  -h, --help                         show this help
+
+Exit codes: 0 ok, 1 a --fail-on-* check failed, 2 usage or input error.`;
+
+function parseArgs(argv) {
+  const opts = { mode: 'blocks', format: 'table', failOnBridges: false, failOnCuts: false, file: null, 'input-format': null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '-h' || a === '--help') opts.help = true;
+    else if (a === '--fail-on-bridges') opts.failOnBridges = true;
+    else if (a === '--fail-on-cut-vertices' || a === '--fail-on-articulation-points') opts.failOnCuts = true;
+    else if (a === '--mode' || a === '--format' || a === '--input-format') {
+      const v = argv[++i];
+      if (v === undefined) throw new Error(`${a} needs a value`);
+      opts[a.slice(2)] = v;
+    } else if (a.startsWith('-') && a !== '-') throw new Error(`unknown option ${a}`);
+    else if (opts.file === null) opts.file = a;
+    else throw new Error(`unexpected argument ${a}`);
+  }
+  if (!['blocks', 'two-edge', 'directed'].includes(opts.mode)) throw new Error(`unknown mode ${opts.mode}`);
+  if (!['json', 'table'].includes(opts.format)) throw new Error(`unknown format ${opts.format}`);
+  if (opts['input-format'] && !GraphFormats.FORMATS[opts['input-format']]) throw new Error(`unknown input format ${opts['input-format']}`);
+  return opts;
+}
+
+// Parse input in the given (or detected) format. Returns the graph and the name to print
+// for every internal id: the id from the file for graph.json, otherwise the node label.
+function loadGraph(text, format = null, fileName = '') {
+  const fmt = format || GraphFormats.detectFormat(fileName, text);
+  if (fmt === 'json') {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { throw new Error(`invalid JSON: ${e.message}`); }
+    if (!Array.isArray(data.nodes) || !Array.isArray(data.edges)) throw new Error('JSON must have "nodes" and "edges" arrays');
+    // keep the ids from the file in the output rather than fromJSON's renumbering
+    const g = Graph.fromJSON(data);
+    const names = new Map(data.nodes.map((nd, i) => [g.nodes[i].id, nd.id]));
+    return { graph: g, names };
+  }
+  const g = GraphFormats.parse(fmt, text);
+  const names = new Map(g.nodes.filter(n => n.label !== undefined).map(n => [n.id, n.label]));
+  return { graph: g, names };
+}
+
+function analyzeGraph(g, mode, names) {
+  const name = (id) => (names.has(id) ? names.get(id) : id);
+  if (mode === 'directed') {
+    const r = g.analyzeDirected();
+    return {
+      mode,
+      strongArticulationPoints: r.strongArticulationPoints.map(name),
+      strongBridges: r.strongBridges.map(([a, b]) => [name(a), name(b)]),
+      components: r.sccs.map(c => c.verts.map(name)),
+      cutVertices: r.strongArticulationPoints.length,
+      bridgeCount: r.strongBridges.length,
+    };
+  }
+  if (mode === 'two-edge') {
+    const r = g.analyzeTwoEdge();
+    const ap = g.analyze().articulationPoints;
+    return {
+      mode,
+      articulationPoints: ap.map(name),
+      bridges: r.bridges.map(([a, b]) => [name(a), name(b)]),
+      components: r.components.map(c => c.verts.map(name)),
+      cutVertices: ap.length,
+      bridgeCount: r.bridges.length,
+    };
+  }
+  const r = g.analyze();
+  return {
+    mode,
+    articulationPoints: r.articulationPoints.map(name),
+    bridges: r.bridges.map(([a, b]) => [name(a), name(b)]),
+    components: r.components.map(c => c.verts.map(name)),
+    cutVertices: r.articulationPoints.length,
+    bridgeCount: r.bridges.length,
+  };
+}
+
+function formatTable(report) {
+  const directed = report.mode === 'directed';
+  const aps = directed ? report.strongArticulationPoints : report.articulationPoints;
+  const bridges = directed ? report.strongBridges : report.bridges;
+  const sep = directed ? '->' : '-';
+  const lines = [];
+  lines.push(`${directed ? 'Strong articulation points' : 'Articulation points'} (${aps.length}): ${aps.join(', ') || '-'}`);
+  lines.push(`${directed ? 'Strong bridges' : 'Bridges'} (${bridges.length}): ${bridges.map(b => b.join(sep)).join(', ') || '-'}`);
+  lines.push(`Components (${report.components.length}):`);
+  report.components.forEach((c, i) => lines.push(`  ${i}: ${c.join(', ')}`));
+  return lines.join('\n');
+}
+
+function main(argv) {
+  let opts;
+  try { opts = parseArgs(argv); } catch (e) {
+    process.stderr.write(`bcc-analyze: ${e.message}\n${USAGE}\n`);
+    return 2;
+  }
+  if (opts.help) { process.stdout.write(`${USAGE}\n`); return 0; }
+
+  let loaded;
+  try {
+    const text = fs.readFileSync(opts.file && opts.file !== '-' ? opts.file : 0, 'utf8');
+    loaded = loadGraph(text, opts['input-format'], opts.file || '');
+  } catch (e) {
+    process.stderr.write(`bcc-analyze: ${e.message}\n`);
+    return 2;
+  }
+
+  const { cutVertices, bridgeCount, ...report } = analyzeGraph(loaded.graph, opts.mode, loaded.names);
+  process.stdout.write(opts.format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : `${formatTable(report)}\n`);
+
+  if (opts.failOnBridges && bridgeCount > 0) return 1;
+  if (opts.failOnCuts && cutVertices > 0) return 1;
+  return 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { main, loadGraph, analyzeGraph };
@@ -0,0 +1,206 @@
+// flow.js
+// Vertex connectivity κ and edge connectivity λ via unit-capacity max-flow over the Graph
+// adjacency (edges treated as undirected, parallel edges count, self-loops ignored).
+// Every call returns the value together with a minimum cut and the disjoint paths
+// (Menger) that prove it.
+
+(function (root) {
+  // Residual network with integer capacities; arcs are stored in flat arrays
+  class FlowNetwork {
+    constructor(size) {
+      this.size = size;
+      this.head = new Array(size).fill(-1);
+      this.to = []; this.cap = []; this.next = []; this.tag = [];
+    }
+
+    // arc u->v with capacity c (and its residual reverse arc); tag links back to the graph
+    addArc(u, v, c, tag = null) {
+      this._push(u, v, c, tag);
+      this._push(v, u, 0, null);
+    }
+
+    _push(u, v, c, tag) {
+      this.to.push(v); this.cap.push(c); this.tag.push(tag);
+      this.next.push(this.head[u]); this.head[u] = this.to.length - 1;
+    }
+
+    // Edmonds-Karp; stops early once `limit` units have been pushed
+    maxFlow(s, t, limit = Infinity) {
+      let flow = 0;
+      const prevArc = new Array(this.size);
+      while (flow < limit) {
+        prevArc.fill(-1);
+        const queue = [s];
+        const seen = new Uint8Array(this.size);
+        seen[s] = 1;
+        for (let i = 0; i < queue.length && !seen[t]; i++) {
+          const u = queue[i];
+          for (let a = this.head[u]; a !== -1; a = this.next[a]) {
+            const v = this.to[a];
+            if (this.cap[a] > 0 && !seen[v]) { seen[v] = 1; prevArc[v] = a; queue.push(v); }
+          }
+        }
+        if (!seen[t]) break;
+        // unit augment is enough: every s-t path has a capacity-1 arc on it
+        let push = Infinity;
+        for (let v = t; v !== s; v = this.to[prevArc[v] ^ 1]) push = Math.min(push, this.cap[prevArc[v]]);
+        push = Math.min(push, limit - flow);
+        for (let v = t; v !== s; v = this.to[prevArc[v] ^ 1]) {
+          this.cap[prevArc[v]] -= push;
+          this.cap[prevArc[v] ^ 1] += push;
+        }
+        flow += push;
+      }
+      return flow;
+    }
+
+    // Nodes reachable from s in the residual network (the source side of a min cut)
+    sourceSide(s) {
+      const seen = new Uint8Array(this.size);
+      const queue = [s];
+      seen[s] = 1;
+      for (let i = 0; i < queue.length; i++) {
+        for (let a = this.head[queue[i]]; a !== -1; a = this.next[a]) {
+          if (this.cap[a] > 0 && !seen[this.to[a]]) { seen[this.to[a]] = 1; queue.push(this.to[a]); }
+        }
+      }
+      return seen;
+    }
+  }
+
+  // Undirected edges usable for flow: [{a, b, key}] without self-loops
+  function flowEdges(g) {
+    const out = [];
+    for (const [key, e] of g.edgeMap.entries()) {
+      if (e.a === e.b || !g.adj.has(e.a) || !g.adj.has(e.b)) continue;
+      out.push({ a: e.a, b: e.b, key });
+    }
+    return out;
+  }
+
+  // Walk saturated tagged arcs from s to t, consuming them, to list the disjoint paths.
+  // original[a] is the arc's starting capacity, so used = original - residual.
+  function decompose(net, original, s, t, count, nodeOf) {
+    const used = net.cap.map((c, a) => (a % 2 === 0 ? original[a] - c : 0));
+    const paths = [];
+    for (let p = 0; p < count; p++) {
+      const verts = [nodeOf(s)]; const edges = [];
+      let u = s; let guard = net.size * 4;
+      while (u !== t && guard-- > 0) {
+        let a = net.head[u];
+        while (a !== -1 && !(a % 2 === 0 && used[a] > 0)) a = net.next[a];
+        if (a === -1) break;
+        used[a]--;
+        if (net.tag[a] !== null) edges.push(net.tag[a]);
+        u = net.to[a];
+        const v = nodeOf(u);
+        if (v !== verts[verts.length - 1]) verts.push(v);
+      }
+      if (u === t) paths.push({ verts, edges });
+    }
+    return paths;
+  }
+
+  // λ(s,t): maximum number of edge-disjoint s-t paths = size of a minimum s-t edge cut
+  function localEdgeConnectivity(g, s, t) {
+    if (s === t) throw new Error('s and t must differ');
+    const ids = g.nodes.map(n => n.id);
+    const index = new Map(ids.map((id, i) => [id, i]));
+    const net = new FlowNetwork(ids.length);
+    const edges = flowEdges(g);
+    for (const e of edges) {
+      net.addArc(index.get(e.a), index.get(e.b), 1, e.key);
+      net.addArc(index.get(e.b), index.get(e.a), 1, e.key);
+    }
+    const original = net.cap.slice();
+    const value = net.maxFlow(index.get(s), index.get(t));
+    const side = net.sourceSide(index.get(s));
+    const cutEdges = edges.filter(e => side[index.get(e.a)] !== side[index.get(e.b)]).map(e => e.key);
+    const paths = decompose(net, original, index.get(s), index.get(t), value, (i) => ids[i]);
+    return { kind: 'edge', s, t, value, cutEdges, cutVertices: [], paths, sourceSide: ids.filter((id, i) => side[i]) };
+  }
+
+  // κ(s,t): maximum number of internally vertex-disjoint s-t paths. For non-adjacent s,t
+  // this equals a minimum vertex cut; adjacent vertices cannot be separated (cut = null),
+  // so the direct edge counts as one path and the rest is computed without it.
+  function localVertexConnectivity(g, s, t) {
+    if (s === t) throw new Error('s and t must differ');
+    const ids = g.nodes.map(n => n.id);
+    const index = new Map(ids.map((id, i) => [id, i]));
+    const n = ids.length;
+    const big = n + 1;
+    // v_in = 2i, v_out = 2i + 1
+    const net = new FlowNetwork(2 * n);
+    ids.forEach((id, i) => net.addArc(2 * i, 2 * i + 1, id === s || id === t ? big : 1, null));
+    const edges = flowEdges(g);
+    const direct = edges.filter(e => (e.a === s && e.b === t) || (e.a === t && e.b === s));
+    for (const e of edges) {
+      if (direct.includes(e)) continue;
+      const a = index.get(e.a); const b = index.get(e.b);
+      net.addArc(2 * a + 1, 2 * b, big, e.key);
+      net.addArc(2 * b + 1, 2 * a, big, e.key);
+    }
+    const original = net.cap.slice();
+    const src = 2 * index.get(s) + 1; const dst = 2 * index.get(t);
+    const flow = net.maxFlow(src, dst);
+    const paths = decompose(net, original, src, dst, flow, (i) => ids[i >> 1]);
+    let cutVertices = null;
+    if (!direct.length) {
+      const side = net.sourceSide(src);
+      cutVertices = ids.filter((id, i) => side[2 * i] && !side[2 * i + 1]);
+    } else {
+      paths.unshift({ verts: [s, t], edges: [direct[0].key] });
+    }
+    return { kind: 'vertex', s, t, value: flow + (direct.length ? 1 : 0), cutVertices, cutEdges: [], paths, adjacent: direct.length > 0 };
+  }
+
+  function isConnected(g) {
+    if (!g.nodes.length) return true;
+    const start = g.nodes[0].id;
+    const seen = new Set([start]);
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+      for (const v of g.adj.get(queue[i]) || []) if (!seen.has(v) && g.adj.has(v)) { seen.add(v); queue.push(v); }
+    }
+    return seen.size === g.nodes.length;
+  }
+
+  // λ(G) = min over t of λ(v0, t) for any fixed v0
+  function edgeConnectivity(g) {
+    const ids = g.nodes.map(n => n.id);
+    if (ids.length < 2) return { kind: 'edge', value: 0, cutEdges: [], cutVertices: [], paths: [], s: null, t: null };
+    if (!isConnected(g)) return { kind: 'edge', value: 0, cutEdges: [], cutVertices: [], paths: [], s: null, t: null, disconnected: true };
+    let best = null;
+    for (let i = 1; i < ids.length; i++) {
+      const r = localEdgeConnectivity(g, ids[0], ids[i]);
+      if (!best || r.value < best.value) best = r;
+      if (best.value === 0) break;
+    }
+    return best;
+  }
+
+  // κ(G) by Even's algorithm: with vertices v1..vn it is enough to try pairs (vi, vj),
+  // i <= κ, j > i, that are not adjacent. A complete graph has κ = n - 1 and no vertex cut.
+  function vertexConnectivity(g) {
+    const ids = g.nodes.map(n => n.id);
+    const n = ids.length;
+    if (n < 2) return { kind: 'vertex', value: 0, cutVertices: [], cutEdges: [], paths: [], s: null, t: null };
+    if (!isConnected(g)) return { kind: 'vertex', value: 0, cutVertices: [], cutEdges: [], paths: [], s: null, t: null, disconnected: true };
+    let best = null;
+    let k = n - 1;
+    for (let i = 0; i <= k && i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        if (g.adj.get(ids[i]).has(ids[j])) continue;
+        const r = localVertexConnectivity(g, ids[i], ids[j]);
+        if (!best || r.value < best.value) { best = r; k = Math.min(k, r.value); }
+      }
+    }
+    if (!best) return { kind: 'vertex', value: n - 1, cutVertices: null, cutEdges: [], paths: [], s: null, t: null, complete: true };
+    return best;
+  }
+
+  const GraphConnectivity = { FlowNetwork, localEdgeConnectivity, localVertexConnectivity, edgeConnectivity, vertexConnectivity, isConnected };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = GraphConnectivity;
+  else root.GraphConnectivity = GraphConnectivity;
+})(typeof window !== 'undefined' ? window : this);
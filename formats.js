@@ -0,0 +1,524 @@
+// formats.js
+// Import / export of standard graph formats: Graphviz DOT, GraphML, plain edge lists and DIMACS.
+// Every importer returns a Graph; malformed input throws a ParseError listing each bad line.
+// Exporters take an optional analyze() result to mark bridges and cut vertices.
+
+(function (root) {
+  const GraphCtor = typeof Graph !== 'undefined' ? Graph : require('./graph.js');
+
+  // Collected per-line problems: errors = [{line, message}]
+  class ParseError extends Error {
+    constructor(format, errors) {
+      super(`${format}: ${errors.map(e => `line ${e.line}: ${e.message}`).join('; ')}`);
+      this.name = 'ParseError';
+      this.format = format;
+      this.errors = errors;
+    }
+  }
+
+  // Builds a Graph from external node names, remembering labels and coordinates.
+  // Nodes without coordinates are placed once everything is added: on a circular layout when
+  // the file gives none, otherwise on a circle around the nodes it does place.
+  function builder() {
+    const g = new GraphCtor();
+    const ids = new Map();
+    return {
+      graph: g,
+      has: (name) => ids.has(String(name)),
+      node(name, attrs = {}) {
+        const key = String(name);
+        if (!ids.has(key)) {
+          const id = g.addNode(0, 0);
+          ids.set(key, id);
+          const nd = g.nodes[g.nodes.length - 1];
+          nd.hasPos = false;
+          // the name from the file is kept as the label unless it is just the new id
+          if (key !== String(id)) nd.label = key;
+        }
+        const nd = g.nodes.find(n => n.id === ids.get(key));
+        if (attrs.label !== undefined && attrs.label !== '') nd.label = String(attrs.label);
+        if (Number.isFinite(attrs.x) && Number.isFinite(attrs.y)) { nd.x = attrs.x; nd.y = attrs.y; nd.hasPos = true; }
+        return ids.get(key);
+      },
+      edge(a, b, directed) {
+        return g.addEdge(this.node(a), this.node(b), directed);
+      },
+      finish() {
+        const placed = g.nodes.filter(nd => nd.hasPos);
+        const missing = g.nodes.filter(nd => !nd.hasPos);
+        for (const nd of g.nodes) delete nd.hasPos;
+        if (!placed.length) { if (g.nodes.length) g.autoLayout(); return g; }
+        const cx = placed.reduce((t, nd) => t + nd.x, 0) / placed.length;
+        const cy = placed.reduce((t, nd) => t + nd.y, 0) / placed.length;
+        const r = Math.max(...placed.map(nd => Math.hypot(nd.x - cx, nd.y - cy))) + 60;
+        missing.forEach((nd, i) => {
+          const angle = (2 * Math.PI * i) / missing.length;
+          nd.x = cx + r * Math.cos(angle);
+          nd.y = cy + r * Math.sin(angle);
+        });
+        return g;
+      },
+    };
+  }
+
+  function bridgeKeySet(g, result) {
+    return new Set(result ? result.bridges.map(([a, b]) => g.edgeKey(a, b)) : []);
+  }
+
+  // --- Edge list: "a b", "a-b" or "a->b" per line; a lone token declares a node; # comments ---
+
+  function parseEdgeList(text) {
+    const b = builder();
+    const errors = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+      const line = raw.replace(/#.*/, '').trim();
+      if (!line) return;
+      const parts = line.split(/\s+/);
+      if (parts.length === 2) { b.edge(parts[0], parts[1], false); return; }
+      if (parts.length === 3 && ['-', '--', '->'].includes(parts[1])) { b.edge(parts[0], parts[2], parts[1] === '->'); return; }
+      if (parts.length === 1) {
+        // "a->b", "a--b" or "a-b" without spaces; anything else declares a lone node
+        const m = line.match(/^(.+?)(->|--)(.+)$/) || line.match(/^([^-]+)(-)([^-]+)$/);
+        if (m) b.edge(m[1], m[3], m[2] === '->');
+        else b.node(line);
+        return;
+      }
+      errors.push({ line: i + 1, message: `expected "a b", "a-b" or "a->b", got "${raw.trim()}"` });
+    });
+    if (errors.length) throw new ParseError('edge list', errors);
+    return b.finish();
+  }
+
+  // Labels are used when they are plain words, otherwise the numeric id
+  function edgeListToken(nd) {
+    return nd.label !== undefined && /^[\w.:]+$/.test(nd.label) ? nd.label : String(nd.id);
+  }
+
+  // Token per node id; when two nodes would share one (a node labelled "3" next to node 3,
+  // or a repeated label) every node is written by id so re-importing keeps them apart
+  function edgeListTokens(g) {
+    const tokens = new Map(g.nodes.map(n => [n.id, edgeListToken(n)]));
+    if (new Set(tokens.values()).size === tokens.size) return tokens;
+    return new Map(g.nodes.map(n => [n.id, String(n.id)]));
+  }
+
+  function toEdgeList(g) {
+    const lines = [];
+    const touched = new Set();
+    const token = edgeListTokens(g);
+    for (const e of g.edgeMap.values()) {
+      touched.add(e.a); touched.add(e.b);
+      lines.push(`${token.get(e.a)} ${e.directed ? '-> ' : ''}${token.get(e.b)}`);
+    }
+    for (const n of g.nodes) if (!touched.has(n.id)) lines.push(token.get(n.id));
+    return lines.join('\n') + '\n';
+  }
+
+  // --- DIMACS: "c" comments, "p edge N M" header, "e u v" edges (1-based), "a u v" arcs ---
+
+  function parseDimacs(text) {
+    const b = builder();
+    const errors = [];
+    let declared = null;
+    text.split(/\r?\n/).forEach((raw, i) => {
+      const line = raw.trim();
+      if (!line || line[0] === 'c') return;
+      const parts = line.split(/\s+/);
+      const lineNo = i + 1;
+      if (parts[0] === 'p') {
+        const n = parseInt(parts[2]);
+        if (parts.length < 4 || Number.isNaN(n)) { errors.push({ line: lineNo, message: 'expected "p <format> <nodes> <edges>"' }); return; }
+        if (declared !== null) { errors.push({ line: lineNo, message: 'duplicate problem line' }); return; }
+        declared = n;
+        for (let v = 1; v <= n; v++) b.node(v);
+      } else if (parts[0] === 'e' || parts[0] === 'a') {
+        const u = parseInt(parts[1]); const v = parseInt(parts[2]);
+        if (declared === null) { errors.push({ line: lineNo, message: 'edge before the "p" problem line' }); return; }
+        if (parts.length < 3 || Number.isNaN(u) || Number.isNaN(v)) { errors.push({ line: lineNo, message: `expected "${parts[0]} <u> <v>"` }); return; }
+        if (u < 1 || v < 1 || u > declared || v > declared) { errors.push({ line: lineNo, message: `vertex out of range 1..${declared}` }); return; }
+        b.edge(u, v, parts[0] === 'a');
+      } else if (parts[0] === 'n' || parts[0] === 'v') {
+        // node descriptor lines from some DIMACS variants carry no structure we need
+      } else {
+        errors.push({ line: lineNo, message: `unknown line type "${parts[0]}"` });
+      }
+    });
+    if (declared === null && !errors.length) errors.push({ line: 1, message: 'missing "p" problem line' });
+    if (errors.length) throw new ParseError('DIMACS', errors);
+    return b.finish();
+  }
+
+  function toDimacs(g) {
+    const index = new Map(g.nodes.map((n, i) => [n.id, i + 1]));
+    const lines = [`c exported by Biconnected Components Visualizer`];
+    g.nodes.forEach((n, i) => { if (n.label !== undefined) lines.push(`c ${i + 1} ${n.label}`); });
+    lines.push(`p edge ${g.nodes.length} ${g.edgeMap.size}`);
+    for (const e of g.edgeMap.values()) lines.push(`${e.directed ? 'a' : 'e'} ${index.get(e.a)} ${index.get(e.b)}`);
+    return lines.join('\n') + '\n';
+  }
+
+  // --- Graphviz DOT ---
+
+  // Bad characters and unterminated strings are pushed to errors and the rest of their line
+  // is skipped, so one pass reports every bad line
+  function tokenizeDot(text, errors) {
+    const tokens = [];
+    let i = 0; let line = 1;
+    const skipLine = (from) => { const end = text.indexOf('\n', from); return end === -1 ? text.length : end; };
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '\n') { line++; i++; continue; }
+      if (/\s/.test(ch)) { i++; continue; }
+      if (text.startsWith('//', i) || (ch === '#' && (i === 0 || text[i - 1] === '\n'))) {
+        while (i < text.length && text[i] !== '\n') i++;
+        continue;
+      }
+      if (text.startsWith('/*', i)) {
+        const end = text.indexOf('*/', i + 2);
+        const stop = end === -1 ? text.length : end + 2;
+        for (let j = i; j < stop; j++) if (text[j] === '\n') line++;
+        i = stop;
+        continue;
+      }
+      if (text.startsWith('--', i) || text.startsWith('->', i)) { tokens.push({ t: 'op', v: text.substr(i, 2), line }); i += 2; continue; }
+      if ('{}[];,=:'.includes(ch)) { tokens.push({ t: 'punct', v: ch, line }); i++; continue; }
+      if (ch === '"') {
+        let j = i + 1; let s = ''; const start = line;
+        while (j < text.length && text[j] !== '"') {
+          if (text[j] === '\\' && text[j + 1] === '"') { s += '"'; j += 2; continue; }
+          if (text[j] === '\\' && text[j + 1] === '\n') { line++; j += 2; continue; }
+          if (text[j] === '\n') line++;
+          s += text[j++];
+        }
+        if (j >= text.length) {
+          errors.push({ line: start, message: 'unterminated string' });
+          line = start;
+          i = skipLine(i);
+          continue;
+        }
+        tokens.push({ t: 'id', v: s, line: start, quoted: true });
+        i = j + 1;
+        continue;
+      }
+      if (ch === '<') {
+        // HTML-like label: keep the raw markup
+        let depth = 0; let j = i; const start = line;
+        do {
+          if (text[j] === '<') depth++;
+          else if (text[j] === '>') depth--;
+          else if (text[j] === '\n') line++;
+          j++;
+        } while (j < text.length && depth > 0);
+        tokens.push({ t: 'id', v: text.slice(i + 1, j - 1), line: start });
+        i = j;
+        continue;
+      }
+      const m = /^[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|^-?(\.\d+|\d+(\.\d*)?)/.exec(text.slice(i, i + 256));
+      if (!m) {
+        errors.push({ line, message: `unexpected character "${ch}"` });
+        i = skipLine(i);
+        continue;
+      }
+      tokens.push({ t: 'id', v: m[0], line });
+      i += m[0].length;
+    }
+    return tokens;
+  }
+
+  function parseDot(text) {
+    const errors = [];
+    const tokens = tokenizeDot(text, errors);
+    const b = builder();
+    const fail = (line, message) => {
+      errors.push({ line, message });
+      throw new ParseError('DOT', errors.sort((x, y) => x.line - y.line));
+    };
+    let p = 0;
+    const peek = () => tokens[p];
+    const lastLine = () => (tokens.length ? tokens[tokens.length - 1].line : 1);
+    const is = (v) => peek() && peek().v === v && !peek().quoted;
+    const kw = (v) => peek() && peek().t === 'id' && !peek().quoted && peek().v.toLowerCase() === v;
+
+    // header: [strict] (graph|digraph) [ID] {
+    if (kw('strict')) p++;
+    let directed = false;
+    if (kw('digraph')) directed = true;
+    else if (!kw('graph')) fail(peek() ? peek().line : 1, 'expected "graph" or "digraph"');
+    p++;
+    if (peek() && peek().t === 'id') p++;
+    if (!is('{')) fail(peek() ? peek().line : lastLine(), 'expected "{"');
+    p++;
+
+    const attrList = () => {
+      const attrs = {};
+      while (is('[')) {
+        p++;
+        while (peek() && !is(']')) {
+          const k = peek();
+          if (k.t !== 'id') { errors.push({ line: k.line, message: `unexpected "${k.v}" in attribute list` }); p++; continue; }
+          p++;
+          if (is('=')) {
+            p++;
+            const v = peek();
+            if (!v || v.t !== 'id') { errors.push({ line: k.line, message: `missing value for "${k.v}"` }); continue; }
+            attrs[k.v] = v.v;
+            p++;
+          } else attrs[k.v] = 'true';
+          if (is(',') || is(';')) p++;
+        }
+        if (!is(']')) { errors.push({ line: lastLine(), message: 'unterminated attribute list' }); return attrs; }
+        p++;
+      }
+      return attrs;
+    };
+
+    const nodeAttrs = (attrs) => {
+      const out = { label: attrs.label };
+      if (attrs.pos) {
+        const m = attrs.pos.replace('!', '').split(',').map(parseFloat);
+        if (m.length >= 2 && m.every(Number.isFinite)) { out.x = m[0]; out.y = m[1]; }
+      }
+      return out;
+    };
+
+    // node id, skipping an optional :port[:compass]
+    const nodeId = () => {
+      const t = peek(); p++;
+      while (is(':')) { p++; if (peek() && peek().t === 'id') p++; }
+      return t;
+    };
+
+    let depth = 1;
+    while (p < tokens.length && depth > 0) {
+      const t = peek();
+      if (is(';') || is(',')) { p++; continue; }
+      if (is('}')) { depth--; p++; continue; }
+      if (is('{')) { depth++; p++; continue; }
+      if (kw('subgraph')) { p++; if (peek() && peek().t === 'id' && !is('{')) p++; continue; }
+      if ((kw('graph') || kw('node') || kw('edge')) && tokens[p + 1] && tokens[p + 1].v === '[') { p++; attrList(); continue; }
+      if (t.t !== 'id') { errors.push({ line: t.line, message: `unexpected "${t.v}"` }); p++; continue; }
+      // graph-level ID = ID
+      if (tokens[p + 1] && tokens[p + 1].v === '=' && !tokens[p + 1].quoted) { p += 3; continue; }
+
+      const chain = [nodeId()];
+      const ops = [];
+      while (peek() && peek().t === 'op') {
+        const op = peek(); p++;
+        if (op.v === '->' && !directed) errors.push({ line: op.line, message: '"->" used in an undirected graph' });
+        if (op.v === '--' && directed) errors.push({ line: op.line, message: '"--" used in a digraph' });
+        if (!peek() || peek().t !== 'id') { errors.push({ line: op.line, message: `missing node after "${op.v}"` }); break; }
+        ops.push(op.v);
+        chain.push(nodeId());
+      }
+      const attrs = attrList();
+      if (chain.length === 1) {
+        b.node(chain[0].v, nodeAttrs(attrs));
+      } else {
+        for (let i = 0; i + 1 < chain.length && i < ops.length; i++) b.edge(chain[i].v, chain[i + 1].v, directed && attrs.dir !== 'none');
+      }
+    }
+    if (depth > 0) errors.push({ line: lastLine(), message: 'missing closing "}"' });
+    if (errors.length) throw new ParseError('DOT', errors.sort((x, y) => x.line - y.line));
+    return b.finish();
+  }
+
+  function dotId(s) {
+    return /^[A-Za-z_][\w]*$|^-?\d+(\.\d+)?$/.test(s) ? s : `"${String(s).replace(/"/g, '\\"')}"`;
+  }
+
+  // Bridges are colored red and cut vertices drawn as double circles when a result is given.
+  // Mixed graphs are written as a digraph with dir=none on undirected edges.
+  function toDot(g, result = null) {
+    const anyDirected = Array.from(g.edgeMap.values()).some(e => e.directed);
+    const cuts = new Set(result ? result.articulationPoints : []);
+    const bridges = bridgeKeySet(g, result);
+    const lines = [`${anyDirected ? 'digraph' : 'graph'} G {`];
+    for (const n of g.nodes) {
+      const attrs = [`pos="${Math.round(n.x)},${Math.round(n.y)}"`];
+      if (n.label !== undefined) attrs.unshift(`label=${dotId(n.label)}`);
+      if (cuts.has(n.id)) attrs.push('shape=doublecircle');
+      lines.push(`  ${n.id} [${attrs.join(', ')}];`);
+    }
+    for (const e of g.edgeMap.values()) {
+      const attrs = [];
+      if (anyDirected && !e.directed) attrs.push('dir=none');
+      if (!e.directed && bridges.has(g.edgeKey(e.a, e.b))) attrs.push('color=red', 'penwidth=2');
+      lines.push(`  ${e.a} ${anyDirected ? '->' : '--'} ${e.b}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  // --- GraphML (plain keys and yEd y:Geometry / y:NodeLabel) ---
+
+  function xmlAttrs(s) {
+    const out = {};
+    const re = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let m;
+    while ((m = re.exec(s))) out[m[1]] = unescapeXml(m[3] !== undefined ? m[3] : m[4]);
+    return out;
+  }
+
+  function unescapeXml(s) {
+    return s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+  }
+
+  function escapeXml(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function parseGraphML(text) {
+    const b = builder();
+    const errors = [];
+    const keys = new Map(); // key id -> attr.name
+    const lineAt = (idx) => text.slice(0, idx).split('\n').length;
+    const re = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+    const stack = [];
+    let edgeDefault = 'undirected';
+    let current = null; // node or edge being read
+    let dataKey = null;
+    let sawGraph = false;
+    const pendingEdges = [];
+    let m;
+    while ((m = re.exec(text))) {
+      const line = lineAt(m.index);
+      if (m[6] !== undefined || m[1] !== undefined) {
+        const txt = m[1] !== undefined ? m[1] : unescapeXml(m[6]);
+        if (current && current.inLabel) current.data.label = (current.data.label || '') + txt.trim();
+        else if (current && dataKey !== null) current.data[dataKey] = (current.data[dataKey] || '') + txt.trim();
+        continue;
+      }
+      if (!m[3]) continue; // comment / processing instruction
+      const closing = m[2] === '/'; const tag = m[3]; const selfClose = m[5] === '/';
+      const local = tag.replace(/^.*:/, '');
+      if (closing) {
+        const open = stack.pop();
+        if (!open || open.tag !== tag) { errors.push({ line, message: `unexpected </${tag}>${open ? `, expected </${open.tag}>` : ''}` }); if (open) stack.push(open); continue; }
+        if (local === 'data') dataKey = null;
+        if (tag === 'y:NodeLabel' && current) current.inLabel = false;
+        if ((local === 'node' || local === 'edge') && current && current.tag === local) { finishElement(current); current = null; }
+        continue;
+      }
+      const attrs = xmlAttrs(m[4]);
+      if (local === 'key' && attrs.id) keys.set(attrs.id, attrs['attr.name'] || attrs['yfiles.type'] || attrs.id);
+      else if (local === 'graph') { sawGraph = true; if (attrs.edgedefault) edgeDefault = attrs.edgedefault; }
+      else if (local === 'node' && tag === 'node') {
+        if (attrs.id === undefined) errors.push({ line, message: '<node> without id' });
+        else current = { tag: 'node', line, id: attrs.id, data: {} };
+      } else if (local === 'edge' && tag === 'edge') {
+        if (attrs.source === undefined || attrs.target === undefined) errors.push({ line, message: '<edge> needs source and target' });
+        else current = { tag: 'edge', line, source: attrs.source, target: attrs.target, directed: attrs.directed, data: {} };
+      } else if (local === 'data' && current) {
+        dataKey = keys.has(attrs.key) ? keys.get(attrs.key) : attrs.key;
+      } else if (tag === 'y:Geometry' && current) {
+        const x = parseFloat(attrs.x); const y = parseFloat(attrs.y);
+        const w = parseFloat(attrs.width) || 0; const h = parseFloat(attrs.height) || 0;
+        if (Number.isFinite(x) && Number.isFinite(y)) { current.data.x = String(x + w / 2); current.data.y = String(y + h / 2); }
+      } else if (tag === 'y:NodeLabel' && current) {
+        current.inLabel = !selfClose;
+      }
+      if (!selfClose) stack.push({ tag, line });
+      else if ((local === 'node' || local === 'edge') && current && current.tag === local) { finishElement(current); current = null; }
+    }
+    if (stack.length) errors.push({ line: stack[stack.length - 1].line, message: `<${stack[stack.length - 1].tag}> is never closed` });
+    if (!sawGraph && !errors.length) errors.push({ line: 1, message: 'no <graph> element' });
+
+    function finishElement(el) {
+      if (el.tag === 'node') {
+        const x = parseFloat(el.data.x); const y = parseFloat(el.data.y);
+        b.node(el.id, { label: el.data.label || el.data.name, x, y });
+      } else {
+        pendingEdges.push(el);
+      }
+    }
+    // edges may reference nodes declared later in the file
+    for (const el of pendingEdges) {
+      if (!b.has(el.source) || !b.has(el.target)) { errors.push({ line: el.line, message: `edge refers to unknown node "${b.has(el.source) ? el.target : el.source}"` }); continue; }
+      const directed = el.directed !== undefined ? el.directed === 'true' : edgeDefault === 'directed';
+      b.edge(el.source, el.target, directed);
+    }
+    if (errors.length) throw new ParseError('GraphML', errors);
+    return b.finish();
+  }
+
+  function toGraphML(g, result = null) {
+    const anyDirected = Array.from(g.edgeMap.values()).some(e => e.directed);
+    const cuts = new Set(result ? result.articulationPoints : []);
+    const bridges = bridgeKeySet(g, result);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+      '  <key id="x" for="node" attr.name="x" attr.type="double"/>',
+      '  <key id="y" for="node" attr.name="y" attr.type="double"/>',
+    ];
+    if (result) {
+      lines.push('  <key id="articulation" for="node" attr.name="articulation" attr.type="boolean"/>');
+      lines.push('  <key id="bridge" for="edge" attr.name="bridge" attr.type="boolean"/>');
+    }
+    lines.push(`  <graph id="G" edgedefault="${anyDirected ? 'directed' : 'undirected'}">`);
+    for (const n of g.nodes) {
+      lines.push(`    <node id="${n.id}">`);
+      if (n.label !== undefined) lines.push(`      <data key="label">${escapeXml(n.label)}</data>`);
+      lines.push(`      <data key="x">${n.x}</data>`);
+      lines.push(`      <data key="y">${n.y}</data>`);
+      if (result) lines.push(`      <data key="articulation">${cuts.has(n.id)}</data>`);
+      lines.push('    </node>');
+    }
+    for (const e of g.edgeMap.values()) {
+      const dir = e.directed !== anyDirected ? ` directed="${!!e.directed}"` : '';
+      if (result) {
+        lines.push(`    <edge source="${e.a}" target="${e.b}"${dir}>`);
+        lines.push(`      <data key="bridge">${!e.directed && bridges.has(g.edgeKey(e.a, e.b))}</data>`);
+        lines.push('    </edge>');
+      } else {
+        lines.push(`    <edge source="${e.a}" target="${e.b}"${dir}/>`);
+      }
+    }
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+  }
+
+  // --- dispatch ---
+
+  const FORMATS = {
+    json: { label: 'JSON', ext: 'json', mime: 'application/json', parse: (t) => GraphCtor.fromJSON(t), serialize: (g) => g.toJSON() },
+    dot: { label: 'DOT', ext: 'dot', mime: 'text/vnd.graphviz', parse: parseDot, serialize: toDot },
+    graphml: { label: 'GraphML', ext: 'graphml', mime: 'application/xml', parse: parseGraphML, serialize: toGraphML },
+    edgelist: { label: 'Edge list', ext: 'txt', mime: 'text/plain', parse: parseEdgeList, serialize: toEdgeList },
+    dimacs: { label: 'DIMACS', ext: 'col', mime: 'text/plain', parse: parseDimacs, serialize: toDimacs },
+  };
+
+  // Guess a format from the file name, falling back to the content
+  function detectFormat(name, text) {
+    const ext = (name || '').toLowerCase().split('.').pop();
+    if (ext === 'json') return 'json';
+    if (ext === 'dot' || ext === 'gv') return 'dot';
+    if (ext === 'graphml' || ext === 'xml') return 'graphml';
+    if (ext === 'col' || ext === 'dimacs' || ext === 'clq') return 'dimacs';
+    const t = text.trim();
+    if (t.startsWith('{')) return 'json';
+    if (t.startsWith('<')) return 'graphml';
+    if (/^(strict\s+)?(di)?graph\b/i.test(t)) return 'dot';
+    if (/^(c .*\n)*p\s/m.test(t) && /^p\s+\w+\s+\d+\s+\d+/m.test(t)) return 'dimacs';
+    return 'edgelist';
+  }
+
+  function parse(format, text) {
+    if (!FORMATS[format]) throw new Error(`unknown format ${format}`);
+    return FORMATS[format].parse(text);
+  }
+
+  function serialize(format, g, result = null) {
+    if (!FORMATS[format]) throw new Error(`unknown format ${format}`);
+    return FORMATS[format].serialize(g, result);
+  }
+
+  const GraphFormats = {
+    ParseError, FORMATS, detectFormat, parse, serialize,
+    parseEdgeList, toEdgeList, parseDimacs, toDimacs, parseDot, toDot, parseGraphML, toGraphML,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = GraphFormats;
+  else root.GraphFormats = GraphFormats;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,291 @@
+// generators.js
+// Seeded graph generators for teaching cut vertices and bridges. The same kind, parameters
+// and seed always give the same graph and the same layout.
+//   generate(kind, params, seed, width, height) -> Graph
+// Every kind lists its parameters ({name, label, min, max, value}) for the generator panel.
+
+(function (root) {
+  const GraphCtor = typeof Graph !== 'undefined' ? Graph : require('./graph.js');
+
+  // mulberry32 over a 32-bit FNV-1a hash of the seed text
+  function seededRandom(seed) {
+    let h = 0x811c9dc5;
+    for (const ch of String(seed)) { h ^= ch.codePointAt(0); h = Math.imul(h, 0x01000193); }
+    let a = h >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  const randInt = (random, lo, hi) => lo + Math.floor(random() * (hi - lo + 1));
+  const pick = (random, xs) => xs[Math.floor(random() * xs.length)];
+
+  // Scale and center the current coordinates into the drawing area
+  function fitToBox(g, width, height, pad = 40) {
+    if (!g.nodes.length) return;
+    const xs = g.nodes.map(n => n.x); const ys = g.nodes.map(n => n.y);
+    const minX = Math.min(...xs); const minY = Math.min(...ys);
+    const spanX = Math.max(...xs) - minX; const spanY = Math.max(...ys) - minY;
+    const scale = Math.min(spanX ? (width - 2 * pad) / spanX : Infinity, spanY ? (height - 2 * pad) / spanY : Infinity);
+    const s = Number.isFinite(scale) ? scale : 1;
+    for (const n of g.nodes) {
+      n.x = width / 2 + (n.x - minX - spanX / 2) * s;
+      n.y = height / 2 + (n.y - minY - spanY / 2) * s;
+    }
+  }
+
+  // Seeded start positions, then the force layout (which is itself deterministic)
+  function scatterAndForce(g, random, width, height) {
+    for (const n of g.nodes) { n.x = width * (0.2 + 0.6 * random()); n.y = height * (0.2 + 0.6 * random()); }
+    g.forceLayout(width, height);
+  }
+
+  // A biconnected block on `verts`: a cycle through them plus a few random chords
+  function addBlock(g, random, verts, chords) {
+    if (verts.length === 2) { g.addEdge(verts[0], verts[1]); return; }
+    for (let i = 0; i < verts.length; i++) g.addEdge(verts[i], verts[(i + 1) % verts.length]);
+    for (let c = 0; c < chords && verts.length > 3; c++) {
+      const i = randInt(random, 0, verts.length - 1);
+      const j = (i + randInt(random, 2, verts.length - 2)) % verts.length;
+      if (!g.adj.get(verts[i]).has(verts[j])) g.addEdge(verts[i], verts[j]);
+    }
+  }
+
+  function isConnected(g) {
+    if (!g.nodes.length) return true;
+    const seen = new Set([g.nodes[0].id]);
+    const queue = [g.nodes[0].id];
+    for (let i = 0; i < queue.length; i++) for (const v of g.adj.get(queue[i])) if (!seen.has(v)) { seen.add(v); queue.push(v); }
+    return seen.size === g.nodes.length;
+  }
+
+  const GENERATORS = {
+    tree: {
+      label: 'Tree',
+      params: [{ name: 'n', label: 'nodes', min: 1, max: 200, value: 12 }],
+      build(random, { n }, width, height) {
+        const g = new GraphCtor();
+        for (let i = 0; i < n; i++) {
+          g.addNode();
+          if (i > 0) g.addEdge(randInt(random, 0, i - 1), i);
+        }
+        g.dfsLayout(width, height);
+        return g;
+      },
+    },
+
+    cactus: {
+      label: 'Cactus (cycles sharing vertices)',
+      params: [
+        { name: 'cycles', label: 'cycles', min: 1, max: 30, value: 5 },
+        { name: 'maxLen', label: 'max length', min: 3, max: 12, value: 5 },
+        { name: 'pendants', label: 'pendant edges', min: 0, max: 30, value: 2 },
+      ],
+      build(random, { cycles, maxLen, pendants }, width, height) {
+        const g = new GraphCtor();
+        g.addNode();
+        // each cycle hangs off a vertex that is already there, so no edge is on two cycles
+        for (let c = 0; c < cycles; c++) {
+          const at = pick(random, g.nodes).id;
+          const verts = [at];
+          for (let i = randInt(random, 3, maxLen); i > 1; i--) verts.push(g.addNode());
+          addBlock(g, random, verts, 0);
+        }
+        for (let p = 0; p < pendants; p++) g.addEdge(pick(random, g.nodes).id, g.addNode());
+        scatterAndForce(g, random, width, height);
+        return g;
+      },
+    },
+
+    cycleChain: {
+      label: 'Chain of cycles',
+      params: [
+        { name: 'cycles', label: 'cycles', min: 1, max: 20, value: 4 },
+        { name: 'length', label: 'cycle length', min: 3, max: 12, value: 5 },
+      ],
+      build(random, { cycles, length }, width, height) {
+        const g = new GraphCtor();
+        let join = g.addNode(0, 0);
+        let cx = 1;
+        // cycle i runs from its left vertex (shared with cycle i-1) round to its right one
+        for (let c = 0; c < cycles; c++) {
+          const verts = [join];
+          for (let j = 1; j < length; j++) {
+            const angle = Math.PI - (2 * Math.PI * j) / length;
+            verts.push(g.addNode(cx + Math.cos(angle), Math.sin(angle)));
+          }
+          addBlock(g, random, verts, 0);
+          join = verts[Math.floor(length / 2)];
+          const jn = g.nodes.find(n => n.id === join);
+          cx = jn.x + 1;
+        }
+        fitToBox(g, width, height);
+        return g;
+      },
+    },
+
+    barbell: {
+      label: 'Barbell (two cliques and a path)',
+      params: [
+        { name: 'clique', label: 'clique size', min: 3, max: 12, value: 5 },
+        { name: 'path', label: 'path nodes', min: 0, max: 20, value: 2 },
+      ],
+      build(random, { clique, path }, width, height) {
+        const g = new GraphCtor();
+        const ring = (cx, start) => {
+          const ids = [];
+          for (let i = 0; i < clique; i++) {
+            const angle = start + (2 * Math.PI * i) / clique;
+            ids.push(g.addNode(cx + Math.cos(angle), Math.sin(angle)));
+          }
+          for (let i = 0; i < clique; i++) for (let j = i + 1; j < clique; j++) g.addEdge(ids[i], ids[j]);
+          return ids;
+        };
+        const span = 2 + (path + 1) * 0.8;
+        const left = ring(0, 0); // left[0] faces the path
+        const right = ring(span + 2, Math.PI);
+        let prev = left[0];
+        for (let i = 1; i <= path; i++) {
+          const id = g.addNode(1 + (i * span) / (path + 1), 0);
+          g.addEdge(prev, id);
+          prev = id;
+        }
+        g.addEdge(prev, right[0]);
+        fitToBox(g, width, height);
+        return g;
+      },
+    },
+
+    grid: {
+      label: 'Grid with holes',
+      params: [
+        { name: 'rows', label: 'rows', min: 2, max: 15, value: 5 },
+        { name: 'cols', label: 'columns', min: 2, max: 15, value: 6 },
+        { name: 'holes', label: 'holes', min: 0, max: 100, value: 5 },
+      ],
+      build(random, { rows, cols, holes }, width, height) {
+        const g = new GraphCtor();
+        const id = (r, c) => r * cols + c;
+        for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) g.addNode(c, r);
+        for (let r = 0; r < rows; r++) {
+          for (let c = 0; c < cols; c++) {
+            if (c + 1 < cols) g.addEdge(id(r, c), id(r, c + 1));
+            if (r + 1 < rows) g.addEdge(id(r, c), id(r + 1, c));
+          }
+        }
+        // knock out random vertices, but never one that would split the grid
+        const candidates = g.nodes.map(n => n.id);
+        for (let made = 0; made < holes && candidates.length && g.nodes.length > 2;) {
+          const v = candidates.splice(Math.floor(random() * candidates.length), 1)[0];
+          const trial = g.clone();
+          trial.deleteNode(v);
+          if (!isConnected(trial)) continue;
+          g.deleteNode(v);
+          made++;
+        }
+        fitToBox(g, width, height);
+        return g;
+      },
+    },
+
+    blocks: {
+      label: 'k blocks joined at cut vertices',
+      params: [
+        { name: 'k', label: 'blocks', min: 1, max: 30, value: 4 },
+        { name: 'size', label: 'block size', min: 3, max: 12, value: 4 },
+      ],
+      build(random, { k, size }, width, height) {
+        const g = new GraphCtor();
+        for (let b = 0; b < k; b++) {
+          const verts = b === 0 ? [g.addNode()] : [pick(random, g.nodes).id];
+          for (let i = 1; i < size; i++) verts.push(g.addNode());
+          addBlock(g, random, verts, Math.floor(size / 2));
+        }
+        g.blockLayout(width, height);
+        return g;
+      },
+    },
+
+    connected: {
+      label: 'Connected, exact cut vertices / bridges',
+      params: [
+        { name: 'n', label: 'nodes', min: 1, max: 200, value: 14 },
+        { name: 'aps', label: 'cut vertices', min: 0, max: 100, value: 3 },
+        { name: 'bridges', label: 'bridges', min: 0, max: 100, value: 2 },
+      ],
+      // A tree of pieces (bridges and biconnected blocks) glued at vertices: every glue
+      // vertex is a cut vertex and every bridge piece is a bridge, so both counts are exact.
+      build(random, { n, aps, bridges }, width, height) {
+        if (n === 1 && aps === 0 && bridges === 0) { const g = new GraphCtor(); g.addNode(width / 2, height / 2); return g; }
+        // k cut vertices need at least k + 1 pieces; nodes beyond a tree of bridges need a block
+        let blockCount = Math.max(0, aps + 1 - bridges);
+        if (blockCount === 0 && n > bridges + 1) blockCount = 1;
+        const spare = n - 1 - bridges - 2 * blockCount;
+        if (spare < 0) throw new Error(`${n} nodes are too few for ${aps} cut vertices and ${bridges} bridges (need at least ${n - spare})`);
+        const pieces = bridges + blockCount;
+        if (aps > pieces - 1) throw new Error(`${aps} cut vertices need at least ${aps + 1} blocks or bridges`);
+        if (aps === 0 && pieces > 1) throw new Error('more than one block or bridge always makes a cut vertex');
+        // block sizes: 3 each, plus the spare nodes spread at random
+        const sizes = new Array(blockCount).fill(3);
+        for (let i = 0; i < spare; i++) sizes[randInt(random, 0, blockCount - 1)]++;
+        const kinds = sizes.map(s => ({ block: s })).concat(Array.from({ length: bridges }, () => ({ bridge: true })));
+        for (let i = kinds.length - 1; i > 0; i--) { const j = randInt(random, 0, i); [kinds[i], kinds[j]] = [kinds[j], kinds[i]]; }
+        const g = new GraphCtor();
+        const cuts = new Set();
+        kinds.forEach((piece, i) => {
+          let at;
+          if (i === 0) at = g.addNode();
+          else {
+            const left = pieces - i; // glues still to place, this one included
+            const fresh = g.nodes.map(nd => nd.id).filter(v => !cuts.has(v));
+            const mustNew = aps - cuts.size === left;
+            const mustReuse = aps === cuts.size;
+            at = mustReuse || (!mustNew && cuts.size && random() < 0.4) ? pick(random, Array.from(cuts)) : pick(random, fresh);
+            cuts.add(at);
+          }
+          if (piece.bridge) g.addEdge(at, g.addNode());
+          else {
+            const verts = [at];
+            for (let v = 1; v < piece.block; v++) verts.push(g.addNode());
+            addBlock(g, random, verts, Math.floor(piece.block / 3));
+          }
+        });
+        g.blockLayout(width, height);
+        return g;
+      },
+    },
+
+    gnp: {
+      label: 'Random G(n, p)',
+      params: [
+        { name: 'n', label: 'nodes', min: 1, max: 200, value: 10 },
+        { name: 'p', label: 'edge %', min: 0, max: 100, value: 28 },
+      ],
+      build(random, { n, p }, width, height) {
+        const g = GraphCtor.randomGraph(n, p / 100, random);
+        scatterAndForce(g, random, width, height);
+        return g;
+      },
+    },
+  };
+
+  // params: {name: value}; missing or out-of-range values fall back to / are clamped to the spec
+  function generate(kind, params = {}, seed = '1', width = 900, height = 600) {
+    const gen = GENERATORS[kind];
+    if (!gen) throw new Error(`unknown generator ${kind}`);
+    const values = {};
+    for (const p of gen.params) {
+      const v = Number.isFinite(Number(params[p.name])) && params[p.name] !== '' ? Math.round(Number(params[p.name])) : p.value;
+      values[p.name] = Math.min(p.max, Math.max(p.min, v));
+    }
+    return gen.build(seededRandom(seed), values, width, height);
+  }
+
+  const GraphGenerators = { GENERATORS, seededRandom, generate };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = GraphGenerators;
+  else root.GraphGenerators = GraphGenerators;
+})(typeof window !== 'undefined' ? window : this);
@@ -3,75 +3,92 @@
 
 class Graph {
   constructor() {
-    this.nodes = []; // {id, x, y}
+    this.nodes = []; // {id, x, y, label?, attrs?}
     this.adj = new Map(); // id -> Set(neighborId)
     this.nextId = 0;
-    // edgeMap: key -> {a,b,directed}
-    // key is `${a}-${b}` for undirected (with a<=b), or `${a}>${b}` for directed
+    // edgeMap: key -> {a,b,directed,key,label?,attrs?}
+    // ids are stable integers; label is an optional display name and attrs a plain object of
+    // string / number values (`weight` and `color` are drawn by the app, the rest is carried along).
+    // key is `${a}-${b}` for undirected (with a<=b), or `${a}>${b}` for directed.
+    // Parallel edges between the same pair get a `#n` suffix (`1-2#1`), so every
+    // edge has a unique key. Self-loops use `${a}-${a}` / `${a}>${a}`.
     this.edgeMap = new Map();
+    this.incidence = new Map(); // id -> Set(edgeKey) of every edge touching id
+    // optional structural change listener (see live.js): receives
+    // {type:'addNode'|'addEdge'|'deleteEdge'|'deleteNode'|'reset', ...}
+    this.onChange = null;
+    this._muted = false;
+  }
+
+  _changed(ev) {
+    if (this.onChange && !this._muted) this.onChange(ev);
   }
 
   addNode(x = 100, y = 100) {
     const id = this.nextId++;
     this.nodes.push({ id, x, y });
     this.adj.set(id, new Set());
+    this.incidence.set(id, new Set());
+    this._changed({ type: 'addNode', id });
     return id;
   }
 
+  // Add an edge and return its key (truthy), or false if an endpoint is missing.
   addEdge(a, b, directed = false) {
-    if (a === b) return false;
-    if (directed) {
-      const key = `${a}>${b}`;
-      if (this.edgeMap.has(key)) return false;
-      this.edgeMap.set(key, { a, b, directed: true });
-      // for analysis we keep adjacency undirected (treat as undirected)
-      this.adj.get(a).add(b);
-      this.adj.get(b).add(a);
-      return true;
-    } else {
-      const u = Math.min(a, b);
-      const v = Math.max(a, b);
-      const key = `${u}-${v}`;
-      if (this.edgeMap.has(key)) return false;
-      this.edgeMap.set(key, { a: u, b: v, directed: false });
-      this.adj.get(a).add(b);
-      this.adj.get(b).add(a);
-      return true;
+    if (!this.adj.has(a) || !this.adj.has(b)) return false;
+    let u = a; let v = b;
+    if (!directed) { u = Math.min(a, b); v = Math.max(a, b); }
+    const base = directed ? `${u}>${v}` : `${u}-${v}`;
+    let key = base;
+    for (let i = 1; this.edgeMap.has(key); i++) key = `${base}#${i}`;
+    this.edgeMap.set(key, { a: u, b: v, directed: !!directed, key });
+    // for undirected analysis we keep adjacency undirected
+    this.adj.get(a).add(b);
+    this.adj.get(b).add(a);
+    this.incidence.get(a).add(key);
+    this.incidence.get(b).add(key);
+    this._changed({ type: 'addEdge', a, b, key });
+    return key;
+  }
+
+  // Keys of all edges between a and b (either orientation, any direction flag)
+  edgesBetween(a, b) {
+    const keys = [];
+    for (const k of this.incidence.get(a) || []) {
+      const e = this.edgeMap.get(k);
+      if ((e.a === a && e.b === b) || (e.a === b && e.b === a)) keys.push(k);
     }
+    return keys;
   }
 
+  // Delete one edge between a and b (the most recently added parallel copy).
   deleteEdge(a, b, directed = false) {
-    if (directed) {
-      const key = `${a}>${b}`;
-      if (!this.edgeMap.has(key)) return false;
-      this.edgeMap.delete(key);
-      // remove adjacency both ways
-      this.adj.get(a).delete(b);
-      this.adj.get(b).delete(a);
-      return true;
-    } else {
-      const u = Math.min(a, b);
-      const v = Math.max(a, b);
-      const key = `${u}-${v}`;
-      if (!this.edgeMap.has(key)) return false;
-      this.edgeMap.delete(key);
-      this.adj.get(a).delete(b);
-      this.adj.get(b).delete(a);
-      return true;
-    }
+    let u = a; let v = b;
+    if (!directed) { u = Math.min(a, b); v = Math.max(a, b); }
+    const base = directed ? `${u}>${v}` : `${u}-${v}`;
+    const keys = this.edgesBetween(a, b).filter(k => k === base || k.startsWith(`${base}#`));
+    if (!keys.length) return false;
+    return this.deleteEdgeByKey(keys[keys.length - 1]);
   }
 
   deleteEdgeByKey(key){
     if (!this.edgeMap.has(key)) return false;
     const e = this.edgeMap.get(key);
     this.edgeMap.delete(key);
-    if (this.adj.has(e.a)) this.adj.get(e.a).delete(e.b);
-    if (this.adj.has(e.b)) this.adj.get(e.b).delete(e.a);
+    if (this.incidence.has(e.a)) this.incidence.get(e.a).delete(key);
+    if (this.incidence.has(e.b)) this.incidence.get(e.b).delete(key);
+    // neighbors stay adjacent while a parallel edge remains
+    if (!this.edgesBetween(e.a, e.b).length) {
+      if (this.adj.has(e.a)) this.adj.get(e.a).delete(e.b);
+      if (this.adj.has(e.b)) this.adj.get(e.b).delete(e.a);
+    }
+    this._changed({ type: 'deleteEdge', a: e.a, b: e.b, key });
     return true;
   }
 
   // Delete a node and all incident edges
   deleteNode(id) {
+    const neighbors = Array.from(this.adj.get(id) || []);
     // remove node object
     this.nodes = this.nodes.filter(n => n.id !== id);
     // remove adj entry and remove id from neighbors' sets
@@ -91,7 +108,14 @@ class Graph {
     for (const [k, e] of this.edgeMap.entries()) {
       if (e.a === id || e.b === id) keysToRemove.push(k);
     }
-    for (const k of keysToRemove) this.edgeMap.delete(k);
+    for (const k of keysToRemove) {
+      const e = this.edgeMap.get(k);
+      this.edgeMap.delete(k);
+      const other = e.a === id ? e.b : e.a;
+      if (this.incidence.has(other)) this.incidence.get(other).delete(k);
+    }
+    this.incidence.delete(id);
+    this._changed({ type: 'deleteNode', id, neighbors });
     return true;
   }
 
@@ -105,7 +129,7 @@ class Graph {
     // update adj map: move old entry to new key
     const oldNeighbors = this.adj.get(oldId) || new Set();
     this.adj.delete(oldId);
-    this.adj.set(newId, new Set(Array.from(oldNeighbors)));
+    this.adj.set(newId, new Set(Array.from(oldNeighbors, (w) => w === oldId ? newId : w)));
     // update neighbors' sets to replace oldId with newId
     for (const [k, s] of this.adj.entries()) {
       if (k === newId) continue;
@@ -114,36 +138,110 @@ class Graph {
         s.add(newId);
       }
     }
-    // update edgeMap: rebuild keys and edge objects
-    const newEdgeMap = new Map();
-    for (const [k, e] of this.edgeMap.entries()) {
-      let a = e.a; let b = e.b; let directed = !!e.directed;
-      if (a === oldId) a = newId;
-      if (b === oldId) b = newId;
-      if (directed) {
-        const key = `${a}>${b}`;
-        newEdgeMap.set(key, { a, b, directed: true });
-      } else {
-        const u = Math.min(a, b);
-        const v = Math.max(a, b);
-        const key = `${u}-${v}`;
-        newEdgeMap.set(key, { a: u, b: v, directed: false });
-      }
+    // update edgeMap: re-insert every edge so keys (and parallel suffixes) are rebuilt
+    this._muted = true;
+    const edges = Array.from(this.edgeMap.values());
+    this.edgeMap = new Map();
+    for (const s of this.incidence.values()) s.clear();
+    this.incidence.delete(oldId);
+    this.incidence.set(newId, new Set());
+    for (const e of edges) {
+      const a = e.a === oldId ? newId : e.a;
+      const b = e.b === oldId ? newId : e.b;
+      const key = this.addEdge(a, b, !!e.directed);
+      Graph._copyExtras(e, this.edgeMap.get(key));
     }
-    this.edgeMap = newEdgeMap;
+    this._muted = false;
     // ensure nextId is ahead of any renamed id to avoid future conflicts
     if (typeof this.nextId === 'number') this.nextId = Math.max(this.nextId, newId + 1);
+    this._changed({ type: 'reset' });
     return true;
   }
 
+  // Display name of a node: its label, or the id
+  nodeLabel(id) {
+    const n = this.nodes.find(nd => nd.id === id);
+    return n && n.label !== undefined ? n.label : String(id);
+  }
+
+  // Display name of an edge: "a-b" / "a->b" in node labels, plus the edge's own label
+  edgeLabel(key) {
+    const e = this.edgeMap.get(key);
+    if (!e) return key;
+    const ends = `${this.nodeLabel(e.a)}${e.directed ? '->' : '-'}${this.nodeLabel(e.b)}`;
+    return e.label !== undefined ? `${ends} (${e.label})` : ends;
+  }
+
+  // Set or (with '' / null) remove the label of a node or edge; false if it doesn't exist
+  setNodeLabel(id, label) {
+    return Graph._setLabel(this.nodes.find(n => n.id === id), label);
+  }
+
+  setEdgeLabel(key, label) {
+    return Graph._setLabel(this.edgeMap.get(key), label);
+  }
+
+  // Set or (with '' / null / undefined) remove one attribute of a node or edge
+  setNodeAttr(id, name, value) {
+    return Graph._setAttr(this.nodes.find(n => n.id === id), name, value);
+  }
+
+  setEdgeAttr(key, name, value) {
+    return Graph._setAttr(this.edgeMap.get(key), name, value);
+  }
+
+  // Exact copy: same ids, edge keys and nextId (fromJSON renumbers, this doesn't)
+  clone() {
+    const g = new Graph();
+    g.nodes = this.nodes.map(Graph._copyItem);
+    g.nextId = this.nextId;
+    for (const n of g.nodes) { g.adj.set(n.id, new Set()); g.incidence.set(n.id, new Set()); }
+    for (const [key, e] of this.edgeMap.entries()) {
+      g.edgeMap.set(key, Graph._copyItem(e));
+      if (!g.adj.has(e.a) || !g.adj.has(e.b)) continue;
+      g.adj.get(e.a).add(e.b);
+      g.adj.get(e.b).add(e.a);
+      g.incidence.get(e.a).add(key);
+      g.incidence.get(e.b).add(key);
+    }
+    return g;
+  }
+
+  // Plain data for an exact copy (ids, edge keys, nextId); JSON-safe, see fromSnapshot()
+  snapshot() {
+    return {
+      nodes: this.nodes.map(Graph._copyItem),
+      edges: Array.from(this.edgeMap.values(), e => Graph._copyExtras(e, { a: e.a, b: e.b, directed: !!e.directed, key: e.key })),
+      nextId: this.nextId,
+    };
+  }
+
+  static fromSnapshot(data) {
+    const g = new Graph();
+    g.nodes = data.nodes.map(Graph._copyItem);
+    g.nextId = Math.max(data.nextId || 0, ...g.nodes.map(n => n.id + 1));
+    for (const n of g.nodes) { g.adj.set(n.id, new Set()); g.incidence.set(n.id, new Set()); }
+    for (const e of data.edges) {
+      if (!g.adj.has(e.a) || !g.adj.has(e.b) || g.edgeMap.has(e.key)) continue;
+      g.edgeMap.set(e.key, Graph._copyExtras(e, { a: e.a, b: e.b, directed: !!e.directed, key: e.key }));
+      g.adj.get(e.a).add(e.b);
+      g.adj.get(e.b).add(e.a);
+      g.incidence.get(e.a).add(e.key);
+      g.incidence.get(e.b).add(e.key);
+    }
+    return g;
+  }
+
   clear() {
     this.nodes = [];
     this.adj = new Map();
     this.nextId = 0;
     this.edgeMap.clear();
+    this.incidence = new Map();
+    this._changed({ type: 'reset' });
   }
 
-  // Return edge key normalized
+  // Return edge key normalized (the pair key shared by all parallel undirected copies)
   edgeKey(a, b) {
     const u = Math.min(a, b);
     const v = Math.max(a, b);
@@ -152,84 +250,123 @@ class Graph {
 
   // Tarjan: articulation points, bridges, vertex-biconnected components (blocks)
   analyze() {
-    const n = this.nodes.length;
-    const disc = new Array(this.nextId).fill(-1);
-    const low = new Array(this.nextId).fill(0);
-    const parent = new Array(this.nextId).fill(-1);
+    return this._tarjan(null);
+  }
+
+  // Run Tarjan but also return a sequence of steps for visualization.
+  analyzeWithSteps() {
+    const steps = [];
+    const result = this._tarjan((step) => steps.push(step));
+    return { result, steps };
+  }
+
+  // Shared iterative Tarjan used by analyze() and analyzeWithSteps().
+  // An explicit stack of frames replaces the recursive dfs so long paths don't
+  // overflow the call stack; disc/low/parent are Maps so sparse ids cost nothing.
+  // pushStep (optional) receives the same step objects the recursive version emitted.
+  // Neighbors come from the incidence sets, so only the parent *edge* is skipped:
+  // a parallel copy back to the parent is a back edge and keeps the pair from being a bridge.
+  // Self-loops never affect connectivity and are ignored.
+  // roots (optional) limits the run to the connected components containing those ids.
+  _tarjan(pushStep, roots = null) {
+    const disc = new Map();
+    const low = new Map();
+    const parent = new Map(); // id -> parent id (roots have no entry)
     const ap = new Set();
     const bridges = [];
     const components = [];
     const edgeStack = [];
     let time = 0;
 
-    const nodesPresent = new Set(this.nodes.map((s) => s.id));
-
-    const dfs = (u) => {
-      disc[u] = low[u] = ++time;
-      let children = 0;
-      const neighbors = this.adj.get(u) || new Set();
-      for (const v of neighbors) {
-        if (!nodesPresent.has(v)) continue;
-        if (disc[v] === -1) {
-          parent[v] = u;
-          children++;
-          edgeStack.push([u, v]);
-          dfs(v);
-          low[u] = Math.min(low[u], low[v]);
+    const popComponent = (treeKey) => {
+      const compEdges = [];
+      const compVerts = new Set();
+      while (edgeStack.length) {
+        const e = edgeStack.pop();
+        compEdges.push(e);
+        compVerts.add(e[0]);
+        compVerts.add(e[1]);
+        if (treeKey !== undefined && e[2] === treeKey) break;
+      }
+      if (compEdges.length) {
+        const idx = components.length;
+        components.push({ edges: compEdges, verts: Array.from(compVerts) });
+        if (pushStep) pushStep({type:'popComponent', compIndex: idx, edges: compEdges.map(e=>[e[0],e[1],e[2]]), verts: Array.from(compVerts)});
+      }
+    };
+
+    const enter = (u, parentKey) => {
+      time++;
+      disc.set(u, time);
+      low.set(u, time);
+      if (pushStep) pushStep({type:'visit', u, disc: time, low: time});
+      const incident = this.incidence.get(u) || new Set();
+      return { u, parentKey, it: incident.values(), children: 0 };
+    };
+
+    for (const root of roots || this.nodes.map(n => n.id)) {
+      if (disc.has(root)) continue;
+      const stack = [enter(root)];
+      while (stack.length) {
+        const frame = stack[stack.length - 1];
+        const u = frame.u;
+        const next = frame.it.next();
+        if (next.done) {
+          // return from dfs(u): fold low[u] into the parent frame
+          stack.pop();
+          if (pushStep) pushStep({type:'return', u, parent: stack.length ? stack[stack.length - 1].u : null});
+          if (!stack.length) break;
+          const pf = stack[stack.length - 1];
+          const p = pf.u;
+          const isRoot = !parent.has(p);
+          low.set(p, Math.min(low.get(p), low.get(u)));
+          if (pushStep) pushStep({type:'updateLow', u: p, low: low.get(p), child: u});
 
           // articulation
-          if (parent[u] === -1 && children > 1) ap.add(u);
-          if (parent[u] !== -1 && low[v] >= disc[u]) ap.add(u);
+          // (steps carry the values compared, so the viewer can show why it fired)
+          if (isRoot && pf.children > 1) { ap.add(p); if (pushStep) pushStep({type:'markAP', u: p, root: true, children: pf.children}); }
+          if (!isRoot && low.get(u) >= disc.get(p)) { ap.add(p); if (pushStep) pushStep({type:'markAP', u: p, v: u, lowV: low.get(u), discU: disc.get(p)}); }
 
           // bridge
-          if (low[v] > disc[u]) {
-            bridges.push([u, v]);
+          if (low.get(u) > disc.get(p)) {
+            bridges.push([p, u]);
+            if (pushStep) pushStep({type:'markBridge', u: p, v: u, key: frame.parentKey, lowV: low.get(u), discU: disc.get(p)});
           }
 
           // Form a biconnected component when low[v] >= disc[u]
-          if (low[v] >= disc[u]) {
-            const compEdges = [];
-            const compVerts = new Set();
-            while (edgeStack.length) {
-              const e = edgeStack.pop();
-              compEdges.push(e);
-              compVerts.add(e[0]);
-              compVerts.add(e[1]);
-              if ((e[0] === u && e[1] === v) || (e[0] === v && e[1] === u)) break;
-            }
-            if (compEdges.length) components.push({ edges: compEdges, verts: Array.from(compVerts) });
-          }
-        } else if (v !== parent[u] && disc[v] < disc[u]) {
-          // back edge to ancestor
-          edgeStack.push([u, v]);
-          low[u] = Math.min(low[u], disc[v]);
+          if (low.get(u) >= disc.get(p)) popComponent(frame.parentKey);
+          continue;
         }
-      }
-    };
-
-    for (const node of this.nodes) {
-      if (disc[node.id] === -1) {
-        dfs(node.id);
-        // after finishing a component root, any remaining edges form a component
-        if (edgeStack.length) {
-          const compEdges = [];
-          const compVerts = new Set();
-          while (edgeStack.length) {
-            const e = edgeStack.pop();
-            compEdges.push(e);
-            compVerts.add(e[0]);
-            compVerts.add(e[1]);
-          }
-          if (compEdges.length) components.push({ edges: compEdges, verts: Array.from(compVerts) });
+        const key = next.value;
+        if (key === frame.parentKey) continue;
+        const e = this.edgeMap.get(key);
+        if (!e || e.a === e.b) continue;
+        const v = e.a === u ? e.b : e.a;
+        if (!this.adj.has(v)) continue;
+        if (!disc.has(v)) {
+          parent.set(v, u);
+          frame.children++;
+          edgeStack.push([u, v, key]);
+          if (pushStep) pushStep({type:'pushEdge', u, v, key});
+          stack.push(enter(v, key));
+        } else if (disc.get(v) < disc.get(u)) {
+          // back edge to ancestor (includes parallel copies of the tree edge)
+          edgeStack.push([u, v, key]);
+          if (pushStep) pushStep({type:'pushEdge', u, v, key, back:true});
+          low.set(u, Math.min(low.get(u), disc.get(v)));
+          if (pushStep) pushStep({type:'updateLow', u, low: low.get(u), backTo: v});
         }
       }
+      // after finishing a component root, any remaining edges form a component
+      if (edgeStack.length) popComponent();
     }
 
-    // Build edge -> component index map
+    // Build edge -> component index map (by pair key and by each edge's own key)
     const edgeToComp = new Map();
     components.forEach((c, idx) => {
       for (const e of c.edges) {
         edgeToComp.set(this.edgeKey(e[0], e[1]), idx);
+        edgeToComp.set(e[2], idx);
       }
     });
 
@@ -241,111 +378,354 @@ class Graph {
     };
   }
 
-  // Run Tarjan but also return a sequence of steps for visualization.
-  analyzeWithSteps() {
+  // Block-cut tree built from an analyze() result: one 'block' node per biconnected
+  // component (id `B<i>`, same index as result.components) and one 'cut' node per
+  // articulation point (id `C<v>`), with an edge wherever a cut vertex lies in a block.
+  // Isolated vertices belong to no block and are left out.
+  blockCutTree(result = this.analyze()) {
+    const nodes = [];
+    const edges = [];
+    const cuts = new Set(result.articulationPoints);
+    result.components.forEach((comp, index) => {
+      const verts = new Set(comp.verts);
+      for (const e of comp.edges) { verts.add(e[0]); verts.add(e[1]); }
+      nodes.push({ id: `B${index}`, type: 'block', index, verts: Array.from(verts) });
+      for (const v of verts) if (cuts.has(v)) edges.push({ from: `B${index}`, to: `C${v}` });
+    });
+    for (const v of cuts) nodes.push({ id: `C${v}`, type: 'cut', vertex: v });
+    return { nodes, edges };
+  }
+
+  // 2-edge-connected components: the pieces left after removing every bridge.
+  // Unlike blocks, each vertex belongs to exactly one piece (vertexToComp).
+  // The bridge tree has one node per piece and one edge per bridge.
+  analyzeTwoEdge() {
+    return this._analyzeTwoEdge(null);
+  }
+
+  analyzeTwoEdgeWithSteps() {
     const steps = [];
-    const n = this.nodes.length;
-    const disc = new Array(this.nextId).fill(-1);
-    const low = new Array(this.nextId).fill(0);
-    const parent = new Array(this.nextId).fill(-1);
-    const ap = new Set();
-    const bridges = [];
-    const components = [];
-    const edgeStack = [];
-    let time = 0;
+    const result = this._analyzeTwoEdge((step) => steps.push(step));
+    return { result, steps };
+  }
 
-    const nodesPresent = new Set(this.nodes.map((s) => s.id));
-
-    const pushStep = (step) => steps.push(step);
-
-    const dfs = (u) => {
-      disc[u] = low[u] = ++time;
-      pushStep({type:'visit', u, disc: disc[u], low: low[u]});
-      let children = 0;
-      const neighbors = this.adj.get(u) || new Set();
-      for (const v of neighbors) {
-        if (!nodesPresent.has(v)) continue;
-        if (disc[v] === -1) {
-          parent[v] = u;
-          children++;
-          edgeStack.push([u, v]);
-          pushStep({type:'pushEdge', u, v});
-          dfs(v);
-          low[u] = Math.min(low[u], low[v]);
-          pushStep({type:'updateLow', u, low: low[u], child: v});
-
-          if (parent[u] === -1 && children > 1) { ap.add(u); pushStep({type:'markAP', u}); }
-          if (parent[u] !== -1 && low[v] >= disc[u]) { ap.add(u); pushStep({type:'markAP', u}); }
-
-          if (low[v] > disc[u]) { bridges.push([u, v]); pushStep({type:'markBridge', u, v}); }
-
-          if (low[v] >= disc[u]) {
-            const compEdges = [];
-            const compVerts = new Set();
-            while (edgeStack.length) {
-              const e = edgeStack.pop();
-              compEdges.push(e);
-              compVerts.add(e[0]);
-              compVerts.add(e[1]);
-              if ((e[0] === u && e[1] === v) || (e[0] === v && e[1] === u)) break;
-            }
-            if (compEdges.length) {
-              const idx = components.length;
-              components.push({ edges: compEdges, verts: Array.from(compVerts) });
-              pushStep({type:'popComponent', compIndex: idx, edges: compEdges.map(e=>[e[0],e[1]]), verts: Array.from(compVerts)});
-            }
-          }
-        } else if (v !== parent[u] && disc[v] < disc[u]) {
-          edgeStack.push([u, v]);
-          pushStep({type:'pushEdge', u, v, back:true});
-          low[u] = Math.min(low[u], disc[v]);
-          pushStep({type:'updateLow', u, low: low[u], backTo: v});
+  _analyzeTwoEdge(pushStep) {
+    // bridge detection pass: keep only the steps that matter for this mode
+    const keep = new Set(['visit', 'updateLow', 'markBridge']);
+    const { bridges } = this._tarjan(pushStep ? (s) => { if (keep.has(s.type)) pushStep(s); } : null);
+    const bridgeKeys = new Set(bridges.map(([a, b]) => this.edgeKey(a, b)));
+
+    const vertexToComp = new Map();
+    const components = [];
+    for (const node of this.nodes) {
+      if (vertexToComp.has(node.id)) continue;
+      const idx = components.length;
+      const verts = [node.id];
+      vertexToComp.set(node.id, idx);
+      for (let i = 0; i < verts.length; i++) {
+        const u = verts[i];
+        for (const v of this.adj.get(u) || []) {
+          if (vertexToComp.has(v) || bridgeKeys.has(this.edgeKey(u, v))) continue;
+          if (!this.adj.has(v)) continue;
+          vertexToComp.set(v, idx);
+          verts.push(v);
         }
       }
+      components.push({ verts });
+      if (pushStep) pushStep({type:'floodComponent', compIndex: idx, verts: verts.slice()});
+    }
+
+    const treeEdges = bridges.map(([a, b]) => ({ from: vertexToComp.get(a), to: vertexToComp.get(b), bridge: [a, b] }));
+    if (pushStep) for (const te of treeEdges) pushStep({type:'bridgeTreeEdge', from: te.from, to: te.to, u: te.bridge[0], v: te.bridge[1]});
+
+    return {
+      twoEdge: true,
+      bridges,
+      components,
+      vertexToComp,
+      bridgeTree: { nodes: components.map((c, i) => i), edges: treeEdges },
     };
+  }
 
+  // Connected components of the undirected graph: vertex -> component index
+  _componentIndex() {
+    const index = new Map();
+    let count = 0;
     for (const node of this.nodes) {
-      if (disc[node.id] === -1) {
-        dfs(node.id);
-        if (edgeStack.length) {
-          const compEdges = [];
-          const compVerts = new Set();
-          while (edgeStack.length) {
-            const e = edgeStack.pop();
-            compEdges.push(e);
-            compVerts.add(e[0]);
-            compVerts.add(e[1]);
-          }
-          if (compEdges.length) {
-            const idx = components.length;
-            components.push({ edges: compEdges, verts: Array.from(compVerts) });
-            pushStep({type:'popComponent', compIndex: idx, edges: compEdges.map(e=>[e[0],e[1]]), verts: Array.from(compVerts)});
+      if (index.has(node.id)) continue;
+      const queue = [node.id];
+      index.set(node.id, count);
+      for (let i = 0; i < queue.length; i++) {
+        for (const v of this.adj.get(queue[i]) || []) {
+          if (!index.has(v) && this.adj.has(v)) { index.set(v, count); queue.push(v); }
+        }
+      }
+      count++;
+    }
+    return { index, count };
+  }
+
+  // Eswaran-Tarjan lower bound on the new edges needed to reach `target` ('twoEdge' or
+  // 'biconnected'), plus one representative vertex per leaf or isolated piece.
+  // 2-edge: ceil(p/2) + q over the bridge forest (p leaves, q isolated pieces).
+  // Biconnected: max(d - 1, ceil(p/2) + q) over the block-cut forest, where d is the most
+  // components left after deleting one vertex. Graphs under 3 vertices only need connecting.
+  _augmentState(target) {
+    const { index, count } = this._componentIndex();
+    if (target === 'twoEdge') {
+      const r = this.analyzeTwoEdge();
+      if (r.components.length <= 1) return { bound: 0, reps: [] };
+      const deg = new Array(r.components.length).fill(0);
+      const onBridge = new Set();
+      for (const [a, b] of r.bridges) {
+        deg[r.vertexToComp.get(a)]++; deg[r.vertexToComp.get(b)]++;
+        onBridge.add(a); onBridge.add(b);
+      }
+      let p = 0; let q = 0;
+      const reps = [];
+      r.components.forEach((c, i) => {
+        if (deg[i] > 1) return;
+        if (deg[i] === 0) q++; else p++;
+        const free = c.verts.find(v => !onBridge.has(v));
+        reps.push(free !== undefined ? free : c.verts[0]);
+      });
+      return { bound: Math.ceil(p / 2) + q, reps };
+    }
+
+    if (this.nodes.length < 3) {
+      const reps = [];
+      for (const node of this.nodes) if (!reps.some(v => index.get(v) === index.get(node.id))) reps.push(node.id);
+      return { bound: count - 1, reps };
+    }
+    const r = this.analyze();
+    const cuts = new Set(r.articulationPoints);
+    const blocksAt = new Map();
+    const blocksIn = new Array(count).fill(null).map(() => []); // component -> [vertex sets]
+    for (const comp of r.components) {
+      const verts = new Set(comp.verts);
+      for (const e of comp.edges) { verts.add(e[0]); verts.add(e[1]); }
+      for (const v of verts) blocksAt.set(v, (blocksAt.get(v) || 0) + 1);
+      blocksIn[index.get(comp.edges[0][0])].push(Array.from(verts));
+    }
+    let p = 0; let q = 0;
+    const reps = [];
+    for (const node of this.nodes) {
+      if (!blocksAt.has(node.id)) { q++; reps.push(node.id); } // isolated vertex
+    }
+    for (const blocks of blocksIn) {
+      if (blocks.length === 1) { q++; reps.push(blocks[0][0]); continue; }
+      for (const verts of blocks) {
+        const free = verts.filter(v => !cuts.has(v));
+        if (verts.length - free.length === 1) { p++; reps.push(free[0]); }
+      }
+    }
+    let d = 0;
+    for (const node of this.nodes) {
+      const b = blocksAt.get(node.id) || 0;
+      d = Math.max(d, count - (b === 0 ? 1 : 0) - 1 + b);
+    }
+    const leaves = count === 1 ? Math.ceil(p / 2) : Math.ceil(p / 2) + q;
+    return { bound: Math.max(d - 1, leaves), reps };
+  }
+
+  // Fewest new edges that make the graph 2-edge-connected (target 'twoEdge') or
+  // biconnected ('biconnected'). Greedy over pairs of leaf pieces: each accepted edge
+  // lowers the Eswaran-Tarjan bound by one, so the result meets the bound.
+  // Returns {target, edges: [[a, b]], lowerBound}; the graph itself is not changed.
+  augmentation(target = 'biconnected') {
+    let g = this.clone();
+    let state = g._augmentState(target);
+    const lowerBound = state.bound;
+    const edges = [];
+    while (state.bound > 0 && edges.length <= lowerBound + this.nodes.length) {
+      let best = null;
+      search:
+      for (let i = 0; i < state.reps.length; i++) {
+        for (let j = i + 1; j < state.reps.length; j++) {
+          const h = g.clone();
+          h.addEdge(state.reps[i], state.reps[j]);
+          const next = h._augmentState(target);
+          if (!best || next.bound < best.state.bound) best = { a: state.reps[i], b: state.reps[j], state: next, graph: h };
+          if (next.bound < state.bound) break search;
+        }
+      }
+      if (!best) break;
+      edges.push([best.a, best.b]);
+      g = best.graph;
+      state = best.state;
+    }
+    return { target, edges, lowerBound };
+  }
+
+  // Out-adjacency honoring edge direction: directed edges contribute a>b only,
+  // undirected edges contribute arcs both ways. id -> [{v, key}]
+  outArcs() {
+    const out = new Map();
+    for (const n of this.nodes) out.set(n.id, []);
+    for (const [key, e] of this.edgeMap.entries()) {
+      if (!out.has(e.a) || !out.has(e.b)) continue;
+      out.get(e.a).push({ v: e.b, key });
+      if (!e.directed) out.get(e.b).push({ v: e.a, key });
+    }
+    return out;
+  }
+
+  // Iterative Tarjan SCC over `verts` using out-arcs. skipArc lets callers drop a single
+  // arc (used for strong bridges). Returns an array of vertex arrays, in pop order.
+  _tarjanSCC(out, verts, skipArc = null, pushStep = null) {
+    const allowed = new Set(verts);
+    const disc = new Map();
+    const low = new Map();
+    const onStack = new Set();
+    const vstack = [];
+    const sccs = [];
+    let time = 0;
+
+    const enter = (u) => {
+      time++;
+      disc.set(u, time);
+      low.set(u, time);
+      vstack.push(u);
+      onStack.add(u);
+      if (pushStep) pushStep({type:'visit', u, disc: time, low: time});
+      return { u, arcs: out.get(u) || [], i: 0 };
+    };
+
+    for (const root of verts) {
+      if (disc.has(root)) continue;
+      const stack = [enter(root)];
+      while (stack.length) {
+        const frame = stack[stack.length - 1];
+        const u = frame.u;
+        if (frame.i < frame.arcs.length) {
+          const arc = frame.arcs[frame.i++];
+          if (arc === skipArc) continue;
+          const v = arc.v;
+          if (!allowed.has(v)) continue;
+          if (!disc.has(v)) {
+            if (pushStep) pushStep({type:'treeArc', u, v, key: arc.key});
+            stack.push(enter(v));
+          } else if (onStack.has(v)) {
+            low.set(u, Math.min(low.get(u), disc.get(v)));
+            if (pushStep) pushStep({type:'updateLow', u, low: low.get(u), backTo: v});
           }
+          continue;
+        }
+        // return from u
+        stack.pop();
+        if (low.get(u) === disc.get(u)) {
+          const comp = [];
+          let w;
+          do {
+            w = vstack.pop();
+            onStack.delete(w);
+            comp.push(w);
+          } while (w !== u);
+          if (pushStep) pushStep({type:'popSCC', sccIndex: sccs.length, verts: comp.slice()});
+          sccs.push(comp);
+        }
+        if (stack.length) {
+          const p = stack[stack.length - 1].u;
+          low.set(p, Math.min(low.get(p), low.get(u)));
+          if (pushStep) pushStep({type:'updateLow', u: p, low: low.get(p), child: u});
         }
       }
     }
+    return sccs;
+  }
 
-    // Build edge -> component index map
-    const edgeToComp = new Map();
-    components.forEach((c, idx) => {
-      for (const e of c.edges) {
-        edgeToComp.set(this.edgeKey(e[0], e[1]), idx);
+  // Directed analysis: strongly connected components, strong articulation points and
+  // strong bridges (vertices / arcs whose removal increases the number of SCCs).
+  // Only vertices and arcs inside a non-trivial SCC can qualify, so each candidate is
+  // checked by re-running SCC on its own component only.
+  analyzeDirected() {
+    return this._analyzeDirected(null);
+  }
+
+  analyzeDirectedWithSteps() {
+    const steps = [];
+    const result = this._analyzeDirected((step) => steps.push(step));
+    return { result, steps };
+  }
+
+  _analyzeDirected(pushStep) {
+    const out = this.outArcs();
+    const ids = this.nodes.map(n => n.id);
+    const sccs = this._tarjanSCC(out, ids, null, pushStep);
+    const vertexToScc = new Map();
+    sccs.forEach((c, idx) => { for (const v of c) vertexToScc.set(v, idx); });
+
+    const strongAP = [];
+    const strongBridges = [];
+    const strongBridgeKeys = new Set();
+    sccs.forEach((comp) => {
+      if (comp.length < 2) return;
+      for (const v of comp) {
+        const rest = comp.filter(w => w !== v);
+        if (this._tarjanSCC(out, rest).length > 1) {
+          strongAP.push(v);
+          if (pushStep) pushStep({type:'markStrongAP', u: v});
+        }
+      }
+      const inComp = new Set(comp);
+      for (const u of comp) {
+        for (const arc of out.get(u)) {
+          // an undirected edge is two arcs with one key; report it once
+          if (!inComp.has(arc.v) || strongBridgeKeys.has(arc.key)) continue;
+          if (this._tarjanSCC(out, comp, arc).length > 1) {
+            strongBridges.push([u, arc.v]);
+            strongBridgeKeys.add(arc.key);
+            if (pushStep) pushStep({type:'markStrongBridge', u, v: arc.v, key: arc.key});
+          }
+        }
       }
     });
 
-    const result = {
-      articulationPoints: Array.from(ap),
-      bridges,
-      components,
-      edgeToComp,
+    return {
+      directed: true,
+      sccs: sccs.map(verts => ({ verts })),
+      vertexToScc,
+      strongArticulationPoints: strongAP,
+      strongBridges,
+      strongBridgeKeys,
     };
+  }
 
-    return { result, steps };
+  // label / attrs of a node or edge onto another object (attrs copied, not shared)
+  static _copyExtras(from, to) {
+    if (from.label !== undefined && from.label !== null) to.label = String(from.label);
+    if (from.attrs && typeof from.attrs === 'object' && Object.keys(from.attrs).length) to.attrs = Object.assign({}, from.attrs);
+    return to;
+  }
+
+  static _copyItem(item) {
+    const copy = Object.assign({}, item);
+    delete copy.attrs;
+    return Graph._copyExtras(item, copy);
+  }
+
+  static _setLabel(item, label) {
+    if (!item) return false;
+    const text = label === null || label === undefined ? '' : String(label).trim();
+    if (text) item.label = text; else delete item.label;
+    return true;
+  }
+
+  static _setAttr(item, name, value) {
+    if (!item || !name) return false;
+    if (value === '' || value === null || value === undefined) {
+      if (item.attrs) delete item.attrs[name];
+      if (item.attrs && !Object.keys(item.attrs).length) delete item.attrs;
+    } else {
+      item.attrs = Object.assign({}, item.attrs, { [name]: value });
+    }
+    return true;
   }
 
   toJSON() {
     // export edges as objects including directed flag
-    const edges = Array.from(this.edgeMap.entries()).map(([k,e]) => ({a:e.a,b:e.b,directed:!!e.directed,key:k}));
+    // parallel edges and self-loops are exported as separate entries
+    const edges = Array.from(this.edgeMap.entries()).map(([k,e]) => Graph._copyExtras(e, {a:e.a,b:e.b,directed:!!e.directed,key:k}));
     return JSON.stringify({ nodes: this.nodes, edges });
   }
 
@@ -358,13 +738,14 @@ class Graph {
     const mapping = new Map();
     for (const nd of data.nodes) {
       const id = g.addNode(nd.x, nd.y);
+      Graph._copyExtras(nd, g.nodes[g.nodes.length - 1]);
       mapping.set(nd.id, id);
     }
     // add edges by mapping ids
     for (const e of data.edges) {
       const aOld = e.a; const bOld = e.b; const directed = !!e.directed;
       const a = mapping.get(aOld); const b = mapping.get(bOld);
-      if (a !== undefined && b !== undefined) g.addEdge(a, b, directed);
+      if (a !== undefined && b !== undefined) Graph._copyExtras(e, g.edgeMap.get(g.addEdge(a, b, directed)));
     }
     return g;
   }
@@ -379,19 +760,185 @@ class Graph {
     }
   }
 
+  // Force-directed layout (Fruchterman-Reingold) inside a width x height box.
+  // Returns a simulation whose tick() advances one iteration and reports whether it is
+  // still moving, so the UI can animate it; forceLayout() runs it to completion.
+  forceSimulation(width = 900, height = 600, iterations = 300) {
+    const pad = 30;
+    const nodes = this.nodes;
+    const n = nodes.length;
+    const area = (width - 2 * pad) * (height - 2 * pad);
+    const k = Math.sqrt(area / Math.max(1, n)) * 0.75;
+    const index = new Map(nodes.map((nd, i) => [nd.id, i]));
+    const pairs = [];
+    for (const e of this.edgeMap.values()) {
+      if (e.a === e.b || !index.has(e.a) || !index.has(e.b)) continue;
+      pairs.push([index.get(e.a), index.get(e.b)]);
+    }
+    // nodes stacked on the same spot (e.g. fresh imports) get a small spread first
+    nodes.forEach((nd, i) => {
+      if (!Number.isFinite(nd.x) || !Number.isFinite(nd.y)) { nd.x = width / 2; nd.y = height / 2; }
+      nd.x += Math.cos(i) * 0.5; nd.y += Math.sin(i) * 0.5;
+    });
+    let temp = Math.min(width, height) / 8;
+    const cool = temp / iterations;
+    let iter = 0;
+    const dx = new Float64Array(n); const dy = new Float64Array(n);
+    const tick = () => {
+      if (iter >= iterations || n === 0) return false;
+      iter++;
+      dx.fill(0); dy.fill(0);
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+          let ddx = nodes[i].x - nodes[j].x; let ddy = nodes[i].y - nodes[j].y;
+          let d2 = ddx * ddx + ddy * ddy;
+          if (d2 < 0.01) { ddx = 0.1; ddy = 0.1; d2 = 0.02; }
+          const f = (k * k) / d2; // repulsion / distance
+          dx[i] += ddx * f; dy[i] += ddy * f;
+          dx[j] -= ddx * f; dy[j] -= ddy * f;
+        }
+      }
+      for (const [i, j] of pairs) {
+        const ddx = nodes[i].x - nodes[j].x; const ddy = nodes[i].y - nodes[j].y;
+        const d = Math.sqrt(ddx * ddx + ddy * ddy) || 0.1;
+        const f = d / k; // attraction / distance
+        dx[i] -= ddx * f; dy[i] -= ddy * f;
+        dx[j] += ddx * f; dy[j] += ddy * f;
+      }
+      for (let i = 0; i < n; i++) {
+        // weak pull to the center keeps disconnected pieces on screen
+        dx[i] += (width / 2 - nodes[i].x) * 0.02 * k / 10;
+        dy[i] += (height / 2 - nodes[i].y) * 0.02 * k / 10;
+        const len = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]) || 1;
+        const step = Math.min(len, temp);
+        nodes[i].x = Math.min(width - pad, Math.max(pad, nodes[i].x + dx[i] / len * step));
+        nodes[i].y = Math.min(height - pad, Math.max(pad, nodes[i].y + dy[i] / len * step));
+      }
+      temp = Math.max(0.5, temp - cool);
+      return iter < iterations;
+    };
+    return { tick };
+  }
+
+  forceLayout(width = 900, height = 600, iterations = 300) {
+    const sim = this.forceSimulation(width, height, iterations);
+    while (sim.tick()) { /* run to completion */ }
+  }
+
+  // Layered DFS-tree layout: depth goes down, each subtree gets its own horizontal band.
+  // Returns the keys of tree edges and back edges so the UI can draw them apart.
+  dfsLayout(width = 900, height = 600) {
+    const pad = 30;
+    const depth = new Map();
+    const treeEdges = new Set();
+    const backEdges = new Set();
+    const children = new Map();
+    const roots = [];
+    for (const node of this.nodes) {
+      if (depth.has(node.id)) continue;
+      roots.push(node.id);
+      depth.set(node.id, 0);
+      children.set(node.id, []);
+      const stack = [{ u: node.id, parentKey: null, it: (this.incidence.get(node.id) || new Set()).values() }];
+      while (stack.length) {
+        const f = stack[stack.length - 1];
+        const next = f.it.next();
+        if (next.done) { stack.pop(); continue; }
+        const key = next.value;
+        if (key === f.parentKey) continue;
+        const e = this.edgeMap.get(key);
+        const v = e.a === f.u ? e.b : e.a;
+        if (!depth.has(v)) {
+          depth.set(v, depth.get(f.u) + 1);
+          children.set(v, []);
+          children.get(f.u).push(v);
+          treeEdges.add(key);
+          stack.push({ u: v, parentKey: key, it: (this.incidence.get(v) || new Set()).values() });
+        } else if (!treeEdges.has(key)) {
+          backEdges.add(key);
+        }
+      }
+    }
+    // leaves take consecutive slots, parents sit over the middle of their children
+    const slot = new Map();
+    let next = 0;
+    for (const r of roots) {
+      const order = [];
+      const st = [r];
+      while (st.length) { const u = st.pop(); order.push(u); for (const c of children.get(u)) st.push(c); }
+      for (let i = order.length - 1; i >= 0; i--) {
+        const u = order[i]; const cs = children.get(u);
+        slot.set(u, cs.length ? (slot.get(cs[0]) + slot.get(cs[cs.length - 1])) / 2 : next++);
+      }
+    }
+    const maxDepth = Math.max(0, ...depth.values());
+    for (const nd of this.nodes) {
+      nd.x = pad + (next > 1 ? slot.get(nd.id) * (width - 2 * pad) / (next - 1) : (width - 2 * pad) / 2);
+      nd.y = pad + (maxDepth > 0 ? depth.get(nd.id) * (height - 2 * pad) / maxDepth : (height - 2 * pad) / 2);
+    }
+    return { treeEdges, backEdges };
+  }
+
+  // Block-aware layout: blocks and cut vertices are laid out as the block-cut tree
+  // (force-directed), then each block's own vertices sit on a small circle around
+  // its block position, so cut vertices end up between the groups they join.
+  blockLayout(width = 900, height = 600) {
+    const pad = 30;
+    const result = this.analyze();
+    const tree = this.blockCutTree(result);
+    // build the tree as a temporary graph so the force layout can place it
+    const t = new Graph();
+    const tid = new Map();
+    for (const tn of tree.nodes) tid.set(tn.id, t.addNode(width / 2, height / 2));
+    for (const te of tree.edges) t.addEdge(tid.get(te.from), tid.get(te.to));
+    const placed = new Set();
+    const isolated = this.nodes.filter(nd => !tree.nodes.some(tn => tn.type === 'block' && tn.verts.includes(nd.id)));
+    const band = isolated.length ? 50 : 0;
+    t.forceLayout(width, height - band, 400);
+    const pos = new Map(tree.nodes.map(tn => [tn.id, t.nodes[tid.get(tn.id)]]));
+    const byId = new Map(this.nodes.map(nd => [nd.id, nd]));
+    for (const tn of tree.nodes) {
+      if (tn.type !== 'cut') continue;
+      const nd = byId.get(tn.vertex); const p = pos.get(tn.id);
+      nd.x = p.x; nd.y = p.y; placed.add(nd.id);
+    }
+    const spacing = Math.min(width, height) / Math.max(3, Math.sqrt(tree.nodes.length) * 2.5);
+    for (const tn of tree.nodes) {
+      if (tn.type !== 'block') continue;
+      const members = tn.verts.filter(v => !placed.has(v));
+      const p = pos.get(tn.id);
+      const r = members.length > 1 ? Math.max(24, spacing * 0.45) : 0;
+      members.forEach((v, i) => {
+        const nd = byId.get(v);
+        const angle = (2 * Math.PI * i) / members.length;
+        nd.x = Math.min(width - pad, Math.max(pad, p.x + r * Math.cos(angle)));
+        nd.y = Math.min(height - pad, Math.max(pad, p.y + r * Math.sin(angle)));
+        placed.add(v);
+      });
+    }
+    // isolated vertices in a row along the bottom
+    isolated.forEach((nd, i) => {
+      nd.x = pad + (isolated.length > 1 ? i * (width - 2 * pad) / (isolated.length - 1) : (width - 2 * pad) / 2);
+      nd.y = height - pad;
+    });
+  }
+
   // create a random graph (n nodes, p probability edge)
-  static randomGraph(n = 8, p = 0.3) {
+  // Erdős–Rényi G(n, p); pass a seeded random() (see generators.js) for a reproducible graph
+  static randomGraph(n = 8, p = 0.3, random = Math.random) {
     const g = new Graph();
     for (let i = 0; i < n; i++) g.addNode();
     // random positions
     g.nodes.forEach((nd, i) => {
-      nd.x = 150 + Math.random() * 600;
-      nd.y = 80 + Math.random() * 420;
+      nd.x = 150 + random() * 600;
+      nd.y = 80 + random() * 420;
     });
-    for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) if (Math.random() < p) g.addEdge(i, j, false);
+    for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) if (random() < p) g.addEdge(i, j, false);
     return g;
   }
 }
 
 // Expose Graph for app.js
 if (typeof window !== 'undefined') window.Graph = Graph;
+// CommonJS export for Node (cli.js, scripts, tests); graph.mjs re-exports it as an ES module
+if (typeof module !== 'undefined' && module.exports) module.exports = Graph;
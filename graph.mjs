@@ -0,0 +1,7 @@
+// graph.mjs
+// ES module entry: re-exports the Graph class from graph.js (which is plain script / CommonJS)
+
+import Graph from './graph.js';
+
+export { Graph };
+export default Graph;
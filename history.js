@@ -0,0 +1,60 @@
+// history.js
+// Undo/redo history of graph edits. Each entry is a command with a readable label and
+// the graph before and after the edit, so undo, redo and jumping to any entry are a
+// single restore rather than a replay.
+
+class EditHistory {
+  constructor(limit = 200) {
+    this.entries = []; // {label, before, after, time}
+    this.index = -1; // last applied entry; -1 = state before the first entry
+    this.limit = limit;
+  }
+
+  // Record an edit that has already been applied. Drops anything that could be redone.
+  push(label, before, after) {
+    this.entries.splice(this.index + 1);
+    this.entries.push({ label, before, after, time: Date.now() });
+    if (this.entries.length > this.limit) this.entries.shift();
+    this.index = this.entries.length - 1;
+  }
+
+  // Replace the result of the newest entry, e.g. while one text edit is still being typed
+  amend(after) {
+    if (this.index < 0 || this.index !== this.entries.length - 1) return false;
+    const e = this.entries[this.index];
+    e.after = after;
+    e.time = Date.now();
+    return true;
+  }
+
+  canUndo() { return this.index >= 0; }
+  canRedo() { return this.index < this.entries.length - 1; }
+
+  // Each of these returns the graph snapshot to restore, or null if there is nothing to do.
+  undo() {
+    if (!this.canUndo()) return null;
+    const e = this.entries[this.index--];
+    return e.before;
+  }
+
+  redo() {
+    if (!this.canRedo()) return null;
+    const e = this.entries[++this.index];
+    return e.after;
+  }
+
+  // Jump to the state right after entry i (i = -1 for the state before the first entry)
+  jumpTo(i) {
+    if (i < -1 || i >= this.entries.length || !this.entries.length) return null;
+    this.index = i;
+    return i === -1 ? this.entries[0].before : this.entries[i].after;
+  }
+
+  clear() {
+    this.entries = [];
+    this.index = -1;
+  }
+}
+
+if (typeof window !== 'undefined') window.EditHistory = EditHistory;
+if (typeof module !== 'undefined' && module.exports) module.exports = EditHistory;
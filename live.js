@@ -0,0 +1,158 @@
+// live.js
+// Incremental articulation point / bridge / block analysis that follows graph edits.
+// The graph is split into connected components ("parts"); an edit only re-runs Tarjan
+// on the part(s) it touches, and the combined result has the same shape as analyze().
+
+class LiveAnalysis {
+  constructor(graph) {
+    this.graph = null;
+    this.attach(graph);
+  }
+
+  // Follow a (new) graph object; replaces any previous listener
+  attach(graph) {
+    if (this.graph && this.graph.onChange === this._listener) this.graph.onChange = null;
+    this.graph = graph;
+    this._listener = (ev) => this.update(ev);
+    graph.onChange = this._listener;
+    this.recomputeAll();
+  }
+
+  detach() {
+    if (this.graph && this.graph.onChange === this._listener) this.graph.onChange = null;
+    this.graph = null;
+  }
+
+  recomputeAll() {
+    const old = this.parts ? Array.from(this.parts.values()) : [];
+    this.parts = new Map(); // part id -> {verts, result}
+    this.partOf = new Map(); // vertex -> part id
+    this.nextPart = 0;
+    this._cached = null;
+    const fresh = [];
+    for (const n of this.graph.nodes) if (!this.partOf.has(n.id)) fresh.push(this._analyzePart(n.id));
+    this.lastChange = this._diff(old, fresh);
+  }
+
+  // Vertices reachable from start (its connected component)
+  _reach(start) {
+    const seen = new Set([start]);
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+      for (const v of this.graph.adj.get(queue[i]) || []) {
+        if (!seen.has(v) && this.graph.adj.has(v)) { seen.add(v); queue.push(v); }
+      }
+    }
+    return queue;
+  }
+
+  _analyzePart(start) {
+    const verts = this._reach(start);
+    const part = { verts, result: this.graph._tarjan(null, [start]) };
+    const id = this.nextPart++;
+    this.parts.set(id, part);
+    for (const v of verts) this.partOf.set(v, id);
+    return part;
+  }
+
+  _dropPart(id) {
+    const part = this.parts.get(id);
+    if (!part) return null;
+    this.parts.delete(id);
+    for (const v of part.verts) if (this.partOf.get(v) === id) this.partOf.delete(v);
+    return part;
+  }
+
+  // Cut vertices and bridge keys of some parts
+  _collect(parts) {
+    const aps = new Set();
+    const bridges = new Set();
+    for (const part of parts) {
+      for (const v of part.result.articulationPoints) aps.add(v);
+      for (const [a, b] of part.result.bridges) bridges.add(this.graph.edgeKey(a, b));
+    }
+    return { aps, bridges };
+  }
+
+  // Parts are vertex-disjoint, so comparing only the replaced parts with their
+  // replacements gives exactly what changed in the whole graph
+  _diff(oldParts, newParts) {
+    const before = this._collect(oldParts);
+    const after = this._collect(newParts);
+    const minus = (x, y) => Array.from(x).filter(v => !y.has(v));
+    return {
+      addedAPs: minus(after.aps, before.aps),
+      removedAPs: minus(before.aps, after.aps),
+      addedBridges: minus(after.bridges, before.bridges),
+      removedBridges: minus(before.bridges, after.bridges),
+      touched: newParts.reduce((sum, p) => sum + p.verts.length, 0), // vertices re-analyzed
+    };
+  }
+
+  update(ev) {
+    const g = this.graph;
+    const old = [];
+    const fresh = [];
+    const drop = (id) => { const p = this._dropPart(id); if (p) old.push(p); return p; };
+    this._cached = null;
+    switch (ev.type) {
+      case 'addNode':
+        fresh.push(this._analyzePart(ev.id));
+        break;
+      case 'addEdge':
+        // same part: re-run it; two parts: they merge into one
+        drop(this.partOf.get(ev.a));
+        drop(this.partOf.get(ev.b));
+        fresh.push(this._analyzePart(ev.a));
+        break;
+      case 'deleteEdge':
+        // the part may split in two
+        drop(this.partOf.get(ev.a));
+        if (g.adj.has(ev.a)) fresh.push(this._analyzePart(ev.a));
+        if (g.adj.has(ev.b) && !this.partOf.has(ev.b)) fresh.push(this._analyzePart(ev.b));
+        break;
+      case 'deleteNode': {
+        // the remaining vertices of its part may fall apart into several pieces
+        const part = drop(this.partOf.get(ev.id));
+        for (const v of part ? part.verts : []) {
+          if (v === ev.id || this.partOf.has(v) || !g.adj.has(v)) continue;
+          fresh.push(this._analyzePart(v));
+        }
+        break;
+      }
+      default:
+        this.recomputeAll();
+        return;
+    }
+    this.lastChange = this._diff(old, fresh);
+  }
+
+  // Combined result in analyze() shape; blocks keep a stable order by part
+  result() {
+    if (this._cached) return this._cached;
+    const articulationPoints = [];
+    const bridges = [];
+    const components = [];
+    const edgeToComp = new Map();
+    for (const part of this.parts.values()) {
+      const r = part.result;
+      const offset = components.length;
+      articulationPoints.push(...r.articulationPoints);
+      bridges.push(...r.bridges);
+      components.push(...r.components);
+      for (const [k, idx] of r.edgeToComp) edgeToComp.set(k, idx + offset);
+    }
+    this._cached = { articulationPoints, bridges, components, edgeToComp };
+    return this._cached;
+  }
+
+  // What the last edit changed: {addedAPs, removedAPs, addedBridges, removedBridges, touched}
+  takeChange() {
+    const c = this.lastChange;
+    this.lastChange = null;
+    return c;
+  }
+}
+
+if (typeof window !== 'undefined') window.LiveAnalysis = LiveAnalysis;
+if (typeof module !== 'undefined' && module.exports) module.exports = LiveAnalysis;
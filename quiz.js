@@ -0,0 +1,97 @@
+// quiz.js
+// Practice mode: grading of predicted cut vertices / bridges against analyze(), disc/low
+// questions at a step of the analyzeWithSteps() trace, and the CSV of a session's scores.
+
+(function (root) {
+  // Sort picks into correct / missed / wrong for one kind of answer
+  function split(expected, picked) {
+    const exp = new Set(expected); const got = new Set(picked);
+    return {
+      correct: Array.from(got).filter(x => exp.has(x)),
+      missed: Array.from(exp).filter(x => !got.has(x)),
+      wrong: Array.from(got).filter(x => !exp.has(x)),
+    };
+  }
+
+  // Percent of right answers among everything that should or should not have been picked
+  function percent(correct, missed, wrong) {
+    const total = correct + missed + wrong;
+    return total ? Math.round((100 * correct) / total) : 100;
+  }
+
+  // picks: {nodes: ids, edges: edge keys}. Bridges are graded by edge key.
+  function gradePicks(graph, picks, result = graph.analyze()) {
+    const bridgeKeys = result.bridges.map(([u, v]) => graph.edgesBetween(u, v)[0]).filter(Boolean);
+    const nodes = split(result.articulationPoints, picks.nodes);
+    const edges = split(bridgeKeys, picks.edges);
+    const correct = nodes.correct.length + edges.correct.length;
+    const missed = nodes.missed.length + edges.missed.length;
+    const wrong = nodes.wrong.length + edges.wrong.length;
+    return { nodes, edges, correct, missed, wrong, percent: percent(correct, missed, wrong) };
+  }
+
+  // disc/low of every visited vertex as of steps[0..idx] (Tarjan trace)
+  function discLowAt(steps, idx) {
+    const values = new Map();
+    for (let i = 0; i <= idx && i < steps.length; i++) {
+      const s = steps[i];
+      if (s.type === 'visit') values.set(s.u, { disc: s.disc, low: s.low });
+      else if (s.type === 'updateLow' && values.has(s.u)) values.get(s.u).low = s.low;
+    }
+    return values;
+  }
+
+  // Pick a step from the later part of the trace and up to `count` visited vertices to ask
+  // about, preferring ones whose low already differs from disc. -> {stepIndex, asked, answer}
+  function discLowQuestion(steps, random = Math.random, count = 3) {
+    const candidates = [];
+    for (let i = Math.floor(steps.length / 3); i < steps.length; i++) if (discLowAt(steps, i).size >= 2) candidates.push(i);
+    if (!candidates.length) return null;
+    const stepIndex = candidates[Math.floor(random() * candidates.length)];
+    const answer = discLowAt(steps, stepIndex);
+    const ids = Array.from(answer.keys());
+    const shuffled = ids.map(id => [random(), id]).sort((a, b) => a[0] - b[0]).map(p => p[1]);
+    const moved = shuffled.filter(id => answer.get(id).low !== answer.get(id).disc);
+    const asked = moved.slice(0, 1).concat(shuffled.filter(id => !moved.slice(0, 1).includes(id))).slice(0, count);
+    return { stepIndex, asked, answer };
+  }
+
+  // answers: Map id -> {disc, low} (numbers, or NaN / undefined when left blank).
+  // -> {fields: Map id -> {disc: bool, low: bool}, correct, missed (blank), wrong, percent}
+  function gradeDiscLow(question, answers) {
+    const fields = new Map();
+    let correct = 0; let missed = 0; let wrong = 0;
+    for (const id of question.asked) {
+      const want = question.answer.get(id);
+      const got = answers.get(id) || {};
+      const mark = {};
+      for (const f of ['disc', 'low']) {
+        mark[f] = got[f] === want[f];
+        if (mark[f]) correct++;
+        else if (got[f] === undefined || Number.isNaN(got[f])) missed++;
+        else wrong++;
+      }
+      fields.set(id, mark);
+    }
+    return { fields, correct, missed, wrong, percent: percent(correct, missed, wrong) };
+  }
+
+  const CSV_COLUMNS = ['time', 'quiz', 'nodes', 'edges', 'seed', 'correct', 'missed', 'wrong', 'score_percent'];
+
+  function csvCell(v) {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // rows: [{time, quiz, nodes, edges, seed, correct, missed, wrong, percent}]
+  function scoresToCSV(rows) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const r of rows) lines.push([r.time, r.quiz, r.nodes, r.edges, r.seed, r.correct, r.missed, r.wrong, r.percent].map(csvCell).join(','));
+    return lines.join('\n') + '\n';
+  }
+
+  const GraphQuiz = { gradePicks, discLowAt, discLowQuestion, gradeDiscLow, scoresToCSV };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = GraphQuiz;
+  else root.GraphQuiz = GraphQuiz;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,132 @@
+// share.js
+// Shareable links and portable step traces.
+// A link fragment looks like  #v=1&g=0.120.80,1.300.90.core-sw,-4.10.10;0-1,1~0,1--4&mode=blocks&alg=tarjan&step=37
+// (nodes as id.x.y or id.x.y.label with the label percent-encoded, ids any integer; edges as
+// a-b or a~b for an arc a->b, in insertion order).
+// A trace file is the JSON of {format, version, mode, algorithm, stepIndex, graph, fingerprint, steps};
+// the fingerprint (node ids and edge endpoints) tells whether the trace still fits a graph.
+
+(function (root) {
+  const GraphCtor = typeof Graph !== 'undefined' ? Graph : require('./graph.js');
+  const TRACE_FORMAT = 'bcc-trace';
+  const MODES = ['blocks', 'twoEdge', 'directed', 'triconnected'];
+
+  // A label as one field of a node token: percent-encoded, dots included
+  const encodeLabel = (label) => encodeURIComponent(label).replace(/\./g, '%2E');
+
+  function encodeFragment({ graph, mode = 'blocks', algorithm = null, step = -1 }) {
+    const nodes = graph.nodes.map(n => {
+      const tok = `${n.id}.${Math.round(n.x)}.${Math.round(n.y)}`;
+      return n.label !== undefined ? `${tok}.${encodeLabel(n.label)}` : tok;
+    }).join(',');
+    const edges = Array.from(graph.edgeMap.values(), e => `${e.a}${e.directed ? '~' : '-'}${e.b}`).join(',');
+    let out = `v=1&g=${nodes};${edges}&mode=${mode}`;
+    if (algorithm) out += `&alg=${encodeURIComponent(algorithm)}`;
+    if (step >= 0) out += `&step=${step}`;
+    return out;
+  }
+
+  // -> {graph, mode, algorithm, step}, or null when the fragment carries no graph
+  function decodeFragment(hash) {
+    const params = new Map();
+    for (const part of String(hash).replace(/^#/, '').split('&')) {
+      const i = part.indexOf('=');
+      // g stays encoded: its labels are decoded one by one
+      if (i > 0) params.set(part.slice(0, i), part.slice(0, i) === 'g' ? part.slice(i + 1) : decodeURIComponent(part.slice(i + 1)));
+    }
+    if (!params.has('g')) return null;
+    if (params.has('v') && params.get('v') !== '1') throw new Error(`unsupported link version ${params.get('v')}`);
+    const [nodePart, edgePart = ''] = params.get('g').split(';');
+    const data = { nodes: [], edges: [] };
+    const seen = new Set();
+    for (const tok of nodePart ? nodePart.split(',') : []) {
+      const fields = tok.split('.');
+      const [id, x, y] = fields.slice(0, 3).map(Number);
+      if (fields.length > 4 || !Number.isInteger(id) || ![x, y].every(Number.isFinite) || seen.has(id)) throw new Error(`bad node "${tok}"`);
+      seen.add(id);
+      const node = { id, x, y };
+      if (fields.length === 4) {
+        try { node.label = decodeURIComponent(fields[3]); } catch (e) { throw new Error(`bad node "${tok}"`); }
+      }
+      data.nodes.push(node);
+    }
+    const g = GraphCtor.fromSnapshot(data);
+    for (const tok of edgePart ? edgePart.split(',') : []) {
+      const m = /^(-?\d+)([-~>])(-?\d+)$/.exec(tok);
+      if (!m || !g.addEdge(Number(m[1]), Number(m[3]), m[2] !== '-')) throw new Error(`bad edge "${tok}"`);
+    }
+    const mode = params.get('mode') || 'blocks';
+    if (!MODES.includes(mode)) throw new Error(`unknown mode "${mode}"`);
+    const step = params.has('step') ? parseInt(params.get('step'), 10) : -1;
+    return { graph: g, mode, algorithm: params.get('alg') || null, step: Number.isNaN(step) ? -1 : step };
+  }
+
+  // Structure only: node ids and edge endpoints (parallel copies repeat), no coordinates
+  function fingerprint(graph) {
+    return {
+      nodes: graph.nodes.map(n => n.id).sort((a, b) => a - b),
+      edges: Array.from(graph.edgeMap.values(), e => `${e.a}${e.directed ? '>' : '-'}${e.b}`).sort(),
+    };
+  }
+
+  // null when graph still has the fingerprinted structure, else a short description
+  function describeMismatch(fp, graph) {
+    const now = fingerprint(graph);
+    const diff = (xs, ys) => {
+      const left = new Map();
+      for (const x of xs) left.set(x, (left.get(x) || 0) + 1);
+      let extra = 0;
+      for (const y of ys) { if (left.get(y)) left.set(y, left.get(y) - 1); else extra++; }
+      let missing = 0;
+      for (const c of left.values()) missing += c;
+      return { missing, extra };
+    };
+    const n = diff(fp.nodes, now.nodes);
+    const e = diff(fp.edges, now.edges);
+    const parts = [];
+    if (n.missing) parts.push(`${n.missing} node(s) removed`);
+    if (n.extra) parts.push(`${n.extra} node(s) added`);
+    if (e.missing) parts.push(`${e.missing} edge(s) removed`);
+    if (e.extra) parts.push(`${e.extra} edge(s) added`);
+    return parts.length ? `trace no longer matches the graph: ${parts.join(', ')}` : null;
+  }
+
+  function exportTrace({ graph, mode, algorithm = null, steps, stepIndex = -1, recordedOn = graph }) {
+    return JSON.stringify({
+      format: TRACE_FORMAT,
+      version: 1,
+      mode,
+      algorithm,
+      stepIndex,
+      graph: recordedOn.snapshot(),
+      fingerprint: fingerprint(recordedOn),
+      steps,
+    }, null, 1);
+  }
+
+  // -> {graph (as recorded), mode, algorithm, stepIndex, fingerprint, steps}
+  function parseTrace(text) {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { throw new Error(`not JSON: ${e.message}`); }
+    if (!data || data.format !== TRACE_FORMAT) throw new Error('not a step trace file');
+    if (data.version !== 1) throw new Error(`unsupported trace version ${data.version}`);
+    if (!MODES.includes(data.mode)) throw new Error(`unknown mode "${data.mode}"`);
+    if (!Array.isArray(data.steps) || !data.graph || !Array.isArray(data.graph.nodes) || !Array.isArray(data.graph.edges)) {
+      throw new Error('trace is missing its graph or steps');
+    }
+    const graph = GraphCtor.fromSnapshot(data.graph);
+    return {
+      graph,
+      mode: data.mode,
+      algorithm: data.algorithm || null,
+      stepIndex: Number.isInteger(data.stepIndex) ? data.stepIndex : -1,
+      fingerprint: data.fingerprint || fingerprint(graph),
+      steps: data.steps,
+    };
+  }
+
+  const GraphShare = { TRACE_FORMAT, encodeFragment, decodeFragment, fingerprint, describeMismatch, exportTrace, parseTrace };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = GraphShare;
+  else root.GraphShare = GraphShare;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,543 @@
+// Randomized property tests: analyze(), analyzeWithSteps() and the chain decomposition against
+// the brute-force verifier, and analyze() against analyzeWithSteps(), on thousands of seeded graphs.
+// Run with `npm test` (or `node test/analyze.test.js`); BCC_TEST_GRAPHS sets graphs per case,
+// BCC_TEST_SEED the base seed. A failure prints the seed and the graph snapshot.
+
+const assert = require('assert');
+const Graph = require('../graph.js');
+const GraphVerify = require('../verify.js');
+const GraphAlgorithms = require('../algorithms.js');
+const GraphGenerators = require('../generators.js');
+const GraphFormats = require('../formats.js');
+const GraphConnectivity = require('../flow.js');
+const GraphTriconnected = require('../triconnected.js');
+const LiveAnalysis = require('../live.js');
+
+const COUNT = Number(process.env.BCC_TEST_GRAPHS) || 1000;
+const BASE_SEED = process.env.BCC_TEST_SEED || 'bcc';
+
+let failures = 0;
+let checked = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`ok - ${name}`);
+  } catch (e) {
+    failures++;
+    console.log(`not ok - ${name}\n  ${String(e.message).split('\n').join('\n  ')}`);
+  }
+}
+
+// The properties every graph must have
+function check(graph, seed) {
+  checked++;
+  const where = () => `seed ${seed}\ngraph ${JSON.stringify(graph.snapshot())}`;
+  const report = GraphVerify.verify(graph);
+  assert.ok(report.agree, `${GraphVerify.describe(report).join('\n')}\n${where()}`);
+  const plain = graph.analyze();
+  const traced = graph.analyzeWithSteps().result;
+  const bare = (r) => ({ articulationPoints: r.articulationPoints, bridges: r.bridges, components: r.components });
+  assert.deepStrictEqual(bare(traced), bare(plain), `analyze() and analyzeWithSteps() differ\n${where()}`);
+  // chain decomposition is shown next to Tarjan in the compare view, so it must agree too:
+  // cut vertices and bridges with brute force, blocks with Tarjan
+  const chainResult = GraphAlgorithms.get('chains').analyze(graph);
+  const chains = GraphAlgorithms.diffResults(graph, chainResult, report.expected);
+  const chainBlocks = GraphAlgorithms.diffResults(graph, chainResult, plain).blocks;
+  for (const [what, d] of [['cut vertex', chains.aps], ['bridge', chains.bridges], ['block', chainBlocks]]) {
+    assert.ok(!d.onlyA.length && !d.onlyB.length, `chains: wrong ${what} [${d.onlyA}], misses ${what} [${d.onlyB}]\n${where()}`);
+  }
+  // every undirected non-loop edge lies in exactly one block
+  for (const [key, e] of graph.edgeMap) {
+    if (e.a === e.b) continue;
+    assert.ok(plain.edgeToComp.has(key), `edge ${key} is in no block\n${where()}`);
+  }
+}
+
+// n nodes, about m edges with parallel copies and self-loops mixed in
+function randomMultigraph(random, n, m, directedShare = 0) {
+  const g = new Graph();
+  for (let i = 0; i < n; i++) g.addNode(random() * 900, random() * 600);
+  if (!n) return g;
+  for (let i = 0; i < m; i++) {
+    const a = g.nodes[Math.floor(random() * n)].id;
+    const b = random() < 0.05 ? a : g.nodes[Math.floor(random() * n)].id;
+    g.addEdge(a, b, random() < directedShare);
+  }
+  return g;
+}
+
+// Several random pieces side by side, plus isolated nodes
+function disconnected(random) {
+  const g = new Graph();
+  const pieces = 2 + Math.floor(random() * 3);
+  for (let p = 0; p < pieces; p++) {
+    const ids = [];
+    const n = 1 + Math.floor(random() * 6);
+    for (let i = 0; i < n; i++) ids.push(g.addNode(random() * 900, random() * 600));
+    const m = Math.floor(random() * n * 1.6);
+    for (let i = 0; i < m; i++) g.addEdge(ids[Math.floor(random() * n)], ids[Math.floor(random() * n)]);
+  }
+  const isolated = Math.floor(random() * 3);
+  for (let i = 0; i < isolated; i++) g.addNode(random() * 900, random() * 600);
+  return g;
+}
+
+// Sparse, shuffled ids: rename every node to a large unused id and delete a few
+function renamed(random) {
+  const g = randomMultigraph(random, 2 + Math.floor(random() * 10), Math.floor(random() * 18));
+  for (const id of g.nodes.map(n => n.id)) {
+    let to;
+    do { to = 100 + Math.floor(random() * 10000); } while (g.nodes.some(n => n.id === to));
+    g.renameNode(id, to);
+  }
+  for (const n of g.nodes.slice()) if (random() < 0.15) g.deleteNode(n.id);
+  return g;
+}
+
+function cases(name, build) {
+  test(`${name} (${COUNT} graphs)`, () => {
+    for (let i = 0; i < COUNT; i++) {
+      const seed = `${BASE_SEED}-${name}-${i}`;
+      check(build(GraphGenerators.seededRandom(seed)), seed);
+    }
+  });
+}
+
+test('tiny graphs', () => {
+  const empty = new Graph();
+  check(empty, 'empty');
+  const one = new Graph();
+  one.addNode();
+  check(one, 'single node');
+  const loop = new Graph();
+  loop.addNode();
+  loop.addEdge(0, 0);
+  check(loop, 'self-loop');
+  const edge = new Graph();
+  edge.addNode(); edge.addNode();
+  edge.addEdge(0, 1);
+  check(edge, 'single edge');
+  assert.deepStrictEqual(edge.analyze().bridges, [[0, 1]]);
+  edge.addEdge(0, 1);
+  check(edge, 'parallel pair');
+  assert.deepStrictEqual(edge.analyze().bridges, [], 'parallel edges are never bridges');
+});
+
+test('known answers', () => {
+  // two triangles sharing node 2, with a pendant edge 4-5
+  const g = new Graph();
+  for (let i = 0; i < 6; i++) g.addNode();
+  for (const [a, b] of [[0, 1], [1, 2], [2, 0], [2, 3], [3, 4], [4, 2], [4, 5]]) g.addEdge(a, b);
+  check(g, 'bowtie');
+  const r = g.analyze();
+  assert.deepStrictEqual(r.articulationPoints.slice().sort(), [2, 4]);
+  assert.deepStrictEqual(r.bridges, [[4, 5]]);
+  assert.strictEqual(r.components.length, 3);
+});
+
+cases('multigraph', (random) => {
+  const n = 1 + Math.floor(random() * 12);
+  return randomMultigraph(random, n, Math.floor(random() * n * 2));
+});
+cases('disconnected', disconnected);
+cases('renamed ids', renamed);
+cases('directed edges', (random) => {
+  const n = 2 + Math.floor(random() * 10);
+  return randomMultigraph(random, n, Math.floor(random() * n * 2), 0.5);
+});
+cases('gnp', (random) => Graph.randomGraph(2 + Math.floor(random() * 12), random() * 0.5, random));
+
+test('generators', () => {
+  for (const [kind, gen] of Object.entries(GraphGenerators.GENERATORS)) {
+    for (let i = 0; i < Math.ceil(COUNT / 10); i++) {
+      const seed = `${BASE_SEED}-${kind}-${i}`;
+      const random = GraphGenerators.seededRandom(seed);
+      // parameters between their minimum and twice the default, so brute force stays quick
+      const params = {};
+      for (const p of gen.params) params[p.name] = p.min + Math.floor(random() * (Math.min(p.max, 2 * p.value) - p.min + 1));
+      let g;
+      try { g = GraphGenerators.generate(kind, params, seed); } catch (e) { continue; } // infeasible combination
+      check(g, `${seed} ${JSON.stringify(params)}`);
+    }
+  }
+});
+
+test('strong bridges are reported once', () => {
+  // undirected triangle 0-1-2 hanging off a directed cycle 2 -> 3 -> 4 -> 2
+  const g = new Graph();
+  for (let i = 0; i < 5; i++) g.addNode();
+  for (const [a, b] of [[0, 1], [1, 2]]) g.addEdge(a, b);
+  for (const [a, b] of [[2, 3], [3, 4], [4, 2]]) g.addEdge(a, b, true);
+  const r = g.analyzeDirected();
+  assert.deepStrictEqual(r.strongBridges.map(([u, v]) => g.edgeKey(u, v)).sort(), ['0-1', '1-2', '2-3', '3-4', '2-4'].sort());
+  for (let i = 0; i < Math.ceil(COUNT / 10); i++) {
+    const seed = `${BASE_SEED}-strong-${i}`;
+    const random = GraphGenerators.seededRandom(seed);
+    const n = 2 + Math.floor(random() * 10);
+    const m = randomMultigraph(random, n, Math.floor(random() * n * 2), 0.5);
+    const { result, steps } = m.analyzeDirectedWithSteps();
+    const marked = steps.filter(s => s.type === 'markStrongBridge').map(s => s.key);
+    assert.strictEqual(result.strongBridges.length, result.strongBridgeKeys.size, `strong bridge listed twice, seed ${seed}`);
+    assert.strictEqual(new Set(marked).size, marked.length, `strong bridge marked twice, seed ${seed}`);
+  }
+});
+
+// Whether the nodes in keep stay connected using only the given [a, b] pairs
+function connectedWithout(keep, pairs) {
+  if (keep.length < 2) return true;
+  const inKeep = new Set(keep);
+  const seen = new Set([keep[0]]);
+  const queue = [keep[0]];
+  for (let i = 0; i < queue.length; i++) {
+    for (const [a, b] of pairs) {
+      if (!inKeep.has(a) || !inKeep.has(b)) continue;
+      const v = a === queue[i] ? b : b === queue[i] ? a : null;
+      if (v !== null && !seen.has(v)) { seen.add(v); queue.push(v); }
+    }
+  }
+  return seen.size === keep.length;
+}
+
+// Subsets of xs with exactly k members, smallest first
+function* subsets(xs, k, from = 0) {
+  if (!k) { yield []; return; }
+  for (let i = from; i <= xs.length - k; i++) for (const rest of subsets(xs, k - 1, i + 1)) yield [xs[i], ...rest];
+}
+
+// Paths from s to t along existing edges, no edge used twice; with internal, no inner vertex either
+function checkPaths(g, r, internal) {
+  assert.strictEqual(r.paths.length, r.value, `${r.value} ${r.kind} connectivity but ${r.paths.length} paths`);
+  const usedEdges = new Set();
+  const usedInner = new Set();
+  for (const p of r.paths) {
+    assert.strictEqual(p.verts[0], r.s);
+    assert.strictEqual(p.verts[p.verts.length - 1], r.t);
+    assert.strictEqual(p.edges.length, p.verts.length - 1);
+    p.edges.forEach((key, i) => {
+      const e = g.edgeMap.get(key);
+      assert.ok(e && [e.a, e.b].sort().join() === [p.verts[i], p.verts[i + 1]].sort().join(), `path edge ${key} does not join ${p.verts[i]} and ${p.verts[i + 1]}`);
+      assert.ok(!usedEdges.has(key), `edge ${key} on two paths`);
+      usedEdges.add(key);
+    });
+    if (!internal) continue;
+    for (const v of p.verts.slice(1, -1)) {
+      assert.ok(!usedInner.has(v), `vertex ${v} inside two paths`);
+      usedInner.add(v);
+    }
+  }
+}
+
+test('connectivity matches the smallest cut by brute force', () => {
+  for (let i = 0; i < Math.ceil(COUNT / 5); i++) {
+    const seed = `${BASE_SEED}-flow-${i}`;
+    const random = GraphGenerators.seededRandom(seed);
+    const n = 2 + Math.floor(random() * 6);
+    const g = randomMultigraph(random, n, n - 1 + Math.floor(random() * n * 1.5));
+    if (!GraphConnectivity.isConnected(g)) continue;
+    const ids = g.nodes.map(nd => nd.id);
+    const pairs = Array.from(g.edgeMap.values(), e => [e.a, e.b]).filter(([a, b]) => a !== b);
+    const where = `seed ${seed}\ngraph ${JSON.stringify(g.snapshot())}`;
+
+    // κ: fewest vertices whose removal disconnects the rest; n - 1 when no set does
+    let kappa = n - 1;
+    for (let k = 0; k < n - 1 && kappa === n - 1; k++) {
+      for (const cut of subsets(ids, k)) if (!connectedWithout(ids.filter(v => !cut.includes(v)), pairs)) { kappa = k; break; }
+    }
+    const vr = GraphConnectivity.vertexConnectivity(g);
+    assert.strictEqual(vr.value, kappa, `κ ${vr.value}, brute force ${kappa}\n${where}`);
+    if (!vr.complete) {
+      checkPaths(g, vr, true);
+      assert.strictEqual(vr.cutVertices.length, kappa, `vertex cut ${vr.cutVertices}\n${where}`);
+      assert.ok(!connectedWithout(ids.filter(v => !vr.cutVertices.includes(v)), pairs), `vertex cut ${vr.cutVertices} does not disconnect\n${where}`);
+    }
+
+    // λ: fewest edges whose removal disconnects the graph
+    let lambda = null;
+    for (let k = 0; lambda === null; k++) {
+      for (const cut of subsets(pairs.map((_, j) => j), k)) if (!connectedWithout(ids, pairs.filter((_, j) => !cut.includes(j)))) { lambda = k; break; }
+    }
+    const er = GraphConnectivity.edgeConnectivity(g);
+    assert.strictEqual(er.value, lambda, `λ ${er.value}, brute force ${lambda}\n${where}`);
+    checkPaths(g, er, false);
+    assert.strictEqual(er.cutEdges.length, lambda, `edge cut ${er.cutEdges}\n${where}`);
+    const left = Array.from(g.edgeMap).filter(([key, e]) => e.a !== e.b && !er.cutEdges.includes(key)).map(([, e]) => [e.a, e.b]);
+    assert.ok(!connectedWithout(ids, left), `edge cut ${er.cutEdges} does not disconnect\n${where}`);
+  }
+});
+
+// Bridges / cut vertices left after adding the edges, plus whether the graph is connected
+function afterAdding(g, edges) {
+  const h = g.clone();
+  for (const [a, b] of edges) h.addEdge(a, b);
+  const r = h.analyze();
+  return { bridges: r.bridges.length, cuts: r.articulationPoints.length, connected: GraphConnectivity.isConnected(h) };
+}
+
+// Eswaran-Tarjan bounds of a connected graph from the brute-force blocks and bridges:
+// twoEdge ceil(p/2) over the bridge tree, biconnected max(d - 1, ceil(l/2)) over the block-cut tree
+function augmentBounds(g) {
+  const brute = GraphAlgorithms.get('brute').analyze(g);
+  const piece = new Map(g.nodes.map(n => [n.id, n.id]));
+  const find = (v) => (piece.get(v) === v ? v : find(piece.get(v)));
+  const bridgeKeys = new Set(brute.bridges.map(([a, b]) => g.edgeKey(a, b)));
+  for (const e of g.edgeMap.values()) if (!bridgeKeys.has(g.edgeKey(e.a, e.b))) piece.set(find(e.a), find(e.b));
+  const bridgeDeg = new Map();
+  for (const [a, b] of brute.bridges) for (const v of [a, b]) bridgeDeg.set(find(v), (bridgeDeg.get(find(v)) || 0) + 1);
+  const twoEdge = Math.ceil(Array.from(bridgeDeg.values()).filter(d => d === 1).length / 2);
+  if (brute.components.length < 2) return { twoEdge, biconnected: 0 };
+  const cuts = new Set(brute.articulationPoints);
+  const blocksAt = new Map();
+  let leaves = 0;
+  for (const c of brute.components) {
+    const verts = new Set([].concat(...c.edges.map(e => [e[0], e[1]])));
+    if (Array.from(verts).filter(v => cuts.has(v)).length === 1) leaves++;
+    for (const v of verts) blocksAt.set(v, (blocksAt.get(v) || 0) + 1);
+  }
+  return { twoEdge, biconnected: Math.max(Math.max(...blocksAt.values()) - 1, Math.ceil(leaves / 2)) };
+}
+
+test('augmentation leaves no bridges or cut vertices with the fewest edges', () => {
+  for (let i = 0; i < Math.ceil(COUNT / 20); i++) {
+    const seed = `${BASE_SEED}-augment-${i}`;
+    const random = GraphGenerators.seededRandom(seed);
+    const graphs = [
+      GraphGenerators.generate('tree', { n: 3 + Math.floor(random() * 12) }, `${seed}-tree`),
+      GraphGenerators.generate('cactus', { cycles: 1 + Math.floor(random() * 4), maxLen: 3 + Math.floor(random() * 3), pendants: Math.floor(random() * 5) }, `${seed}-cactus`),
+      randomMultigraph(random, 3 + Math.floor(random() * 8), Math.floor(random() * 12)),
+    ];
+    graphs.forEach((g, kind) => {
+      const where = `seed ${seed}\ngraph ${JSON.stringify(g.snapshot())}`;
+      const bi = g.augmentation('biconnected');
+      const te = g.augmentation('twoEdge');
+      assert.deepStrictEqual(afterAdding(g, bi.edges), { bridges: 0, cuts: 0, connected: true }, `biconnected augmentation ${JSON.stringify(bi.edges)}\n${where}`);
+      const twoEdge = afterAdding(g, te.edges);
+      assert.ok(!twoEdge.bridges && twoEdge.connected, `2-edge augmentation ${JSON.stringify(te.edges)}\n${where}`);
+      assert.strictEqual(bi.edges.length, bi.lowerBound, `biconnected augmentation misses its bound\n${where}`);
+      assert.strictEqual(te.edges.length, te.lowerBound, `2-edge augmentation misses its bound\n${where}`);
+      if (kind === 2) return;
+      // trees and cacti are connected, so the bounds come from the leaves alone (and d for blocks)
+      const bounds = augmentBounds(g);
+      assert.strictEqual(te.edges.length, bounds.twoEdge, `2-edge augmentation adds ${te.edges.length}, ceil(leaves / 2) is ${bounds.twoEdge}\n${where}`);
+      assert.strictEqual(bi.edges.length, bounds.biconnected, `biconnected augmentation adds ${bi.edges.length}, bound is ${bounds.biconnected}\n${where}`);
+    });
+  }
+});
+
+function graphOf(n, pairs) {
+  const g = new Graph();
+  for (let i = 0; i < n; i++) g.addNode();
+  for (const [a, b] of pairs) g.addEdge(a, b);
+  return g;
+}
+
+test('triconnected components of a cycle, a theta graph and K4', () => {
+  const types = (r) => r.components.map(c => c.type).sort().join('');
+  const cycle = GraphTriconnected.analyze(graphOf(6, [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 0]]));
+  assert.strictEqual(types(cycle), 'S');
+  assert.deepStrictEqual(cycle.components[0].verts, [0, 1, 2, 3, 4, 5]);
+  assert.strictEqual(cycle.separationPairs.length, 9, 'every non-adjacent pair of a 6-cycle separates it');
+  // three paths between 0 and 1: a bond at {0, 1} holding three polygons
+  const theta = GraphTriconnected.analyze(graphOf(6, [[0, 2], [2, 1], [0, 3], [3, 4], [4, 1], [0, 5], [5, 1]]));
+  assert.strictEqual(types(theta), 'PSSS');
+  assert.deepStrictEqual(theta.components.find(c => c.type === 'P').verts, [0, 1]);
+  assert.strictEqual(theta.virtualPairs.length, 3);
+  assert.ok(theta.virtualPairs.every(([a, b]) => a === 0 && b === 1));
+  const k4 = GraphTriconnected.analyze(graphOf(4, [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]]));
+  assert.strictEqual(types(k4), 'R');
+  assert.deepStrictEqual(k4.separationPairs, []);
+  for (const r of [cycle, theta, k4]) assert.ok(r.bruteForce.checked && r.bruteForce.agrees);
+});
+
+test('every block edge lands in exactly one triconnected component', () => {
+  for (let i = 0; i < Math.ceil(COUNT / 10); i++) {
+    const seed = `${BASE_SEED}-triconnected-${i}`;
+    const random = GraphGenerators.seededRandom(seed);
+    const n = 2 + Math.floor(random() * 10);
+    const g = randomMultigraph(random, n, Math.floor(random() * n * 2.5));
+    const where = `seed ${seed}\ngraph ${JSON.stringify(g.snapshot())}`;
+    const base = g.analyze();
+    const r = GraphTriconnected.analyze(g, base);
+    assert.ok(r.bruteForce.agrees, `separation pairs differ from brute force\n${where}`);
+    base.components.forEach((block, index) => {
+      const seen = new Map();
+      r.components.forEach((c, ci) => {
+        if (c.block !== index) return;
+        for (const k of c.keys) {
+          assert.ok(!seen.has(k), `edge ${k} in components ${seen.get(k)} and ${ci}\n${where}`);
+          seen.set(k, ci);
+        }
+      });
+      // a bridge is a block of one edge that is not split
+      if (block.edges.length < 2) { assert.strictEqual(seen.size, 0); return; }
+      for (const [, , key] of block.edges) {
+        assert.ok(seen.has(key), `edge ${key} of block ${index} is in no component\n${where}`);
+        assert.strictEqual(r.edgeToTri.get(key), seen.get(key));
+      }
+      assert.strictEqual(seen.size, block.edges.length, `block ${index} has edges from elsewhere\n${where}`);
+    });
+  }
+});
+
+// Cut vertices, bridge keys and blocks (as sorted edge keys) in a comparable form
+function analysisShape(g, r) {
+  return {
+    aps: r.articulationPoints.slice().sort((x, y) => x - y),
+    bridges: r.bridges.map(([a, b]) => g.edgeKey(a, b)).sort(),
+    blocks: r.components.map(c => c.edges.map(e => e[2]).sort().join(' ')).sort(),
+    edgeToComp: Array.from(r.edgeToComp, ([k, i]) => `${k}:${r.components[i].edges.map(e => e[2]).sort().join(' ')}`).sort(),
+  };
+}
+
+test('live analysis follows random edits', () => {
+  for (let i = 0; i < Math.ceil(COUNT / 20); i++) {
+    const seed = `${BASE_SEED}-live-${i}`;
+    const random = GraphGenerators.seededRandom(seed);
+    const g = randomMultigraph(random, Math.floor(random() * 8), Math.floor(random() * 10));
+    const live = new LiveAnalysis(g);
+    const log = [];
+    for (let step = 0; step < 40; step++) {
+      const before = analysisShape(g, g.analyze());
+      const ids = g.nodes.map(n => n.id);
+      const keys = Array.from(g.edgeMap.keys());
+      const pick = (xs) => xs[Math.floor(random() * xs.length)];
+      const roll = random();
+      if (roll < 0.15 || !ids.length) log.push(`addNode ${g.addNode()}`);
+      else if (roll < 0.6) { const a = pick(ids); const b = random() < 0.1 ? a : pick(ids); log.push(`addEdge ${g.addEdge(a, b)}`); }
+      else if (roll < 0.9 && keys.length) { const k = pick(keys); g.deleteEdgeByKey(k); log.push(`deleteEdge ${k}`); }
+      else { const v = pick(ids); g.deleteNode(v); log.push(`deleteNode ${v}`); }
+      const where = `seed ${seed}, edits ${log.join(', ')}`;
+      const fresh = analysisShape(g, g.analyze());
+      assert.deepStrictEqual(analysisShape(g, live.result()), fresh, `live result differs from analyze()\n${where}`);
+      const change = live.takeChange();
+      const minus = (x, y) => x.filter(v => !y.includes(v)).sort();
+      assert.deepStrictEqual(change.addedAPs.slice().sort(), minus(fresh.aps, before.aps), `added cut vertices\n${where}`);
+      assert.deepStrictEqual(change.removedAPs.slice().sort(), minus(before.aps, fresh.aps), `removed cut vertices\n${where}`);
+      assert.deepStrictEqual(change.addedBridges.slice().sort(), minus(fresh.bridges, before.bridges), `added bridges\n${where}`);
+      assert.deepStrictEqual(change.removedBridges.slice().sort(), minus(before.bridges, fresh.bridges), `removed bridges\n${where}`);
+    }
+    live.detach();
+  }
+});
+
+test('long path does not overflow the stack', () => {
+  const g = new Graph();
+  const n = 20000;
+  for (let i = 0; i < n; i++) g.addNode();
+  for (let i = 1; i < n; i++) g.addEdge(i - 1, i);
+  const r = g.analyze();
+  assert.strictEqual(r.articulationPoints.length, n - 2);
+  assert.strictEqual(r.bridges.length, n - 1);
+});
+
+// Nodes as {name, x, y} and edges as "name-name" / "name>name", both sorted. name is the label
+// (or the id), or the position in the node list for formats that keep no names.
+function formatShape(g, { names = true, coords = true } = {}) {
+  const name = new Map(g.nodes.map((n, i) => [n.id, names ? (n.label !== undefined ? n.label : String(n.id)) : String(i)]));
+  const nodes = g.nodes.map(n => (coords ? { name: name.get(n.id), x: n.x, y: n.y } : { name: name.get(n.id) }));
+  const edges = Array.from(g.edgeMap.values(), e => {
+    const [a, b] = [name.get(e.a), name.get(e.b)];
+    return e.directed ? `${a}>${b}` : [a, b].sort().join('-');
+  });
+  return { nodes: nodes.sort((x, y) => (x.name < y.name ? -1 : x.name > y.name ? 1 : 0)), edges: edges.sort() };
+}
+
+test('formats round-trip', () => {
+  // what each format keeps: DIMACS has no names or coordinates, edge lists no coordinates
+  const keeps = {
+    json: {}, dot: {}, graphml: {},
+    edgelist: { coords: false },
+    dimacs: { names: false, coords: false },
+  };
+  for (let i = 0; i < Math.ceil(COUNT / 10); i++) {
+    const seed = `${BASE_SEED}-formats-${i}`;
+    const random = GraphGenerators.seededRandom(seed);
+    const n = 1 + Math.floor(random() * 10);
+    const g = randomMultigraph(random, n, Math.floor(random() * n * 2), random() < 0.5 ? 0 : 0.5);
+    for (const nd of g.nodes) {
+      nd.x = Math.round(nd.x); nd.y = Math.round(nd.y);
+      if (random() < 0.5) nd.label = `v${nd.id}_${Math.floor(random() * 100)}`;
+    }
+    for (const [format, opts] of Object.entries(keeps)) {
+      const text = GraphFormats.serialize(format, g);
+      const back = GraphFormats.parse(format, text);
+      assert.deepStrictEqual(formatShape(back, opts), formatShape(g, opts), `${format} round-trip, seed ${seed}\n${text}`);
+    }
+  }
+});
+
+test('edge list export keeps clashing names apart', () => {
+  // node 0 is labelled "3", node 3 has no label, nodes 1 and 2 share a label
+  const g = new Graph();
+  for (let i = 0; i < 4; i++) g.addNode(0, 0);
+  g.setNodeLabel(0, '3');
+  g.setNodeLabel(1, 'x'); g.setNodeLabel(2, 'x');
+  for (const [a, b] of [[0, 1], [1, 2], [2, 3], [3, 0]]) g.addEdge(a, b);
+  const back = GraphFormats.parseEdgeList(GraphFormats.toEdgeList(g));
+  assert.strictEqual(back.nodes.length, 4);
+  assert.strictEqual(back.edgeMap.size, 4);
+  assert.strictEqual(back.analyze().articulationPoints.length, 0, 'the 4-cycle came back as something else');
+});
+
+test('bad input reports each bad line', () => {
+  const errorsOf = (format, text) => {
+    try { GraphFormats.parse(format, text); } catch (e) {
+      assert.ok(e instanceof GraphFormats.ParseError, e.message);
+      return e.errors.map(er => er.line);
+    }
+    assert.fail(`${format}: no ParseError`);
+  };
+  assert.deepStrictEqual(errorsOf('edgelist', '1 2\n1 2 3 4\n2 3\na b c d\n'), [2, 4]);
+  assert.deepStrictEqual(errorsOf('dimacs', 'c x\np edge 3 2\ne 1 9\ne 1 2\nq 1\ne x y\n'), [3, 5, 6]);
+  assert.deepStrictEqual(errorsOf('dot', 'digraph {\n a -> b;\n b -- c;\n c -> ;\n}'), [3, 4]);
+  assert.deepStrictEqual(errorsOf('graphml', [
+    '<graphml><graph edgedefault="undirected">',
+    '<node id="a"/><node/>',
+    '<edge source="a"/>',
+    '<edge source="a" target="zz"/>',
+    '</graph></graphml>',
+  ].join('\n')), [2, 3, 4]);
+});
+
+test('imports keep the coordinates a file gives', () => {
+  const dot = GraphFormats.parseDot('graph { a [pos="10,20"]; b [pos="300,40"]; c; a -- b; b -- c; }');
+  const graphml = GraphFormats.parseGraphML([
+    '<graphml><key id="x" for="node" attr.name="x"/><key id="y" for="node" attr.name="y"/>',
+    '<graph edgedefault="undirected">',
+    '<node id="a"><data key="x">10</data><data key="y">20</data></node>',
+    '<node id="b"><data key="x">300</data><data key="y">40</data></node>',
+    '<node id="c"/><node id="d"/>',
+    '<edge source="a" target="b"/><edge source="b" target="c"/><edge source="c" target="d"/>',
+    '</graph></graphml>',
+  ].join('\n'));
+  for (const g of [dot, graphml]) {
+    const at = (label) => g.nodes.find(n => n.label === label);
+    assert.deepStrictEqual([at('a').x, at('a').y, at('b').x, at('b').y], [10, 20, 300, 40]);
+    // the others are placed clear of the given ones
+    for (const n of g.nodes.filter(n => n.label !== 'a' && n.label !== 'b')) {
+      assert.ok(Number.isFinite(n.x) && Number.isFinite(n.y), `node ${n.label} has no position`);
+      assert.ok(Math.hypot(n.x - 155, n.y - 30) > 150, `node ${n.label} placed on top of the given nodes`);
+    }
+  }
+});
+
+test('DOT import reports every bad line', () => {
+  const errorsOf = (text) => {
+    try { GraphFormats.parseDot(text); } catch (e) {
+      assert.ok(e instanceof GraphFormats.ParseError, e.message);
+      return e.errors;
+    }
+    assert.fail('no ParseError');
+  };
+  assert.deepStrictEqual(errorsOf('graph {\n a -- b;\n c ! d;\n e -- ;\n}'), [
+    { line: 3, message: 'unexpected character "!"' },
+    { line: 4, message: 'missing node after "--"' },
+  ]);
+  assert.deepStrictEqual(errorsOf('graph {\n a -- "b;\n c ? d;\n}'), [
+    { line: 2, message: 'unterminated string' },
+    { line: 3, message: 'unexpected character "?"' },
+  ]);
+});
+
+console.log(`\n${checked} graphs checked, ${failures ? `${failures} test(s) failed` : 'all tests passed'}`);
+if (failures) process.exitCode = 1;
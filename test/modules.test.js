@@ -0,0 +1,362 @@
+// Unit tests for the pure parts of the app modules: the text graph syntax, share links,
+// edit history, workspace storage and zip reading, and quiz grading.
+// Run with `npm test` (or `node test/modules.test.js`).
+
+const assert = require('assert');
+const Graph = require('../graph.js');
+const GraphText = require('../textgraph.js');
+const GraphShare = require('../share.js');
+const EditHistory = require('../history.js');
+const Workspace = require('../workspace.js');
+const GraphQuiz = require('../quiz.js');
+const zlib = require('zlib');
+
+let failures = 0;
+let passed = 0;
+const tests = [];
+
+// Tests run in order once every file-level test() has been registered; fn may be async
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// Small seeded generator so failures repeat
+function lcg(seed) {
+  let s = seed >>> 0;
+  return () => { s = (s * 1664525 + 1013904223) >>> 0; return s / 4294967296; };
+}
+
+// n nodes with integer coordinates, a label on about half of them, m edges (some directed)
+function labelledGraph(random, n, m) {
+  const g = new Graph();
+  for (let i = 0; i < n; i++) {
+    const id = g.addNode(Math.floor(random() * 900), Math.floor(random() * 600));
+    if (random() < 0.5) g.setNodeLabel(id, ['core-sw', 'edge router', 'a"b', 'x,y', 'db.1'][i % 5] + ` ${i}`);
+  }
+  for (let i = 0; i < m && n; i++) g.addEdge(g.nodes[Math.floor(random() * n)].id, g.nodes[Math.floor(random() * n)].id, random() < 0.3);
+  return g;
+}
+
+test('text graph round-trip', () => {
+  for (let i = 0; i < 200; i++) {
+    const g = labelledGraph(lcg(i), Math.floor(i / 10), i % 17);
+    const text = GraphText.format(g, { coords: true });
+    const parsed = GraphText.parse(text);
+    assert.deepStrictEqual(parsed.errors, [], text);
+    // applied to the graph it came from nothing changes, applied to an empty graph the same graph comes back
+    assert.deepStrictEqual(GraphText.apply(g, parsed).snapshot(), g.snapshot(), text);
+    const fresh = GraphText.apply(new Graph(), parsed);
+    const shape = (h) => ({
+      nodes: h.nodes.map(n => `${h.nodeLabel(n.id)} ${n.x} ${n.y}`).sort(),
+      edges: Array.from(h.edgeMap.values(), e => `${h.nodeLabel(e.a)}${e.directed ? '>' : '-'}${h.nodeLabel(e.b)}`).sort(),
+    });
+    assert.deepStrictEqual(shape(fresh), shape(g), text);
+    // and formats back to the same text
+    assert.strictEqual(GraphText.format(fresh, { coords: true }), GraphText.format(g, { coords: true }));
+  }
+});
+
+test('text graph syntax', () => {
+  const { nodes, edges, errors } = GraphText.parse('1-2, 2 -- 3 # comment\n"edge router" (120, 80) -> @7\na - b - c\n');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(edges.map(e => `${e.from}${e.directed ? '>' : '-'}${e.to}@${e.line}`), [
+    'name:1-name:2@1', 'name:2-name:3@1', 'name:edge router>id:7@2', 'name:a-name:b@3', 'name:b-name:c@3',
+  ]);
+  const router = nodes.find(n => n.ref === 'name:edge router');
+  assert.deepStrictEqual([router.x, router.y], [120, 80]);
+});
+
+test('text graph errors name their line', () => {
+  const cases = [
+    ['a - "b', 'unterminated quote'],
+    ['a ^ b', 'expected ",", "-" or "->", got "^"'],
+    ['@x - b', '"@x" is not a node id (expected @ and a number)'],
+    ['- b', 'expected a node name, got "-"'],
+    ['a -', 'expected a node name'],
+    ['a (1, x)', 'bad coordinate "x"'],
+    ['a (1, 2', 'expected ")"'],
+    ['a (1)', 'coordinates need two numbers, e.g. (120, 80)'],
+    ['a - b,', 'nothing after ","'],
+  ];
+  for (const [line, message] of cases) {
+    // the bad line sits between good ones and is the only one reported
+    const r = GraphText.parse(`x - y\n\n${line}\ny - z`);
+    assert.deepStrictEqual(r.errors, [{ line: 3, message }], line);
+    assert.deepStrictEqual(r.edges.map(e => e.line), [1, 4], `${line}: good lines still parse`);
+  }
+  const all = GraphText.parse(cases.map(c => c[0]).join('\n'));
+  assert.deepStrictEqual(all.errors.map(e => e.line), cases.map((c, i) => i + 1), 'every bad line is reported');
+});
+
+test('share links round-trip', () => {
+  for (let i = 0; i < 100; i++) {
+    const random = lcg(1000 + i);
+    const g = labelledGraph(random, Math.floor(i / 8), i % 13);
+    // sparse and negative ids
+    for (const id of g.nodes.map(n => n.id)) if (random() < 0.4) g.renameNode(id, -1 - id * 7);
+    const frag = GraphShare.encodeFragment({ graph: g, mode: 'twoEdge', algorithm: 'chains', step: i });
+    const back = GraphShare.decodeFragment(`#${frag}`);
+    assert.deepStrictEqual(back.graph.nodes, g.nodes, frag);
+    assert.deepStrictEqual(Array.from(back.graph.edgeMap.values(), e => [e.a, e.b, e.directed]), Array.from(g.edgeMap.values(), e => [e.a, e.b, e.directed]), frag);
+    assert.deepStrictEqual([back.mode, back.algorithm, back.step], ['twoEdge', 'chains', i]);
+  }
+  // links made before labels were encoded still open
+  const old = GraphShare.decodeFragment('#v=1&g=0.120.80,1.300.90;0-1,1~0&mode=blocks&alg=tarjan&step=37');
+  assert.deepStrictEqual(old.graph.nodes, [{ id: 0, x: 120, y: 80 }, { id: 1, x: 300, y: 90 }]);
+  assert.deepStrictEqual([old.graph.edgeMap.size, old.algorithm, old.step], [2, 'tarjan', 37]);
+  assert.strictEqual(GraphShare.decodeFragment('#mode=blocks'), null);
+  for (const [hash, message] of [
+    ['#g=0.1;', 'bad node "0.1"'],
+    ['#g=0.1.2,0.3.4;', 'bad node "0.3.4"'],
+    ['#g=x.1.2;', 'bad node "x.1.2"'],
+    ['#g=0.1.2.%E0;', 'bad node "0.1.2.%E0"'],
+    ['#g=0.1.2;0-5', 'bad edge "0-5"'],
+    ['#g=0.1.2;0=0', 'bad edge "0=0"'],
+    ['#v=2&g=0.1.2;', 'unsupported link version 2'],
+    ['#g=0.1.2;&mode=nope', 'unknown mode "nope"'],
+  ]) assert.throws(() => GraphShare.decodeFragment(hash), { message }, hash);
+});
+
+test('step traces round-trip and notice edits', () => {
+  const g = labelledGraph(lcg(7), 6, 8);
+  const { steps } = g.analyzeWithSteps();
+  const trace = GraphShare.parseTrace(GraphShare.exportTrace({ graph: g, mode: 'blocks', algorithm: 'tarjan', steps, stepIndex: 4 }));
+  assert.deepStrictEqual(trace.graph.snapshot(), g.snapshot());
+  assert.deepStrictEqual(trace.steps, JSON.parse(JSON.stringify(steps)));
+  assert.deepStrictEqual([trace.mode, trace.algorithm, trace.stepIndex], ['blocks', 'tarjan', 4]);
+  assert.strictEqual(GraphShare.describeMismatch(trace.fingerprint, g), null);
+  g.addEdge(g.nodes[0].id, g.nodes[1].id);
+  g.deleteNode(g.nodes[5].id);
+  assert.match(GraphShare.describeMismatch(trace.fingerprint, g), /1 node\(s\) removed/);
+  assert.throws(() => GraphShare.parseTrace('{"format":"other"}'), /not a step trace file/);
+  assert.throws(() => GraphShare.parseTrace('nope'), /not JSON/);
+});
+
+test('edit history undo, redo and jumps', () => {
+  const h = new EditHistory();
+  assert.deepStrictEqual([h.canUndo(), h.canRedo(), h.undo(), h.redo(), h.jumpTo(0)], [false, false, null, null, null]);
+  h.push('add 1', 's0', 's1');
+  h.push('add 2', 's1', 's2');
+  h.push('add 3', 's2', 's3');
+  assert.deepStrictEqual([h.undo(), h.undo(), h.canRedo()], ['s2', 's1', true]);
+  assert.strictEqual(h.redo(), 's2');
+  // a new edit drops what could still be redone
+  h.push('delete', 's2', 's4');
+  assert.deepStrictEqual(h.entries.map(e => e.label), ['add 1', 'add 2', 'delete']);
+  assert.deepStrictEqual([h.canRedo(), h.redo()], [false, null]);
+  assert.deepStrictEqual([h.jumpTo(-1), h.index, h.canUndo()], ['s0', -1, false]);
+  assert.deepStrictEqual([h.jumpTo(1), h.index], ['s2', 1]);
+  assert.deepStrictEqual([h.jumpTo(3), h.jumpTo(-2), h.index], [null, null, 1]);
+  assert.strictEqual(h.redo(), 's4');
+  h.clear();
+  assert.deepStrictEqual([h.entries, h.index, h.canUndo()], [[], -1, false]);
+});
+
+test('edit history amend only touches the newest applied entry', () => {
+  const h = new EditHistory();
+  assert.strictEqual(h.amend('x'), false);
+  h.push('text', 'a', 'b');
+  assert.strictEqual(h.amend('c'), true);
+  assert.deepStrictEqual([h.entries.length, h.redo(), h.undo()], [1, null, 'a']);
+  assert.strictEqual(h.redo(), 'c');
+  h.push('more', 'c', 'd');
+  h.undo();
+  // the newest entry is not applied: amending would rewrite a redo target
+  assert.strictEqual(h.amend('e'), false);
+  assert.strictEqual(h.redo(), 'd');
+});
+
+test('edit history keeps at most limit entries', () => {
+  const h = new EditHistory(3);
+  for (let i = 1; i <= 5; i++) h.push(`edit ${i}`, `s${i - 1}`, `s${i}`);
+  assert.deepStrictEqual(h.entries.map(e => e.label), ['edit 3', 'edit 4', 'edit 5']);
+  assert.strictEqual(h.index, 2);
+  assert.deepStrictEqual([h.undo(), h.undo(), h.undo(), h.undo()], ['s4', 's3', 's2', null]);
+  assert.strictEqual(h.jumpTo(-1), 's2', 'the oldest state left is before the oldest kept entry');
+});
+
+// localStorage stand-in
+function memoryStorage() {
+  const data = new Map();
+  return {
+    data,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => { data.set(k, String(v)); },
+    removeItem: (k) => { data.delete(k); },
+  };
+}
+
+// A .zip archive of [{name, text, deflate}] entries (CRCs left at 0; readZip does not check them)
+function makeZip(entries) {
+  const locals = []; const centrals = [];
+  let offset = 0;
+  for (const { name, text, deflate } of entries) {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(text || '');
+    const data = deflate ? zlib.deflateRawSync(raw) : raw;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18); local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20); central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const dir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8); end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(dir.length, 12); end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, end]);
+}
+
+test('workspace saves, lists, duplicates and removes graphs', () => {
+  const storage = memoryStorage();
+  const ws = new Workspace(storage, 'test');
+  const g = labelledGraph(lcg(3), 5, 6);
+  const realNow = Date.now;
+  let now = 1000;
+  Date.now = () => now++;
+  try {
+    ws.save('ring', g);
+    ws.save('empty', new Graph());
+  } finally { Date.now = realNow; }
+  assert.deepStrictEqual(ws.list(), [
+    { name: 'empty', modified: 1001, nodes: 0, edges: 0 },
+    { name: 'ring', modified: 1000, nodes: 5, edges: g.edgeMap.size },
+  ]);
+  assert.deepStrictEqual(ws.open('ring').snapshot(), g.snapshot());
+  assert.strictEqual(ws.open('missing'), null);
+  assert.deepStrictEqual([ws.has('ring'), ws.has('toString'), ws.uniqueName('ring'), ws.uniqueName('new')], [true, false, 'ring (2)', 'new']);
+  assert.strictEqual(ws.duplicate('ring'), 'ring copy');
+  assert.strictEqual(ws.duplicate('ring'), 'ring copy (2)');
+  assert.deepStrictEqual(ws.open('ring copy (2)').snapshot(), g.snapshot());
+  assert.strictEqual(ws.duplicate('missing'), null);
+  assert.deepStrictEqual([ws.remove('ring'), ws.remove('ring')], [true, false]);
+  assert.deepStrictEqual(ws.list().map(e => e.name).sort(), ['empty', 'ring copy', 'ring copy (2)']);
+  // everything lives under the prefix
+  assert.deepStrictEqual(Array.from(storage.data.keys()), ['test.workspace']);
+  // a damaged store reads as empty instead of throwing
+  storage.setItem('test.workspace', '{not json');
+  assert.deepStrictEqual(ws.list(), []);
+});
+
+test('workspace session round-trip', () => {
+  const storage = memoryStorage();
+  const ws = new Workspace(storage);
+  assert.strictEqual(ws.loadSession(), null);
+  const g = labelledGraph(lcg(4), 4, 5);
+  ws.saveSession({ graph: g, name: 'ring', mode: 'twoEdge', algorithm: 'chains' });
+  const s = ws.loadSession();
+  assert.deepStrictEqual(s.graph.snapshot(), g.snapshot());
+  assert.deepStrictEqual([s.name, s.mode, s.algorithm, typeof s.modified], ['ring', 'twoEdge', 'chains', 'number']);
+  for (const bad of ['{', '{"graph":{}}', 'null']) {
+    storage.setItem('bcc.session', bad);
+    assert.strictEqual(ws.loadSession(), null, bad);
+  }
+});
+
+test('zip reader', async () => {
+  const zip = makeZip([
+    { name: 'graphs/', text: '' },
+    { name: 'graphs/a.json', text: '{"nodes":[]}' },
+    { name: 'graphs/b.txt', text: '1 2\n2 3\n'.repeat(50), deflate: true },
+  ]);
+  const files = await Workspace.readZip(zip.buffer.slice(zip.byteOffset, zip.byteOffset + zip.length));
+  assert.deepStrictEqual(files, [
+    { name: 'graphs/a.json', text: '{"nodes":[]}' },
+    { name: 'graphs/b.txt', text: '1 2\n2 3\n'.repeat(50) },
+  ]);
+  // an unknown method is reported per entry, the rest still reads
+  const odd = makeZip([{ name: 'x.json', text: '{}' }, { name: 'y.json', text: '[]' }]);
+  odd.writeUInt16LE(12, odd.readUInt32LE(odd.length - 6) + 10); // method of the first directory entry
+  assert.deepStrictEqual(await Workspace.readZip(odd), [
+    { name: 'x.json', error: 'unsupported compression method 12' },
+    { name: 'y.json', text: '[]' },
+  ]);
+  await assert.rejects(Workspace.readZip(Buffer.from('plain text, not a zip archive at all')), /not a zip archive/);
+});
+
+// two triangles sharing node 2, with a pendant edge 4-5: cut vertices 2 and 4, bridge 4-5
+function bowtie() {
+  const g = new Graph();
+  for (let i = 0; i < 6; i++) g.addNode();
+  for (const [a, b] of [[0, 1], [1, 2], [2, 0], [2, 3], [3, 4], [4, 2], [4, 5]]) g.addEdge(a, b);
+  return g;
+}
+
+test('quiz grades cut vertex and bridge picks', () => {
+  const g = bowtie();
+  const perfect = GraphQuiz.gradePicks(g, { nodes: [4, 2], edges: ['4-5'] });
+  assert.deepStrictEqual([perfect.correct, perfect.missed, perfect.wrong, perfect.percent], [3, 0, 0, 100]);
+  const mixed = GraphQuiz.gradePicks(g, { nodes: [2, 3], edges: ['0-1'] });
+  assert.deepStrictEqual(mixed.nodes, { correct: [2], missed: [4], wrong: [3] });
+  assert.deepStrictEqual(mixed.edges, { correct: [], missed: ['4-5'], wrong: ['0-1'] });
+  assert.deepStrictEqual([mixed.correct, mixed.missed, mixed.wrong, mixed.percent], [1, 2, 2, 20]);
+  // nothing to find and nothing picked is a full score
+  const cycle = new Graph();
+  for (let i = 0; i < 3; i++) cycle.addNode();
+  for (const [a, b] of [[0, 1], [1, 2], [2, 0]]) cycle.addEdge(a, b);
+  assert.strictEqual(GraphQuiz.gradePicks(cycle, { nodes: [], edges: [] }).percent, 100);
+});
+
+test('quiz disc/low questions and grading', () => {
+  const g = bowtie();
+  const { steps } = g.analyzeWithSteps();
+  // after the whole trace every vertex has a distinct disc and low never above it
+  const end = GraphQuiz.discLowAt(steps, steps.length - 1);
+  assert.deepStrictEqual(Array.from(end.values(), v => v.disc).sort(), [1, 2, 3, 4, 5, 6]);
+  for (const v of end.values()) assert.ok(v.low <= v.disc);
+  assert.strictEqual(GraphQuiz.discLowAt(steps, -1).size, 0);
+  for (let seed = 0; seed < 20; seed++) {
+    const q = GraphQuiz.discLowQuestion(steps, lcg(seed));
+    assert.ok(q.stepIndex >= Math.floor(steps.length / 3) && q.stepIndex < steps.length);
+    assert.deepStrictEqual(q.answer, GraphQuiz.discLowAt(steps, q.stepIndex));
+    assert.ok(q.asked.length >= 2 && q.asked.length <= 3 && new Set(q.asked).size === q.asked.length);
+    // a vertex whose low moved is asked first when there is one
+    const moved = Array.from(q.answer.values()).filter(v => v.low !== v.disc);
+    if (moved.length) assert.notStrictEqual(q.answer.get(q.asked[0]).low, q.answer.get(q.asked[0]).disc);
+  }
+  assert.strictEqual(GraphQuiz.discLowQuestion([]), null);
+  const q = { asked: [0, 1], answer: new Map([[0, { disc: 1, low: 1 }], [1, { disc: 2, low: 1 }]]) };
+  const graded = GraphQuiz.gradeDiscLow(q, new Map([[0, { disc: 1, low: 2 }], [1, { disc: 2, low: NaN }]]));
+  assert.deepStrictEqual(Array.from(graded.fields), [[0, { disc: true, low: false }], [1, { disc: true, low: false }]]);
+  assert.deepStrictEqual([graded.correct, graded.missed, graded.wrong, graded.percent], [2, 1, 1, 50]);
+  assert.strictEqual(GraphQuiz.gradeDiscLow(q, new Map()).missed, 4);
+});
+
+test('quiz scores CSV', () => {
+  const csv = GraphQuiz.scoresToCSV([
+    { time: '2024-01-02T03:04:05Z', quiz: 'cut vertices, bridges', nodes: 6, edges: 7, seed: 'say "hi"', correct: 3, missed: 0, wrong: 1, percent: 75 },
+    { time: 't', quiz: 'disc/low', nodes: 4, edges: 4, seed: null, correct: 0, missed: 6, wrong: 0, percent: 0 },
+  ]);
+  assert.strictEqual(csv, [
+    'time,quiz,nodes,edges,seed,correct,missed,wrong,score_percent',
+    '2024-01-02T03:04:05Z,"cut vertices, bridges",6,7,"say ""hi""",3,0,1,75',
+    't,disc/low,4,4,,0,6,0,0',
+    '',
+  ].join('\n'));
+  assert.strictEqual(GraphQuiz.scoresToCSV([]), 'time,quiz,nodes,edges,seed,correct,missed,wrong,score_percent\n');
+});
+
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      passed++;
+      console.log(`ok - ${name}`);
+    } catch (e) {
+      failures++;
+      console.log(`not ok - ${name}\n  ${String(e.message).split('\n').join('\n  ')}`);
+    }
+  }
+  console.log(`\n${passed} tests passed${failures ? `, ${failures} failed` : ''}`);
+  if (failures) process.exitCode = 1;
+})();
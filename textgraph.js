@@ -0,0 +1,256 @@
+// textgraph.js
+// The graph as editable text, one statement per line or several separated by commas:
+//   1 - 2, 2 - 3, 3 - 1        undirected edges ("1-2" works too; "a -- b" is the same)
+//   core-sw-1 -> core-sw-2     directed edge; a chain "a - b - c" adds a-b and b-c
+//   "edge router" (120, 80)    a node on its own, here quoted and with coordinates
+//   @7                         the node with id 7, whatever its label
+//   # comment
+// Names are node labels (or the id for unlabelled nodes); an unknown name adds a node.
+// Names with spaces, commas, quotes or a hyphen are quoted when written out, since a single
+// hyphen inside a bare word ("a-b") means an edge.
+
+(function (root) {
+  const GraphCtor = typeof Graph !== 'undefined' ? Graph : require('./graph.js');
+
+  const TOKEN = /\s*(?:("(?:[^"\\]|\\.)*")|(->|--)|([(),])|([^\s(),"]+))/y;
+
+  // One line -> tokens {t: 'name'|'id'|'op'|'('|')'|',', v}, or throws a message
+  function tokenize(line) {
+    const out = [];
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < line.length) {
+      const at = TOKEN.lastIndex;
+      const m = TOKEN.exec(line);
+      if (!m) {
+        if (!line.slice(at).trim()) break;
+        throw line.slice(at).trim()[0] === '"' ? 'unterminated quote' : `unexpected "${line.slice(at).trim()}"`;
+      }
+      if (m[1]) out.push({ t: 'name', v: JSON.parse(m[1]) });
+      else if (m[2]) out.push({ t: 'op', v: m[2] });
+      else if (m[3]) out.push({ t: m[3], v: m[3] });
+      else if (m[4]) out.push(...splitWord(m[4]));
+      else break;
+    }
+    return out;
+  }
+
+  // "a->b->c", "a--b", "a-b" (exactly one inner hyphen), "-", "@7" or a plain name
+  function splitWord(word) {
+    const m = /^(.*?)(->|--)(.*)$/.exec(word);
+    if (m) return [].concat(m[1] ? splitWord(m[1]) : [], [{ t: 'op', v: m[2] }], m[3] ? splitWord(m[3]) : []);
+    if (word === '-') return [{ t: 'op', v: '-' }];
+    const single = /^([^-]+)-([^-]+)$/.exec(word);
+    if (single && !/^-?\d+(\.\d+)?$/.test(word)) return [...splitWord(single[1]), { t: 'op', v: '-' }, ...splitWord(single[2])];
+    if (word[0] === '@') {
+      if (!/^@\d+$/.test(word)) throw `"${word}" is not a node id (expected @ and a number)`;
+      return [{ t: 'id', v: Number(word.slice(1)) }];
+    }
+    return [{ t: 'name', v: word }];
+  }
+
+  // Parse the text. -> {nodes: [{ref, x, y, line}], edges: [{from, to, directed, line}], errors: [{line, message}]}
+  // ref is 'name:<name>' or 'id:<id>'; nodes lists every mention, in order.
+  function parse(text) {
+    const nodes = [];
+    const edges = [];
+    const errors = [];
+    String(text).split(/\r?\n/).forEach((raw, i) => {
+      const lineNo = i + 1;
+      const line = stripComment(raw);
+      if (!line.trim()) return;
+      let tokens;
+      try { tokens = tokenize(line); } catch (message) { errors.push({ line: lineNo, message }); return; }
+      const found = [];
+      const lineNodes = [];
+      const lineEdges = [];
+      let p = 0;
+      const peek = () => tokens[p];
+      const node = () => {
+        const tok = tokens[p];
+        if (!tok || (tok.t !== 'name' && tok.t !== 'id')) throw tok ? `expected a node name, got "${tok.v}"` : 'expected a node name';
+        p++;
+        const entry = { ref: `${tok.t}:${tok.v}`, line: lineNo };
+        if (peek() && peek().t === '(') {
+          p++;
+          const nums = [];
+          while (peek() && peek().t !== ')') {
+            const t = tokens[p++];
+            if (t.t === ',') continue;
+            if (t.t !== 'name' || !Number.isFinite(Number(t.v))) throw `bad coordinate "${t.v}"`;
+            nums.push(Number(t.v));
+          }
+          if (!peek()) throw 'expected ")"';
+          p++;
+          if (nums.length !== 2) throw 'coordinates need two numbers, e.g. (120, 80)';
+          [entry.x, entry.y] = nums;
+        }
+        lineNodes.push(entry);
+        return entry.ref;
+      };
+      try {
+        while (p < tokens.length) {
+          let from = node();
+          while (peek() && peek().t === 'op') {
+            const op = tokens[p++].v;
+            const to = node();
+            lineEdges.push({ from, to, directed: op === '->', line: lineNo });
+            from = to;
+          }
+          if (p < tokens.length) {
+            if (peek().t !== ',') throw `expected ",", "-" or "->", got "${peek().v}"`;
+            p++;
+            if (p === tokens.length) throw 'nothing after ","';
+          }
+        }
+        found.push(...lineNodes);
+      } catch (message) {
+        errors.push({ line: lineNo, message });
+        return;
+      }
+      nodes.push(...found);
+      edges.push(...lineEdges);
+    });
+    return { nodes, edges, errors };
+  }
+
+  // Drop a # comment unless the # is inside quotes
+  function stripComment(line) {
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '\\' && quoted) i++;
+      else if (line[i] === '"') quoted = !quoted;
+      else if (line[i] === '#' && !quoted) return line.slice(0, i);
+    }
+    return line;
+  }
+
+  // A parse() result applied to graph: a new Graph where every node the text still names keeps
+  // its id, position, label and attributes, matching edges keep theirs, and new nodes are placed
+  // next to their neighbours (or around the middle of a width x height canvas).
+  function apply(graph, parsed, width = 900, height = 600) {
+    const byLabel = new Map();
+    const byId = new Map(graph.nodes.map(n => [n.id, n]));
+    for (const n of graph.nodes) if (n.label !== undefined && !byLabel.has(n.label)) byLabel.set(n.label, n);
+    // ids the text asks for (@id, integers naming no node yet) are kept free for it
+    const reserved = new Set();
+    for (const { ref } of parsed.nodes) {
+      const [kind, v] = splitRef(ref);
+      if (kind === 'id' || (/^\d+$/.test(v) && !byLabel.has(v) && !byId.has(Number(v)))) reserved.add(Number(v));
+    }
+    let nextId = graph.nextId;
+    const fresh = () => { while (reserved.has(nextId) || byId.has(nextId)) nextId++; return nextId++; };
+    const resolved = new Map(); // ref -> node data of the new graph
+    const order = [];
+    const chosen = new Map(); // id -> node data, when two refs name the same node ("3" and "@3")
+    for (const { ref, x, y } of parsed.nodes) {
+      let nd = resolved.get(ref);
+      if (!nd) {
+        const [kind, v] = splitRef(ref);
+        const num = Number(v);
+        let old = null; let id; let label;
+        if (kind === 'id') { old = byId.get(num) || null; id = num; }
+        else if (byLabel.has(v)) { old = byLabel.get(v); id = old.id; }
+        else if (/^\d+$/.test(v) && byId.has(num) && byId.get(num).label === undefined) { old = byId.get(num); id = num; }
+        else if (/^\d+$/.test(v) && !byId.has(num)) id = num;
+        else { id = fresh(); label = v; }
+        nd = chosen.get(id);
+        if (!nd) {
+          nd = old ? Object.assign(GraphCtor._copyItem(old), { placed: true }) : { id, x: 0, y: 0, placed: false };
+          if (label !== undefined) nd.label = label;
+          chosen.set(id, nd);
+          order.push(nd);
+        }
+        resolved.set(ref, nd);
+      }
+      // the text shows rounded positions; leave a node alone while they still match
+      if (x !== undefined && !(nd.placed && Math.round(nd.x) === x && Math.round(nd.y) === y)) { nd.x = x; nd.y = y; nd.placed = true; }
+    }
+    placeNew(order, parsed.edges.map(e => [resolved.get(e.from), resolved.get(e.to)]), width, height);
+    // existing nodes first, in graph order, then new ones in the order the text names them
+    const rank = new Map(graph.nodes.map((n, i) => [n.id, i]));
+    order.forEach((nd, i) => { if (!rank.has(nd.id)) rank.set(nd.id, graph.nodes.length + i); });
+    order.sort((a, b) => rank.get(a.id) - rank.get(b.id));
+    const g = GraphCtor.fromSnapshot({ nodes: order.map(({ placed, ...n }) => n), edges: [], nextId });
+    // reuse old edges between the same endpoints (same direction) so labels and attributes stay
+    const pool = new Map();
+    const sig = (a, b, directed) => (directed ? `${a}>${b}` : `${Math.min(a, b)}-${Math.max(a, b)}`);
+    for (const e of graph.edgeMap.values()) {
+      const s = sig(e.a, e.b, e.directed);
+      if (!pool.has(s)) pool.set(s, []);
+      pool.get(s).push(e);
+    }
+    for (const e of parsed.edges) {
+      const a = resolved.get(e.from).id; const b = resolved.get(e.to).id;
+      const key = g.addEdge(a, b, e.directed);
+      const old = (pool.get(sig(a, b, e.directed)) || []).shift();
+      if (old) GraphCtor._copyExtras(old, g.edgeMap.get(key));
+    }
+    return g;
+  }
+
+  function splitRef(ref) {
+    const i = ref.indexOf(':');
+    return [ref.slice(0, i), ref.slice(i + 1)];
+  }
+
+  // Nodes without a position go next to already placed neighbours, otherwise on a spiral
+  // around the middle of the canvas
+  function placeNew(nodes, pairs, width, height) {
+    const neighbours = new Map();
+    for (const [a, b] of pairs) {
+      if (!neighbours.has(a)) neighbours.set(a, []);
+      if (!neighbours.has(b)) neighbours.set(b, []);
+      neighbours.get(a).push(b);
+      neighbours.get(b).push(a);
+    }
+    const clamp = (v, hi) => Math.max(30, Math.min(hi - 30, v));
+    let k = 0;
+    for (let pass = 0; pass < 2; pass++) {
+      for (const nd of nodes) {
+        if (nd.placed) continue;
+        const around = (neighbours.get(nd) || []).filter(o => o.placed);
+        if (!around.length && pass === 0) continue;
+        const angle = k * 2.399963; // golden angle, so siblings fan out
+        let cx = width / 2; let cy = height / 2; let r = 40 + 18 * Math.sqrt(k);
+        if (around.length) {
+          cx = around.reduce((t, o) => t + o.x, 0) / around.length;
+          cy = around.reduce((t, o) => t + o.y, 0) / around.length;
+          r = 70;
+        }
+        nd.x = Math.round(clamp(cx + r * Math.cos(angle), width));
+        nd.y = Math.round(clamp(cy + r * Math.sin(angle), height));
+        nd.placed = true;
+        k++;
+      }
+    }
+  }
+
+  // Text for graph: edges one per line, then nodes without edges. With coords every node
+  // is listed first with its position. Ambiguous names (two nodes showing the same text) use @id.
+  function format(graph, { coords = false } = {}) {
+    const shown = new Map();
+    for (const n of graph.nodes) {
+      const t = n.label !== undefined ? n.label : String(n.id);
+      shown.set(t, (shown.get(t) || 0) + 1);
+    }
+    const names = new Map();
+    for (const n of graph.nodes) {
+      const t = n.label !== undefined ? n.label : String(n.id);
+      names.set(n.id, shown.get(t) > 1 ? `@${n.id}` : /^[\w.:]+$/.test(t) && !/^@/.test(t) ? t : JSON.stringify(t));
+    }
+    const lines = [];
+    if (coords) for (const n of graph.nodes) lines.push(`${names.get(n.id)} (${Math.round(n.x)}, ${Math.round(n.y)})`);
+    const touched = new Set();
+    for (const e of graph.edgeMap.values()) {
+      touched.add(e.a); touched.add(e.b);
+      lines.push(`${names.get(e.a)} ${e.directed ? '->' : '-'} ${names.get(e.b)}`);
+    }
+    if (!coords) for (const n of graph.nodes) if (!touched.has(n.id)) lines.push(names.get(n.id));
+    return lines.length ? lines.join('\n') + '\n' : '';
+  }
+
+  const GraphText = { parse, apply, format };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = GraphText;
+  else root.GraphText = GraphText;
+})(typeof window !== 'undefined' ? window : this);
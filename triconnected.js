@@ -0,0 +1,260 @@
+// triconnected.js
+// Separation pairs and triconnected components of every block from analyze().components.
+// A separation pair {a, b} is two vertices whose joint removal disconnects the block.
+// Each block is split at separation pairs (with virtual a-b edges tying the pieces
+// together) and the pieces are merged SPQR-style into bonds (P: parallel edges),
+// polygons (S: cycles) and rigid triconnected graphs (R).
+
+(function (root) {
+  // Blocks up to this many vertices are cross-checked by trying every vertex pair
+  const BRUTE_LIMIT = 40;
+
+  // Undirected adjacency (vertex -> Set) of an edge list
+  function adjacency(edges) {
+    const adj = new Map();
+    for (const e of edges) {
+      if (!adj.has(e.a)) adj.set(e.a, new Set());
+      if (!adj.has(e.b)) adj.set(e.b, new Set());
+      adj.get(e.a).add(e.b);
+      adj.get(e.b).add(e.a);
+    }
+    return adj;
+  }
+
+  // Articulation points of adj with `skip` removed (iterative Tarjan, connected input)
+  function cutVerticesWithout(adj, skip) {
+    const verts = Array.from(adj.keys()).filter(v => v !== skip);
+    const cuts = new Set();
+    if (!verts.length) return cuts;
+    const disc = new Map(); const low = new Map();
+    const rootId = verts[0];
+    let time = 0; let rootChildren = 0;
+    disc.set(rootId, time); low.set(rootId, time); time++;
+    const stack = [{ u: rootId, parent: null, it: adj.get(rootId).values() }];
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      const next = frame.it.next();
+      if (!next.done) {
+        const v = next.value;
+        if (v === skip || v === frame.parent) continue;
+        if (disc.has(v)) { low.set(frame.u, Math.min(low.get(frame.u), disc.get(v))); continue; }
+        disc.set(v, time); low.set(v, time); time++;
+        if (frame.u === rootId) rootChildren++;
+        stack.push({ u: v, parent: frame.u, it: adj.get(v).values() });
+        continue;
+      }
+      stack.pop();
+      if (!stack.length) break;
+      const p = stack[stack.length - 1].u;
+      low.set(p, Math.min(low.get(p), low.get(frame.u)));
+      if (p !== rootId && low.get(frame.u) >= disc.get(p)) cuts.add(p);
+    }
+    if (rootChildren > 1) cuts.add(rootId);
+    return cuts;
+  }
+
+  const pairKey = (a, b) => (a < b ? `${a},${b}` : `${b},${a}`);
+  const sortedPair = (a, b) => (a < b ? [a, b] : [b, a]);
+
+  // All separation pairs of a biconnected edge list: b is a cut vertex once a is gone
+  function separationPairs(edges) {
+    const adj = adjacency(edges);
+    const seen = new Set();
+    const pairs = [];
+    if (adj.size < 4) return pairs;
+    for (const a of adj.keys()) {
+      for (const b of cutVerticesWithout(adj, a)) {
+        const k = pairKey(a, b);
+        if (seen.has(k)) continue;
+        seen.add(k);
+        pairs.push(sortedPair(a, b));
+      }
+    }
+    return pairs.sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+  }
+
+  // Components of adj after deleting the vertices in `gone`
+  function piecesWithout(adj, gone) {
+    const seen = new Set(gone);
+    const pieces = [];
+    for (const s of adj.keys()) {
+      if (seen.has(s)) continue;
+      const queue = [s];
+      seen.add(s);
+      for (let i = 0; i < queue.length; i++) {
+        for (const v of adj.get(queue[i])) if (!seen.has(v)) { seen.add(v); queue.push(v); }
+      }
+      pieces.push(queue);
+    }
+    return pieces;
+  }
+
+  // Cross-check: delete every vertex pair and look for a disconnected remainder
+  function separationPairsBrute(edges) {
+    const adj = adjacency(edges);
+    const verts = Array.from(adj.keys());
+    const pairs = [];
+    if (verts.length < 4) return pairs;
+    for (let i = 0; i < verts.length; i++) {
+      for (let j = i + 1; j < verts.length; j++) {
+        if (piecesWithout(adj, [verts[i], verts[j]]).length > 1) pairs.push(sortedPair(verts[i], verts[j]));
+      }
+    }
+    return pairs.sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+  }
+
+  // Split a biconnected multigraph into bonds, polygons and rigid pieces.
+  // edges: [{a, b, key}] (real). Virtual edges get {virtual: id}; the two pieces sharing
+  // an id are neighbours in the decomposition tree.
+  function decompose(blockEdges) {
+    let nextVirtual = 0;
+    const pieces = [];
+    const virtualEdge = (a, b) => ({ a, b, key: null, virtual: nextVirtual++ });
+    const work = [blockEdges.map(e => ({ a: e.a, b: e.b, key: e.key, virtual: null }))];
+    while (work.length) {
+      let edges = work.pop();
+      // parallel edges first: each bundle becomes a bond, replaced by one virtual edge
+      const byPair = new Map();
+      for (const e of edges) {
+        const k = pairKey(e.a, e.b);
+        if (!byPair.has(k)) byPair.set(k, []);
+        byPair.get(k).push(e);
+      }
+      if (byPair.size === 1) { pieces.push({ type: 'P', edges }); continue; }
+      for (const bundle of byPair.values()) {
+        if (bundle.length < 2) continue;
+        const v = virtualEdge(bundle[0].a, bundle[0].b);
+        pieces.push({ type: 'P', edges: bundle.concat([v]) });
+        edges = edges.filter(e => !bundle.includes(e)).concat([Object.assign({}, v)]);
+      }
+      const adj = adjacency(edges);
+      // a simple biconnected graph on 3 vertices is a triangle
+      if (adj.size <= 3) { pieces.push({ type: 'S', edges }); continue; }
+      let pair = null;
+      for (const a of adj.keys()) {
+        const cuts = cutVerticesWithout(adj, a);
+        if (cuts.size) { pair = [a, cuts.values().next().value]; break; }
+      }
+      if (!pair) { pieces.push({ type: 'R', edges }); continue; }
+      // split: one piece per component of G - {a, b}, each closed by a virtual a-b edge
+      const [a, b] = pair;
+      const direct = edges.filter(e => pairKey(e.a, e.b) === pairKey(a, b));
+      const parts = piecesWithout(adj, [a, b]).map(p => new Set(p));
+      const partEdges = parts.map(p => edges.filter(e => p.has(e.a) || p.has(e.b)));
+      if (parts.length === 2 && !direct.length) {
+        const v = virtualEdge(a, b);
+        work.push(partEdges[0].concat([v]), partEdges[1].concat([Object.assign({}, v)]));
+      } else {
+        const links = parts.map(() => virtualEdge(a, b));
+        pieces.push({ type: 'P', edges: direct.concat(links) });
+        partEdges.forEach((pe, i) => work.push(pe.concat([Object.assign({}, links[i])])));
+      }
+    }
+    return merge(pieces);
+  }
+
+  // Neighbouring bonds merge into one bond and neighbouring polygons into one polygon;
+  // what is left are the unique triconnected components and the tree linking them
+  function merge(pieces) {
+    let changed = true;
+    while (changed) {
+      changed = false;
+      const owner = new Map(); // virtual id -> [piece indices]
+      pieces.forEach((p, i) => {
+        for (const e of p.edges) if (e.virtual !== null) {
+          if (!owner.has(e.virtual)) owner.set(e.virtual, []);
+          owner.get(e.virtual).push(i);
+        }
+      });
+      for (const [id, [i, j]] of owner) {
+        if (j === undefined || pieces[i].type !== pieces[j].type || pieces[i].type === 'R') continue;
+        const edges = pieces[i].edges.concat(pieces[j].edges).filter(e => e.virtual !== id);
+        pieces[i] = { type: pieces[i].type, edges };
+        pieces.splice(j, 1);
+        changed = true;
+        break;
+      }
+    }
+    const owner = new Map();
+    const tree = [];
+    pieces.forEach((p, i) => {
+      for (const e of p.edges) {
+        if (e.virtual === null) continue;
+        if (owner.has(e.virtual)) tree.push({ from: owner.get(e.virtual), to: i, pair: sortedPair(e.a, e.b) });
+        else owner.set(e.virtual, i);
+      }
+    });
+    const components = pieces.map(p => {
+      const verts = new Set();
+      for (const e of p.edges) { verts.add(e.a); verts.add(e.b); }
+      return { type: p.type, verts: Array.from(verts).sort((x, y) => x - y), edges: p.edges };
+    });
+    return { components, treeEdges: tree };
+  }
+
+  function analyze(graph, base = graph.analyze()) {
+    return run(graph, base, null);
+  }
+
+  function analyzeWithSteps(graph) {
+    const steps = [];
+    const result = run(graph, graph.analyze(), (s) => steps.push(s));
+    return { result, steps };
+  }
+
+  // Result: {triconnected, articulationPoints, bridges, blocks, components (all blocks,
+  // each with its block index), edgeToTri (edge key -> component), separationPairs,
+  // virtualPairs, bruteForce: {checked, agrees}}
+  function run(graph, base, pushStep) {
+    const blocks = [];
+    const components = [];
+    const edgeToTri = new Map();
+    const separation = [];
+    const virtualPairs = [];
+    let checked = false; let agrees = true;
+    base.components.forEach((comp, index) => {
+      const edges = comp.edges.map(([a, b, key]) => ({ a, b, key }));
+      const verts = Array.from(new Set(edges.flatMap(e => [e.a, e.b])));
+      // a bridge is a block of its own with nothing to split
+      if (edges.length < 2) return;
+      const pairs = separationPairs(edges);
+      let brute = null;
+      if (verts.length <= BRUTE_LIMIT) {
+        const bp = separationPairsBrute(edges);
+        brute = { pairs: bp, agrees: bp.length === pairs.length && bp.every((p, i) => p[0] === pairs[i][0] && p[1] === pairs[i][1]) };
+        checked = true;
+        if (!brute.agrees) agrees = false;
+      }
+      for (const [a, b] of pairs) {
+        separation.push([a, b, index]);
+        if (pushStep) pushStep({ type: 'separationPair', block: index, u: a, v: b });
+      }
+      const { components: tri, treeEdges } = decompose(edges);
+      const offset = components.length;
+      tri.forEach((t, i) => {
+        const keys = t.edges.filter(e => e.virtual === null).map(e => e.key);
+        for (const k of keys) edgeToTri.set(k, offset + i);
+        components.push({ block: index, type: t.type, verts: t.verts, keys });
+        if (pushStep) pushStep({ type: 'triComponent', block: index, compIndex: offset + i, kind: t.type, verts: t.verts.slice(), keys: keys.slice() });
+      });
+      for (const te of treeEdges) virtualPairs.push(te.pair);
+      blocks.push({ index, verts, separationPairs: pairs, components: tri, treeEdges: treeEdges.map(te => ({ from: te.from + offset, to: te.to + offset, pair: te.pair })), brute });
+    });
+    return {
+      triconnected: true,
+      articulationPoints: base.articulationPoints,
+      bridges: base.bridges,
+      blocks,
+      components,
+      edgeToTri,
+      separationPairs: separation,
+      virtualPairs,
+      bruteForce: { checked, agrees },
+    };
+  }
+
+  const GraphTriconnected = { BRUTE_LIMIT, separationPairs, separationPairsBrute, decompose, analyze, analyzeWithSteps };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = GraphTriconnected;
+  else root.GraphTriconnected = GraphTriconnected;
+})(typeof window !== 'undefined' ? window : this);
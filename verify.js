@@ -0,0 +1,71 @@
+// verify.js
+// Checks Graph.analyze() and Graph.analyzeWithSteps() against the brute-force algorithm
+// (remove each vertex / edge and count components). analyzeWithSteps() is checked twice:
+// its returned result and the result rebuilt from its markAP / markBridge / popComponent steps.
+
+(function (root) {
+  const Algorithms = typeof GraphAlgorithms !== 'undefined' ? GraphAlgorithms : require('./algorithms.js');
+
+  // analyze() shape rebuilt from a Tarjan step trace
+  function resultFromSteps(graph, steps) {
+    const aps = new Set();
+    const bridges = [];
+    const blocks = [];
+    for (const s of steps) {
+      if (s.type === 'markAP') aps.add(s.u);
+      else if (s.type === 'markBridge') bridges.push([s.u, s.v]);
+      else if (s.type === 'popComponent') blocks.push(s.edges.map(e => e[2]));
+    }
+    return Algorithms.buildResult(graph, Array.from(aps), bridges, blocks);
+  }
+
+  // Entries listed more than once (a Set-based diff would not notice them)
+  function duplicates(result, graph) {
+    const twice = (xs) => xs.filter((x, i) => xs.indexOf(x) !== i);
+    const out = [];
+    for (const v of twice(result.articulationPoints)) out.push(`cut vertex ${v}`);
+    for (const k of twice(result.bridges.map(([u, v]) => graph.edgeKey(u, v)))) out.push(`bridge ${k}`);
+    for (const k of twice([].concat(...result.components.map(c => c.edges.map(e => e[2]))))) out.push(`edge ${k} in two blocks`);
+    return out;
+  }
+
+  // -> {agree, expected (brute-force result), checks: [{method, result, diff, duplicates, agree}]}
+  // diff is diffResults(graph, method's result, brute force), so onlyA lists what the method
+  // reports wrongly and onlyB what it misses.
+  function verify(graph) {
+    const expected = Algorithms.get('brute').analyze(graph);
+    const traced = graph.analyzeWithSteps();
+    const runs = [
+      ['analyze()', graph.analyze()],
+      ['analyzeWithSteps()', traced.result],
+      ['analyzeWithSteps() steps', resultFromSteps(graph, traced.steps)],
+    ];
+    const checks = runs.map(([method, result]) => {
+      const diff = Algorithms.diffResults(graph, result, expected);
+      const dups = duplicates(result, graph);
+      return { method, result, diff, duplicates: dups, agree: diff.agree && !dups.length };
+    });
+    return { agree: checks.every(c => c.agree), expected, checks };
+  }
+
+  // One line per failing check, e.g. "analyze(): misses bridge 2-5; wrong cut vertex 3"
+  function describe(report) {
+    const lines = [];
+    for (const c of report.checks) {
+      if (c.agree) continue;
+      const parts = [];
+      for (const [what, d] of [['cut vertex', c.diff.aps], ['bridge', c.diff.bridges], ['block', c.diff.blocks]]) {
+        if (d.onlyB.length) parts.push(`misses ${what} ${d.onlyB.join(', ')}`);
+        if (d.onlyA.length) parts.push(`wrong ${what} ${d.onlyA.join(', ')}`);
+      }
+      parts.push(...c.duplicates.map(x => `duplicate ${x}`));
+      lines.push(`${c.method}: ${parts.join('; ')}`);
+    }
+    return lines;
+  }
+
+  const GraphVerify = { verify, describe, resultFromSteps };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = GraphVerify;
+  else root.GraphVerify = GraphVerify;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,101 @@
+// viewport.js
+// Zoom and pan for the canvas. A view {x, y, k} shows the world rectangle starting at (x, y)
+// with size width / k x height / k, so k = 1 and x = y = 0 is the plain 900 x 600 drawing area.
+// Also the bits the renderer needs to stay fast on big graphs: a grid index to find the node
+// under the pointer and the transform of the minimap.
+
+(function (root) {
+  const MIN_SCALE = 0.05;
+  const MAX_SCALE = 8;
+
+  const clampScale = (k) => Math.max(MIN_SCALE, Math.min(MAX_SCALE, k));
+
+  // Box around all nodes, grown by pad on every side; null for no nodes
+  function bounds(nodes, pad = 0) {
+    if (!nodes.length) return null;
+    let x1 = Infinity; let y1 = Infinity; let x2 = -Infinity; let y2 = -Infinity;
+    for (const n of nodes) {
+      if (n.x < x1) x1 = n.x;
+      if (n.x > x2) x2 = n.x;
+      if (n.y < y1) y1 = n.y;
+      if (n.y > y2) y2 = n.y;
+    }
+    return { x1: x1 - pad, y1: y1 - pad, x2: x2 + pad, y2: y2 + pad };
+  }
+
+  // View showing box b centered in a width x height canvas, zoomed in no further than maxScale
+  function fit(b, width, height, maxScale = 2) {
+    if (!b) return { x: 0, y: 0, k: 1 };
+    const bw = Math.max(b.x2 - b.x1, 1); const bh = Math.max(b.y2 - b.y1, 1);
+    const k = clampScale(Math.min(width / bw, height / bh, maxScale));
+    return { x: (b.x1 + b.x2) / 2 - width / k / 2, y: (b.y1 + b.y2) / 2 - height / k / 2, k };
+  }
+
+  // Zoom by factor keeping world point (px, py) where it is on screen
+  function zoomAt(view, factor, px, py) {
+    const k = clampScale(view.k * factor);
+    const f = view.k / k;
+    return { x: px - (px - view.x) * f, y: py - (py - view.y) * f, k };
+  }
+
+  // View with its center moved to world point (cx, cy)
+  function centerOn(view, cx, cy, width, height) {
+    return { x: cx - width / view.k / 2, y: cy - height / view.k / 2, k: view.k };
+  }
+
+  // The world rectangle a view shows
+  function visible(view, width, height) {
+    return { x1: view.x, y1: view.y, x2: view.x + width / view.k, y2: view.y + height / view.k };
+  }
+
+  // Uniform grid over node positions; near(x, y, r) is the closest node within r, or null.
+  // Built once per frame so hit-testing thousands of nodes does not scan them all.
+  function nodeIndex(nodes, cell = 64) {
+    const cells = new Map();
+    const at = (cx, cy) => `${cx},${cy}`;
+    for (const n of nodes) {
+      const k = at(Math.floor(n.x / cell), Math.floor(n.y / cell));
+      if (!cells.has(k)) cells.set(k, []);
+      cells.get(k).push(n);
+    }
+    function near(x, y, r) {
+      let best = null; let bestD = r;
+      const span = Math.ceil(r / cell);
+      const cx = Math.floor(x / cell); const cy = Math.floor(y / cell);
+      for (let i = cx - span; i <= cx + span; i++) {
+        for (let j = cy - span; j <= cy + span; j++) {
+          for (const n of cells.get(at(i, j)) || []) {
+            const d = Math.hypot(n.x - x, n.y - y);
+            if (d <= bestD) { best = n; bestD = d; }
+          }
+        }
+      }
+      return best;
+    }
+    return { near };
+  }
+
+  // Distance from (px, py) to the segment a-b
+  function segmentDistance(px, py, ax, ay, bx, by) {
+    const dx = bx - ax; const dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+  }
+
+  // Minimap of size mw x mh showing the graph and the visible rectangle together:
+  // -> {scale, ox, oy} with screen = (world - o) * scale, or null for no graph
+  function minimapTransform(graphBounds, view, width, height, mw, mh) {
+    if (!graphBounds) return null;
+    const v = visible(view, width, height);
+    const b = { x1: Math.min(graphBounds.x1, v.x1), y1: Math.min(graphBounds.y1, v.y1), x2: Math.max(graphBounds.x2, v.x2), y2: Math.max(graphBounds.y2, v.y2) };
+    const scale = Math.min(mw / Math.max(b.x2 - b.x1, 1), mh / Math.max(b.y2 - b.y1, 1));
+    // center the box in the minimap
+    return { scale, ox: (b.x1 + b.x2) / 2 - mw / scale / 2, oy: (b.y1 + b.y2) / 2 - mh / scale / 2 };
+  }
+
+  const GraphViewport = { MIN_SCALE, MAX_SCALE, clampScale, bounds, fit, zoomAt, centerOn, visible, nodeIndex, segmentDistance, minimapTransform };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = GraphViewport;
+  else root.GraphViewport = GraphViewport;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,135 @@
+// workspace.js
+// Named graphs and the last session, kept in localStorage (or any object with
+// getItem / setItem / removeItem). Graphs are stored as Graph snapshots, so ids and
+// edge keys survive a reload. Also reads .zip archives for bulk imports.
+
+(function (root) {
+  const GraphCtor = typeof Graph !== 'undefined' ? Graph : require('./graph.js');
+
+  class Workspace {
+    constructor(storage, prefix = 'bcc') {
+      this.storage = storage;
+      this.graphsKey = `${prefix}.workspace`;
+      this.sessionKey = `${prefix}.session`;
+    }
+
+    _read() {
+      try { return JSON.parse(this.storage.getItem(this.graphsKey)) || {}; } catch (e) { return {}; }
+    }
+
+    // May throw when storage is full; callers report it
+    _write(all) {
+      this.storage.setItem(this.graphsKey, JSON.stringify(all));
+    }
+
+    // [{name, modified, nodes, edges}], most recently modified first
+    list() {
+      return Object.entries(this._read())
+        .map(([name, e]) => ({ name, modified: e.modified, nodes: e.graph.nodes.length, edges: e.graph.edges.length }))
+        .sort((a, b) => b.modified - a.modified || a.name.localeCompare(b.name));
+    }
+
+    has(name) {
+      return Object.prototype.hasOwnProperty.call(this._read(), name);
+    }
+
+    save(name, graph) {
+      const all = this._read();
+      all[name] = { graph: graph.snapshot(), modified: Date.now() };
+      this._write(all);
+    }
+
+    // Graph stored under name, or null
+    open(name) {
+      const e = this._read()[name];
+      return e ? GraphCtor.fromSnapshot(e.graph) : null;
+    }
+
+    // name, or "name (2)", "name (3)", ... whichever is free
+    uniqueName(base) {
+      const all = this._read();
+      let name = base;
+      for (let i = 2; Object.prototype.hasOwnProperty.call(all, name); i++) name = `${base} (${i})`;
+      return name;
+    }
+
+    // Copy name to a free "name copy" entry and return the new name
+    duplicate(name) {
+      const all = this._read();
+      if (!all[name]) return null;
+      const copy = this.uniqueName(`${name} copy`);
+      all[copy] = { graph: all[name].graph, modified: Date.now() };
+      this._write(all);
+      return copy;
+    }
+
+    remove(name) {
+      const all = this._read();
+      if (!all[name]) return false;
+      delete all[name];
+      this._write(all);
+      return true;
+    }
+
+    // The graph being edited plus the workspace name and analysis settings it belongs to
+    saveSession({ graph, name = null, mode = null, algorithm = null }) {
+      this.storage.setItem(this.sessionKey, JSON.stringify({ graph: graph.snapshot(), name, mode, algorithm, modified: Date.now() }));
+    }
+
+    // -> {graph, name, mode, algorithm, modified} or null
+    loadSession() {
+      let data;
+      try { data = JSON.parse(this.storage.getItem(this.sessionKey)); } catch (e) { return null; }
+      if (!data || !data.graph || !Array.isArray(data.graph.nodes)) return null;
+      return Object.assign({}, data, { graph: GraphCtor.fromSnapshot(data.graph) });
+    }
+  }
+
+  // Files of a .zip archive: [{name, text}] or [{name, error}] per entry (folders skipped).
+  // Handles stored and deflated entries, which is what zip tools write by default.
+  async function readZip(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) { end = i; break; }
+    }
+    if (end < 0) throw new Error('not a zip archive');
+    const count = view.getUint16(end + 10, true);
+    let p = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const files = [];
+    for (let k = 0; k < count; k++) {
+      if (p + 46 > bytes.length || view.getUint32(p, true) !== 0x02014b50) throw new Error('damaged zip directory');
+      const method = view.getUint16(p + 10, true);
+      const size = view.getUint32(p + 20, true);
+      const nameLen = view.getUint16(p + 28, true);
+      const skip = nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+      const local = view.getUint32(p + 42, true);
+      const name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+      p += 46 + skip;
+      if (name.endsWith('/')) continue;
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const data = bytes.subarray(start, start + size);
+      try {
+        if (method === 0) files.push({ name, text: decoder.decode(data) });
+        else if (method === 8) files.push({ name, text: decoder.decode(await inflateRaw(data)) });
+        else files.push({ name, error: `unsupported compression method ${method}` });
+      } catch (e) {
+        files.push({ name, error: e.message });
+      }
+    }
+    return files;
+  }
+
+  async function inflateRaw(data) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('compressed entries need DecompressionStream');
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  Workspace.readZip = readZip;
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = Workspace;
+  else root.Workspace = Workspace;
+})(typeof window !== 'undefined' ? window : this);